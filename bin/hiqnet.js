@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/**
+ * HiQnet device control library - command-line tool.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const { parseArgs } = require('util');
+
+const HiQnet = require('../lib/index.js');
+
+const { dataTypes } = HiQnet;
+
+const USAGE = `Usage: hiqnet [options] <command> [arguments]
+
+Commands:
+  discover                          List devices on the network
+  locate <device> <serial> [ms]     Flash a device's LEDs, serial in hex
+  get <address> <param...>          Read parameters
+  set <address> <param>=<value>...  Write parameters, value may be type:value
+  watch <address> <param...>        Print parameters as they change
+  tree <device> [vd.o1.o2.o3...]    List a device's virtual devices and objects
+  dissect <capture>                 Describe each message in a capture file
+
+Addresses are written as device.vd.o1.o2.o3, e.g. 1.0.1.40.2.
+
+Options:
+  -t, --transport <spec>  usb[:path|:serial|:vid:pid], tcp:<host>[:port] or
+                          udp:<host>[:port].  Defaults to usb, or a UDP
+                          broadcast for discover.
+  -j, --json              Print results as JSON
+      --timeout <ms>      Milliseconds to wait for each reply
+      --device-id <id>    Our own HiQnet address
+  -h, --help              Show this help
+`;
+
+class UsageError extends Error { };
+
+/**
+ * Split `host[:port]` into its parts.
+ */
+function splitHostPort(arg, what)
+{
+	if (!arg) throw new UsageError(`The ${what} transport needs a host, e.g. ${what}:192.168.1.50`);
+	const [host, port] = arg.split(':');
+	return { host, port: port ? parseNumber(port, 'port') : undefined };
+}
+
+function openUSB(arg)
+{
+	const USB = HiQnet.Transport.USB;
+
+	if (!arg) return USB.open();
+	if (/^[0-9a-f]+:[0-9a-f]+$/i.test(arg)) {
+		const [vid, pid] = arg.split(':').map(n => parseInt(n, 16));
+		return USB.open({ filter: d => (d.vendorId === vid) && (d.productId === pid) });
+	}
+	// Anything else is a path, or failing that a serial number.
+	const isPath = USB.list({ filter: () => true }).some(d => d.path === arg);
+	return USB.open(isPath ? { path: arg } : { serial: arg });
+}
+
+// Transports selectable with --transport, as `name[:arguments]`.
+const transports = {
+	usb: arg => openUSB(arg),
+	tcp: arg => {
+		const { host, port } = splitHostPort(arg, 'tcp');
+		return new HiQnet.Transport.TCP(host, { port });
+	},
+	udp: arg => {
+		const { host, port } = splitHostPort(arg, 'udp');
+		return new HiQnet.Transport.UDP({ host, port });
+	},
+};
+
+function createTransport(spec)
+{
+	const pos = spec.indexOf(':');
+	const name = (pos < 0) ? spec : spec.slice(0, pos);
+	const arg = (pos < 0) ? undefined : spec.slice(pos + 1);
+	if (!transports[name]) {
+		throw new UsageError(`Unknown transport "${name}", expected one of: `
+			+ Object.keys(transports).join(', '));
+	}
+	return transports[name](arg);
+}
+
+function parseNumber(s, what)
+{
+	const n = Number(s);
+	if ((s === undefined) || (s === '') || !Number.isInteger(n)) {
+		throw new UsageError(`Invalid ${what}: ${s}`);
+	}
+	return n;
+}
+
+/**
+ * Read an address in the `device.vd.o1.o2.o3` form.
+ */
+function parseAddress(s)
+{
+	const parts = (s || '').split('.');
+	if (parts.length !== 5) {
+		throw new UsageError(`Invalid address "${s}", expected device.vd.o1.o2.o3`);
+	}
+	const n = parts.map(p => parseNumber(p, 'address'));
+	return {
+		device: n[0],
+		virtualDevice: n[1],
+		object: n.slice(2),
+	};
+}
+
+/**
+ * Read an object ID in the `vd.o1.o2.o3` form.
+ */
+function parseObject(s)
+{
+	const parts = s.split('.');
+	if (parts.length !== 4) {
+		throw new UsageError(`Invalid object "${s}", expected vd.o1.o2.o3`);
+	}
+	return parts.map(p => parseNumber(p, 'object'));
+}
+
+/**
+ * Convert a value given on the command line to suit a parameter's data type.
+ */
+function parseValue(type, s)
+{
+	switch (type) {
+		case dataTypes.string:
+			return s;
+		case dataTypes.block:
+			return Buffer.from(s, 'hex');
+		case dataTypes.int64:
+		case dataTypes.uint64:
+			return BigInt(s);
+		default: {
+			const n = Number(s);
+			if ((s === '') || isNaN(n)) throw new UsageError(`Invalid number: ${s}`);
+			return n;
+		}
+	}
+}
+
+function getTypeName(type)
+{
+	return Object.keys(dataTypes).find(t => dataTypes[t] === type) || `type ${type}`;
+}
+
+function formatValue(v)
+{
+	if (Buffer.isBuffer(v)) return v.toString('hex');
+	if (typeof v === 'bigint') return v.toString();
+	if (typeof v === 'string') return JSON.stringify(v);
+	return String(v);
+}
+
+function toJSON(data)
+{
+	return JSON.stringify(data, (key, v) => {
+		if (typeof v === 'bigint') return v.toString();
+		// Buffer.toJSON() has already run by the time we see it.
+		if (v && (v.type === 'Buffer') && Array.isArray(v.data)) return Buffer.from(v.data).toString('hex');
+		return v;
+	}, 2);
+}
+
+/**
+ * Connect, run a command, and disconnect again.
+ */
+async function withHiQnet(opts, fn)
+{
+	const transport = createTransport(opts.transport || 'usb');
+	await transport.connect();
+	const hiq = new HiQnet(transport, null, {
+		timeout: opts.timeout,
+		deviceId: opts.deviceId,
+	});
+	try {
+		return await fn(hiq);
+	} finally {
+		transport.close();
+	}
+}
+
+const commands = {
+	async discover(args, opts)
+	{
+		const disco = new HiQnet.Discovery(
+			opts.transport ? { transport: createTransport(opts.transport) } : {}
+		);
+		const devices = await disco.discover({ timeout: opts.timeout || 2000 });
+
+		if (opts.json) {
+			console.log(toJSON(devices.map(d => Object.assign({}, d, {
+				serial: Buffer.from(d.serial).toString('hex'),
+			}))));
+			return;
+		}
+		for (const d of devices) {
+			console.log(`${d.device}\t${d.ip || '-'}\t${Buffer.from(d.serial).toString('hex')}`);
+		}
+		if (!devices.length) console.error('No devices found');
+	},
+
+	async locate(args, opts)
+	{
+		if (args.length < 2) throw new UsageError('locate needs a device and serial number');
+		const device = parseNumber(args[0], 'device');
+		const serial = Buffer.from(args[1], 'hex');
+		const ms = (args[2] === undefined) ? 10000 : parseNumber(args[2], 'time');
+
+		await withHiQnet(opts, hiq => hiq.locate(device, serial, ms));
+		if (opts.json) console.log(toJSON({ device, ms }));
+	},
+
+	async get(args, opts)
+	{
+		if (args.length < 2) throw new UsageError('get needs an address and at least one parameter');
+		const address = parseAddress(args[0]);
+		const params = args.slice(1).map(p => parseNumber(p, 'parameter'));
+
+		const values = await withHiQnet(opts, hiq => hiq.multiParamGet(address, params));
+
+		if (opts.json) {
+			console.log(toJSON(values));
+			return;
+		}
+		for (const id of params) console.log(`${id}\t${formatValue(values[id])}`);
+	},
+
+	async set(args, opts)
+	{
+		if (args.length < 2) throw new UsageError('set needs an address and at least one param=value');
+		const address = parseAddress(args[0]);
+
+		let changes = [];
+		for (const arg of args.slice(1)) {
+			const match = arg.match(/^(\d+)=(?:([a-z0-9]+):)?(.*)$/);
+			if (!match) throw new UsageError(`Invalid change "${arg}", expected param=value`);
+			changes.push({
+				id: parseNumber(match[1], 'parameter'),
+				type: (match[2] === undefined) ? undefined : HiQnet.getDataType(match[2]),
+				value: match[3],
+			});
+		}
+
+		const values = await withHiQnet(opts, async hiq => {
+			// Read the current values to find out the types not given.
+			const unknown = changes.filter(c => c.type === undefined).map(c => c.id);
+			if (unknown.length) await hiq.multiParamGet(address, unknown);
+
+			let values = {};
+			for (const c of changes) {
+				const type = (c.type === undefined) ? hiq.getParamType(address, c.id) : c.type;
+				values[c.id] = { type, value: parseValue(type, c.value) };
+			}
+			await hiq.multiParamSet(address, values);
+			return values;
+		});
+
+		if (opts.json) {
+			console.log(toJSON(Object.fromEntries(Object.entries(values).map(([id, v]) => [id, v.value]))));
+		}
+	},
+
+	async watch(args, opts)
+	{
+		if (args.length < 2) throw new UsageError('watch needs an address and at least one parameter');
+		const address = parseAddress(args[0]);
+		const params = args.slice(1).map(p => parseNumber(p, 'parameter'));
+
+		await withHiQnet(opts, async hiq => {
+			const print = values => {
+				if (opts.json) {
+					// One line per update so the output can be streamed.
+					console.log(JSON.stringify({ time: new Date(), values: JSON.parse(toJSON(values)) }));
+				} else {
+					for (const id of Object.keys(values)) {
+						console.log(`${new Date().toISOString()}\t${id}\t${formatValue(values[id])}`);
+					}
+				}
+			};
+
+			print(await hiq.multiParamGet(address, params));
+			const sub = await hiq.subscribe(address, params);
+			sub.on('change', print);
+
+			await new Promise(resolve => process.once('SIGINT', resolve));
+			await sub.unsubscribe().catch(() => {});
+		});
+	},
+
+	async tree(args, opts)
+	{
+		if (args.length < 1) throw new UsageError('tree needs a device');
+		const device = parseNumber(args[0], 'device');
+		let objects = {};
+		for (const arg of args.slice(1)) {
+			const [vd, ...object] = parseObject(arg);
+			if (!objects[vd]) objects[vd] = [];
+			objects[vd].push(object);
+		}
+
+		const tree = await withHiQnet(opts, hiq => hiq.walk(device, { objects }));
+
+		if (opts.json) {
+			console.log(toJSON(tree));
+			return;
+		}
+		const name = a => [a.nameString, a.className && `(${a.className})`].filter(n => n).join(' ');
+		console.log(`Device ${device} ${name(tree.attributes)}`);
+		for (const vd of tree.virtualDevices) {
+			console.log(`  VD ${vd.virtualDevice} ${name(vd.attributes)}`);
+			for (const o of vd.objects) {
+				console.log(`    Object ${o.object.join('.')} ${name(o.attributes)}`);
+				for (const [id, p] of Object.entries(o.parameters)) {
+					console.log(`      ${id} = ${formatValue(p.value)} (${getTypeName(p.type)})`);
+				}
+			}
+		}
+	},
+
+	async dissect(args, opts)
+	{
+		if (args.length !== 1) throw new UsageError('dissect needs a capture file');
+
+		if (opts.json) {
+			const frames = await HiQnet.Capture.readCapture(args[0]);
+			console.log(toJSON(frames.map(f => Object.assign({}, f, {
+				summary: HiQnet.Dissector.dissect(f.data),
+			}))));
+			return;
+		}
+		for (const line of await HiQnet.Dissector.dissectFile(args[0])) console.log(line);
+	},
+};
+
+async function main()
+{
+	let parsed;
+	try {
+		parsed = parseArgs({
+			allowPositionals: true,
+			options: {
+				transport: { type: 'string', short: 't' },
+				json: { type: 'boolean', short: 'j' },
+				timeout: { type: 'string' },
+				'device-id': { type: 'string' },
+				help: { type: 'boolean', short: 'h' },
+			},
+		});
+	} catch (e) {
+		throw new UsageError(e.message);
+	}
+
+	const [command, ...args] = parsed.positionals;
+	if (parsed.values.help || !command) {
+		process.stdout.write(USAGE);
+		return;
+	}
+	if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+		throw new UsageError(`Unknown command "${command}"`);
+	}
+
+	const opts = {
+		transport: parsed.values.transport,
+		json: Boolean(parsed.values.json),
+		timeout: (parsed.values.timeout === undefined)
+			? undefined : parseNumber(parsed.values.timeout, 'timeout'),
+		deviceId: (parsed.values['device-id'] === undefined)
+			? undefined : parseNumber(parsed.values['device-id'], 'device ID'),
+	};
+	await commands[command](args, opts);
+}
+
+main().catch(e => {
+	console.error(`hiqnet: ${e.message}`);
+	if (e instanceof UsageError) console.error('Try "hiqnet --help" for usage.');
+	process.exitCode = 1;
+});
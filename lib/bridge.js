@@ -0,0 +1,376 @@
+/**
+ * HiQnet device control library - MQTT bridge.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:bridge');
+const EventEmitter = require('events');
+
+const HiQnet = require('./hiqnet.js');
+const MqttClient = require('./mqtt.js');
+const { TimeoutError } = require('./error.js');
+
+const { dataTypes, getAddressKey, parseAddress, formatAddress, findNetwork } = HiQnet;
+
+/**
+ * Convert a parameter value into an MQTT payload.
+ */
+function formatValue(value)
+{
+	if (Buffer.isBuffer(value)) return value.toString('hex');
+	return String(value);
+}
+
+/**
+ * Convert an MQTT payload into a value of the parameter's data type.
+ */
+function parseValue(payload, dataType)
+{
+	const text = payload.toString('utf8');
+	switch (dataType) {
+		case dataTypes.string:
+			return text;
+		case dataTypes.block:
+			return Buffer.from(text.trim(), 'hex');
+		case dataTypes.int64:
+		case dataTypes.uint64:
+			return BigInt(text.trim());
+		default: {
+			const n = Number(text.trim());
+			if ((text.trim() === '') || Number.isNaN(n)) {
+				throw new Error(`Invalid value "${text}"`);
+			}
+			return n;
+		}
+	}
+}
+
+/**
+ * Publishes parameter values to an MQTT broker, and changes them when asked
+ * to over MQTT, for building management and home automation systems.
+ *
+ * Topics, beneath a configurable prefix:
+ *
+ *   hiqnet/status
+ *     `online` while the bridge is running, `offline` otherwise.  This is the
+ *     bridge's last will, so it is also published if the bridge dies.
+ *   hiqnet/<device>/status
+ *     `online` or `offline` as the device answers requests or stops doing so.
+ *   hiqnet/<device>/<vd>/<o1.o2.o3>/<param>
+ *     Current parameter value.  Numbers are sent as text, blocks as hex.
+ *   hiqnet/<device>/<vd>/<o1.o2.o3>/<param>/set
+ *     Publish a value here to change the parameter.
+ *
+ * All but the `set` topics are retained, so new subscribers see the current
+ * state straight away.  Only parameters listed in the `parameters` option are
+ * published or can be set.
+ *
+ * Emits:
+ *   error - A parameter could not be read or set.  Passed the error.
+ */
+class HiQnetMqttBridge extends EventEmitter
+{
+	/**
+	 * @param Object options
+	 *   Settings:
+	 *     hiq - HiQnet instance to send requests through.
+	 *     networks - Instead of `hiq`, an Array of `{ hiq, devices }` objects
+	 *       for more than one HiQnet instance.  `devices` lists the device
+	 *       addresses each one reaches; leave it out for the one to use for
+	 *       any other device.
+	 *     url - MQTT broker to connect to, e.g. `mqtt://localhost`.
+	 *     client - Instead of `url`, an already connected client from the `mqtt`
+	 *       package (or anything with the same `publish()`, `subscribe()` and
+	 *       `message` event).  Its last will should be set to publish a retained
+	 *       `offline` to the bridge status topic.
+	 *     username, password, clientId - MQTT connection settings for `url`.
+	 *     prefix - Start of every topic, defaults to `hiqnet`.
+	 *     parameters - Array of objects listing what to publish, each with:
+	 *       address - `device/vd/o1.o2.o3` string or HiQnet address.
+	 *       parameters - Array of parameter IDs within the object.
+	 *       subscribe - false to rely on polling alone, for devices that do not
+	 *         support subscriptions.  Defaults to true.
+	 *     interval - Milliseconds between polls, which also check that devices
+	 *       are still reachable.  Defaults to 10000.
+	 *     timeout - Milliseconds to wait for each device reply, defaults to
+	 *       the HiQnet instance's setting.
+	 */
+	constructor(options = {})
+	{
+		super();
+
+		this.networks = options.networks || (options.hiq ? [{ hiq: options.hiq }] : []);
+		if (!this.networks.length) throw new Error('HiQnetMqttBridge needs a HiQnet instance');
+
+		this.prefix = options.prefix || 'hiqnet';
+		this.interval = (options.interval === undefined) ? 10000 : options.interval;
+		this.timeout = options.timeout;
+
+		this.ownClient = !options.client;
+		this.client = options.client || new MqttClient(options.url, {
+			username: options.username,
+			password: options.password,
+			clientId: options.clientId,
+			will: {
+				topic: this.topic('status'),
+				payload: 'offline',
+				retain: true,
+			},
+		});
+
+		this.watches = (options.parameters || []).map(w => ({
+			address: parseAddress(w.address),
+			parameters: w.parameters,
+			subscribe: (w.subscribe === undefined) ? true : w.subscribe,
+			sub: null,
+			values: {},
+		}));
+
+		// Reachability of each device, keyed by device address.
+		this.online = {};
+
+		this.pollHandle = null;
+		this.polling = null;
+		this.started = false;
+
+		this.clientHandlers = {
+			connect: () => this.publishState(),
+			message: (topic, payload) => {
+				this.handleMessage(topic, payload).catch(e => this.failed(e));
+			},
+		};
+		this.transportHandlers = this.networks.map(network => ({
+			network: network,
+			connect: () => this.refresh(w => this.getHiQnet(w.address.device) === network.hiq),
+			close: () => {
+				for (const device of this.getDevices()) {
+					if (this.getHiQnet(device) === network.hiq) this.setOnline(device, false);
+				}
+			},
+		}));
+	}
+
+	/**
+	 * Connect to the broker and start publishing.
+	 */
+	async start()
+	{
+		this.started = true;
+		for (const [event, fn] of Object.entries(this.clientHandlers)) {
+			this.client.on(event, fn);
+		}
+		for (const h of this.transportHandlers) {
+			const transport = h.network.hiq.transport;
+			if (!transport.on) continue;
+			transport.on('connect', h.connect);
+			transport.on('close', h.close);
+		}
+
+		// Our own client publishes the state from its connect event.
+		if (this.ownClient) await this.client.connect();
+		else this.publishState();
+		this.client.subscribe(this.topic('+/+/+/+/set'));
+
+		await this.refresh();
+		if (this.interval) {
+			this.pollHandle = setInterval(() => {
+				// Don't pile up polls while unreachable devices are timing out.
+				if (this.polling) return;
+				this.polling = this.refresh().finally(() => {
+					this.polling = null;
+				});
+			}, this.interval);
+		}
+	}
+
+	/**
+	 * Stop publishing, mark everything offline and disconnect from the broker.
+	 */
+	async close()
+	{
+		if (!this.started) return;
+		this.started = false;
+		clearInterval(this.pollHandle);
+		this.pollHandle = null;
+
+		for (const [event, fn] of Object.entries(this.clientHandlers)) {
+			this.client.removeListener(event, fn);
+		}
+		for (const h of this.transportHandlers) {
+			const transport = h.network.hiq.transport;
+			if (!transport.removeListener) continue;
+			transport.removeListener('connect', h.connect);
+			transport.removeListener('close', h.close);
+		}
+
+		for (const w of this.watches) {
+			if (!w.sub) continue;
+			await w.sub.unsubscribe({ timeout: this.timeout })
+				.catch(e => debug(`Unable to unsubscribe: ${e.message}`));
+			w.sub = null;
+		}
+
+		for (const device of this.getDevices()) {
+			this.client.publish(this.topic(`${device}/status`), 'offline', { retain: true });
+		}
+		this.client.publish(this.topic('status'), 'offline', { retain: true });
+		if (this.ownClient) this.client.end();
+	}
+
+	topic(suffix)
+	{
+		return `${this.prefix}/${suffix}`;
+	}
+
+	/**
+	 * @return HiQnet instance that reaches the device.
+	 */
+	getHiQnet(device)
+	{
+		const hiq = findNetwork(this.networks, device);
+		if (!hiq) throw new Error(`Device ${device} is not reachable`);
+		return hiq;
+	}
+
+	getDevices()
+	{
+		return [...new Set(this.watches.map(w => w.address.device))];
+	}
+
+	/**
+	 * Publish everything retained again, e.g. after reconnecting to the broker.
+	 */
+	publishState()
+	{
+		this.client.publish(this.topic('status'), 'online', { retain: true });
+		for (const [device, online] of Object.entries(this.online)) {
+			this.client.publish(this.topic(`${device}/status`), online ? 'online' : 'offline', { retain: true });
+		}
+		for (const w of this.watches) {
+			for (const [id, value] of Object.entries(w.values)) {
+				this.publishValue(w.address, id, value);
+			}
+		}
+	}
+
+	publishValue(address, id, value)
+	{
+		this.client.publish(this.topic(`${formatAddress(address)}/${id}`), formatValue(value), { retain: true });
+	}
+
+	setOnline(device, online)
+	{
+		if (this.online[device] === online) return;
+		this.online[device] = online;
+		debug(`Device ${device} is ${online ? 'online' : 'offline'}`);
+		this.client.publish(this.topic(`${device}/status`), online ? 'online' : 'offline', { retain: true });
+	}
+
+	/**
+	 * Publish any values that differ from those last published.
+	 */
+	update(w, values)
+	{
+		for (const [id, value] of Object.entries(values)) {
+			const last = w.values[id];
+			const same = Buffer.isBuffer(value)
+				? (Buffer.isBuffer(last) && value.equals(last))
+				: (value === last);
+			if (same) continue;
+			w.values[id] = value;
+			this.publishValue(w.address, id, value);
+		}
+	}
+
+	/**
+	 * Read the parameters again, which also tells us whether their devices are
+	 * still there, and subscribe to any that aren't subscribed yet.
+	 *
+	 * @param Function filter
+	 *   Optional function returning true for the watches to refresh.
+	 */
+	async refresh(filter)
+	{
+		for (const w of this.watches) {
+			if (!this.started) return;
+			if (filter && !filter(w)) continue;
+			const device = w.address.device;
+			const hiq = this.getHiQnet(device);
+			try {
+				const wasOnline = this.online[device];
+				const values = await hiq.multiParamGet(w.address, w.parameters, { timeout: this.timeout });
+				this.setOnline(device, true);
+				this.update(w, values);
+
+				if (w.subscribe && !w.sub) {
+					w.sub = await hiq.subscribe(w.address, w.parameters, { timeout: this.timeout });
+					w.sub.on('change', values => this.update(w, values));
+				} else if (w.sub && (wasOnline === false)) {
+					// The device may have restarted and forgotten about us.
+					await w.sub.renew({ timeout: this.timeout });
+				}
+			} catch (e) {
+				if (e instanceof TimeoutError) {
+					this.setOnline(device, false);
+				} else {
+					this.failed(e);
+				}
+			}
+		}
+	}
+
+	async handleMessage(topic, payload)
+	{
+		const start = this.topic('');
+		if (!topic.startsWith(start) || !topic.endsWith('/set')) return;
+		const parts = topic.slice(start.length).split('/');
+		if (parts.length !== 5) return;
+
+		const address = parseAddress(parts.slice(0, 3).join('/'));
+		const id = Number(parts[3]);
+		const w = this.watches.find(w => (
+			(getAddressKey(w.address) === getAddressKey(address))
+			&& w.parameters.includes(id)
+		));
+		if (!w) {
+			debug(`Ignoring ${topic}, parameter is not bridged`);
+			return;
+		}
+
+		const hiq = this.getHiQnet(address.device);
+		const value = parseValue(payload, hiq.getParamType(address, id));
+		debug(`Setting ${formatAddress(address)}/${id} to ${formatValue(value)}`);
+		try {
+			await hiq.multiParamSet(address, { [id]: value }, { timeout: this.timeout });
+		} catch (e) {
+			if (e instanceof TimeoutError) this.setOnline(address.device, false);
+			throw e;
+		}
+		this.setOnline(address.device, true);
+		this.update(w, { [id]: value });
+	}
+
+	failed(e)
+	{
+		debug(`Bridge error: ${e.message}`);
+		if (this.listenerCount('error')) this.emit('error', e);
+	}
+};
+
+HiQnetMqttBridge.Client = MqttClient;
+
+module.exports = HiQnetMqttBridge;
@@ -0,0 +1,327 @@
+/**
+ * HiQnet device control library - reading and writing traffic captures.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:capture');
+const fs = require('fs');
+
+const HIQNET_PORT = 3804;
+
+// Port used for our end of the conversation in pcap files, so the direction
+// of each frame can be told from the ports.
+const LOCAL_PORT = 3805;
+
+// Addresses used in pcap files when the real ones aren't known.
+const LOCAL_ADDRESS = '10.0.0.1';
+const REMOTE_ADDRESS = '10.0.0.2';
+
+const PCAP_MAGIC = 0xA1B2C3D4;
+const PCAP_MAGIC_NS = 0xA1B23C4D;
+
+// pcap link types understood when reading.
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = 101;
+const LINKTYPE_LINUX_SLL = 113;
+const LINKTYPE_IPV4 = 228;
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_VLAN = 0x8100;
+
+const IPPROTO_UDP = 17;
+
+function isIPv4(address)
+{
+	return (typeof address === 'string') && /^\d+\.\d+\.\d+\.\d+$/.test(address);
+}
+
+/**
+ * Wrap a HiQnet message in IPv4 and UDP headers, so Wireshark's HiQnet
+ * dissector will recognise it.
+ */
+function encodeUDP(direction, data, remote)
+{
+	const remoteAddress = (remote && isIPv4(remote.address)) ? remote.address : REMOTE_ADDRESS;
+	const remotePort = (remote && remote.port) || HIQNET_PORT;
+	const [src, srcPort, dst, dstPort] = (direction === 'tx')
+		? [LOCAL_ADDRESS, LOCAL_PORT, remoteAddress, remotePort]
+		: [remoteAddress, remotePort, LOCAL_ADDRESS, LOCAL_PORT];
+
+	let ip = Buffer.alloc(20);
+	ip.writeUInt8(0x45, 0);                                    // IPv4, 20-byte header
+	ip.writeUInt16BE(Math.min(0xFFFF, 28 + data.length), 2);
+	ip.writeUInt8(64, 8);                                      // TTL
+	ip.writeUInt8(IPPROTO_UDP, 9);
+	Buffer.from(src.split('.').map(n => parseInt(n))).copy(ip, 12);
+	Buffer.from(dst.split('.').map(n => parseInt(n))).copy(ip, 16);
+
+	let sum = 0;
+	for (let i = 0; i < 20; i += 2) sum += ip.readUInt16BE(i);
+	while (sum > 0xFFFF) sum = (sum & 0xFFFF) + (sum >> 16);
+	ip.writeUInt16BE(~sum & 0xFFFF, 10);
+
+	let udp = Buffer.alloc(8);
+	udp.writeUInt16BE(srcPort, 0);
+	udp.writeUInt16BE(dstPort, 2);
+	udp.writeUInt16BE(Math.min(0xFFFF, 8 + data.length), 4);
+	// A zero checksum means none was calculated.
+
+	return Buffer.concat([ip, udp, data]);
+}
+
+/**
+ * Pull a HiQnet message back out of a captured packet.
+ *
+ * @return Object with `direction`, `remote` and `data` fields, or null if the
+ *   packet isn't HiQnet over UDP.
+ */
+function decodePacket(linkType, packet)
+{
+	let pos = 0;
+	switch (linkType) {
+		case LINKTYPE_ETHERNET: {
+			if (packet.length < 14) return null;
+			let etherType = packet.readUInt16BE(12);
+			pos = 14;
+			if ((etherType === ETHERTYPE_VLAN) && (packet.length >= 18)) {
+				etherType = packet.readUInt16BE(16);
+				pos = 18;
+			}
+			if (etherType !== ETHERTYPE_IPV4) return null;
+			break;
+		}
+		case LINKTYPE_LINUX_SLL:
+			if ((packet.length < 16) || (packet.readUInt16BE(14) !== ETHERTYPE_IPV4)) return null;
+			pos = 16;
+			break;
+		case LINKTYPE_RAW:
+		case LINKTYPE_IPV4:
+			break;
+		default:
+			return null;
+	}
+
+	if (packet.length < pos + 20) return null;
+	if ((packet.readUInt8(pos) >> 4) !== 4) return null;
+	const lenIP = (packet.readUInt8(pos) & 0x0F) * 4;
+	if (packet.readUInt8(pos + 9) !== IPPROTO_UDP) return null;
+	const src = Array.from(packet.slice(pos + 12, pos + 16)).join('.');
+	const dst = Array.from(packet.slice(pos + 16, pos + 20)).join('.');
+
+	pos += lenIP;
+	if (packet.length < pos + 8) return null;
+	const srcPort = packet.readUInt16BE(pos);
+	const dstPort = packet.readUInt16BE(pos + 2);
+	const lenUDP = packet.readUInt16BE(pos + 4);
+
+	// Our own captures mark our end with LOCAL_ADDRESS and LOCAL_PORT, which
+	// leaves the device free to be on any port.  In other captures, anything
+	// sent to the HiQnet port from elsewhere came from our side.
+	let tx;
+	if ((src === LOCAL_ADDRESS) && (srcPort === LOCAL_PORT)) {
+		tx = true;
+	} else if ((dst === LOCAL_ADDRESS) && (dstPort === LOCAL_PORT)) {
+		tx = false;
+	} else if ((srcPort === HIQNET_PORT) || (dstPort === HIQNET_PORT)) {
+		tx = (dstPort === HIQNET_PORT) && (srcPort !== HIQNET_PORT);
+	} else {
+		return null;
+	}
+	return {
+		direction: tx ? 'tx' : 'rx',
+		remote: tx ? { address: dst, port: dstPort } : { address: src, port: srcPort },
+		data: packet.slice(pos + 8, pos + Math.max(8, lenUDP)),
+	};
+}
+
+/**
+ * Writes frames to a capture file, as JSON lines or pcap.
+ *
+ * JSON lines files hold one object per frame, with `time` (ISO 8601),
+ * `direction` (`tx` or `rx`), `remote` (if the transport gave one) and `data`
+ * (hex) fields.
+ *
+ * pcap files wrap each frame in IPv4 and UDP headers so Wireshark can open
+ * them.  Our end of the conversation is 10.0.0.1 port 3805, which is how the
+ * direction is recorded.  The device end has the address and port the
+ * transport gave, or 10.0.0.2 port 3804 if it gave none.
+ */
+class CaptureWriter
+{
+	/**
+	 * @param String filename
+	 *   File to write to.  It is replaced if it exists.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     format - `jsonl` or `pcap`.  Defaults to pcap if the filename ends
+	 *       in `.pcap`, otherwise JSON lines.
+	 */
+	constructor(filename, options = {})
+	{
+		this.format = options.format || (/\.pcap$/i.test(filename) ? 'pcap' : 'jsonl');
+		if (!['jsonl', 'pcap'].includes(this.format)) {
+			throw new Error(`Unknown capture format: ${this.format}`);
+		}
+
+		this.stream = fs.createWriteStream(filename);
+		this.stream.on('error', err => {
+			debug(`Unable to write capture: ${err.message}`);
+		});
+
+		if (this.format === 'pcap') {
+			let header = Buffer.alloc(24);
+			header.writeUInt32LE(PCAP_MAGIC, 0);
+			header.writeUInt16LE(2, 4);       // version 2.4
+			header.writeUInt16LE(4, 6);
+			header.writeUInt32LE(0xFFFF, 16); // snapshot length
+			header.writeUInt32LE(LINKTYPE_RAW, 20);
+			this.stream.write(header);
+		}
+	}
+
+	/**
+	 * Record a frame.
+	 *
+	 * @param String direction
+	 *   `tx` for frames we sent, `rx` for frames we received.
+	 *
+	 * @param Buffer data
+	 *   Raw HiQnet message.
+	 *
+	 * @param Object remote
+	 *   Optional address of the other end, as passed to or from the transport.
+	 */
+	write(direction, data, remote)
+	{
+		const now = Date.now();
+
+		if (this.format === 'pcap') {
+			const packet = encodeUDP(direction, data, remote);
+			let header = Buffer.alloc(16);
+			header.writeUInt32LE(Math.floor(now / 1000), 0);
+			header.writeUInt32LE((now % 1000) * 1000, 4);
+			header.writeUInt32LE(packet.length, 8);
+			header.writeUInt32LE(packet.length, 12);
+			this.stream.write(Buffer.concat([header, packet]));
+
+		} else {
+			let entry = {
+				time: new Date(now).toISOString(),
+				direction: direction,
+			};
+			if (remote) entry.remote = remote;
+			entry.data = data.toString('hex');
+			this.stream.write(JSON.stringify(entry) + '\n');
+		}
+	}
+
+	/**
+	 * Finish writing the file.
+	 */
+	close()
+	{
+		return new Promise(resolve => this.stream.end(resolve));
+	}
+};
+
+/**
+ * Read the frames out of a capture in either format.
+ *
+ * pcap files written by other tools are also understood, as long as the
+ * HiQnet traffic is over UDP to or from port 3804.  Frames sent to port 3804
+ * from a different port are taken to be ours.
+ *
+ * @param Buffer data
+ *   Contents of the capture file.
+ *
+ * @return Array of frames, each an object with `time` (Date), `direction`
+ *   (`tx` or `rx`), `remote` (Object or undefined) and `data` (Buffer) fields.
+ */
+function parseCapture(data)
+{
+	if (data.length >= 4) {
+		const magic = data.readUInt32LE(0);
+		const magicBE = data.readUInt32BE(0);
+		if ([PCAP_MAGIC, PCAP_MAGIC_NS].includes(magic)) {
+			return parsePcap(data, false, magic === PCAP_MAGIC_NS);
+		}
+		if ([PCAP_MAGIC, PCAP_MAGIC_NS].includes(magicBE)) {
+			return parsePcap(data, true, magicBE === PCAP_MAGIC_NS);
+		}
+	}
+
+	let frames = [];
+	const lines = data.toString('utf8').split('\n');
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i].trim();
+		if (!line) continue;
+		let entry;
+		try {
+			entry = JSON.parse(line);
+		} catch (e) {
+			throw new Error(`Capture line ${i + 1} is not valid JSON: ${e.message}`);
+		}
+		frames.push({
+			time: new Date(entry.time),
+			direction: entry.direction,
+			remote: entry.remote,
+			data: Buffer.from(entry.data, 'hex'),
+		});
+	}
+	return frames;
+}
+
+function parsePcap(data, bigEndian, nanoseconds)
+{
+	const read32 = pos => bigEndian ? data.readUInt32BE(pos) : data.readUInt32LE(pos);
+	if (data.length < 24) throw new Error('Truncated pcap header');
+	const linkType = read32(20);
+
+	let frames = [];
+	let pos = 24, skipped = 0;
+	while (pos + 16 <= data.length) {
+		const sec = read32(pos);
+		const frac = read32(pos + 4);
+		const lenIncluded = read32(pos + 8);
+		pos += 16;
+		if (pos + lenIncluded > data.length) {
+			debug('Ignoring truncated packet at end of capture');
+			break;
+		}
+		const frame = decodePacket(linkType, data.slice(pos, pos + lenIncluded));
+		pos += lenIncluded;
+		if (!frame) {
+			skipped++;
+			continue;
+		}
+		frame.time = new Date(sec * 1000 + (nanoseconds ? frac / 1e6 : frac / 1e3));
+		frames.push(frame);
+	}
+	if (skipped) debug(`Skipped ${skipped} packets that weren't HiQnet over UDP`);
+	return frames;
+}
+
+/**
+ * Read a capture file.  See parseCapture().
+ */
+async function readCapture(filename)
+{
+	return parseCapture(await fs.promises.readFile(filename));
+}
+
+module.exports = { CaptureWriter, parseCapture, readCapture };
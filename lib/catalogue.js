@@ -0,0 +1,423 @@
+/**
+ * HiQnet device control library - parameter catalogues from product XML.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:catalogue');
+const fs = require('fs');
+
+const HiQnet = require('./hiqnet.js');
+
+const { dataTypes } = HiQnet;
+
+// Element names used by the product XML for each level of the tree.
+const VD_ELEMENTS = /^(VirtualDevice|VD)$/i;
+const OBJECT_ELEMENTS = /^(Object|Obj)$/i;
+const PARAM_ELEMENTS = /^(SV|StateVariable|Parameter|Param)$/i;
+const ENUM_ELEMENTS = /^(Enum|EnumValue|EnumItem|Item|Option)$/i;
+
+// Data type names used by the product XML, in addition to our own names.
+const XML_DATA_TYPES = {
+	byte:    dataTypes.int8,
+	sbyte:   dataTypes.int8,
+	ubyte:   dataTypes.uint8,
+	short:   dataTypes.int16,
+	word:    dataTypes.int16,
+	ushort:  dataTypes.uint16,
+	uword:   dataTypes.uint16,
+	int:     dataTypes.int32,
+	long:    dataTypes.int32,
+	uint:    dataTypes.uint32,
+	ulong:   dataTypes.uint32,
+	float32: dataTypes.float,
+	float64: dataTypes.double,
+	long64:  dataTypes.int64,
+	ulong64: dataTypes.uint64,
+};
+
+const XML_ENTITIES = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: "'",
+};
+
+function decodeEntities(text)
+{
+	return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, name) => {
+		if (name[0] === '#') {
+			const code = (name[1] === 'x' || name[1] === 'X')
+				? parseInt(name.slice(2), 16)
+				: parseInt(name.slice(1), 10);
+			return String.fromCodePoint(code);
+		}
+		const c = XML_ENTITIES[name.toLowerCase()];
+		return (c === undefined) ? match : c;
+	});
+}
+
+/**
+ * Parse an XML document into a tree of elements.
+ *
+ * Only as much of XML as the product files use is understood.  Parsing stops
+ * once the root element is closed, so any trailing data left over from
+ * extracting the XML out of a DLL is ignored.
+ *
+ * @param String text
+ *   XML document.
+ *
+ * @return Object for the root element, with `name`, `attributes`, `children`
+ *   and `text` fields.
+ */
+function parseXML(text)
+{
+	const root = { name: null, attributes: {}, children: [], text: '' };
+	let stack = [root];
+	let pos = 0;
+
+	while (pos < text.length) {
+		const current = stack[stack.length - 1];
+		const lt = text.indexOf('<', pos);
+		if (lt < 0) break;
+		if (lt > pos) current.text += decodeEntities(text.slice(pos, lt));
+
+		if (text.startsWith('<!--', lt)) {
+			const end = text.indexOf('-->', lt);
+			pos = (end < 0) ? text.length : end + 3;
+			continue;
+		}
+		if (text.startsWith('<![CDATA[', lt)) {
+			const end = text.indexOf(']]>', lt);
+			current.text += text.slice(lt + 9, (end < 0) ? text.length : end);
+			pos = (end < 0) ? text.length : end + 3;
+			continue;
+		}
+		if ((text[lt + 1] === '?') || (text[lt + 1] === '!')) {
+			// Declaration or DOCTYPE.
+			const end = text.indexOf('>', lt);
+			pos = (end < 0) ? text.length : end + 1;
+			continue;
+		}
+
+		const gt = text.indexOf('>', lt);
+		if (gt < 0) throw new Error(`Unterminated tag at offset ${lt}`);
+		let tag = text.slice(lt + 1, gt);
+		pos = gt + 1;
+
+		if (tag[0] === '/') {
+			const name = tag.slice(1).trim();
+			if (current.name !== name) {
+				throw new Error(`Expected </${current.name}> but found </${name}> at offset ${lt}`);
+			}
+			stack.pop();
+			if (stack.length === 1) break; // root element closed
+			continue;
+		}
+
+		const selfClosing = tag.endsWith('/');
+		if (selfClosing) tag = tag.slice(0, -1);
+
+		const match = tag.match(/^([^\s]+)/);
+		if (!match) throw new Error(`Invalid tag at offset ${lt}`);
+		let element = {
+			name: match[1],
+			attributes: {},
+			children: [],
+			text: '',
+		};
+		const reAttr = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+		let a;
+		while ((a = reAttr.exec(tag.slice(match[1].length))) !== null) {
+			element.attributes[a[1]] = decodeEntities((a[3] !== undefined) ? a[3] : a[4]);
+		}
+
+		current.children.push(element);
+		if (!selfClosing) stack.push(element);
+		else if (stack.length === 1) break;
+	}
+
+	if (!root.children.length) throw new Error('No XML elements found');
+	return root.children[0];
+}
+
+/**
+ * Look up an attribute by any of several names, ignoring case.
+ */
+function getAttribute(element, names)
+{
+	for (const name of names) {
+		const key = Object.keys(element.attributes).find(
+			k => k.toLowerCase() === name.toLowerCase()
+		);
+		if (key !== undefined) return element.attributes[key];
+	}
+	return undefined;
+}
+
+function parseNumber(s)
+{
+	if ((s === undefined) || (s.trim() === '')) return undefined;
+	const n = Number(s);
+	return isNaN(n) ? undefined : n;
+}
+
+/**
+ * Convert an object ID like `1.40.2`, or the equivalent single number, into
+ * the three-byte Array used by HiQnet addresses.
+ */
+function parseObjectId(s)
+{
+	if (s === undefined) return undefined;
+	const parts = s.split('.').map(p => parseNumber(p));
+	if (parts.some(p => p === undefined)) return undefined;
+	if (parts.length === 3) return parts;
+	if (parts.length === 1) {
+		return [(parts[0] >> 16) & 0xFF, (parts[0] >> 8) & 0xFF, parts[0] & 0xFF];
+	}
+	return undefined;
+}
+
+function parseDataType(s)
+{
+	if (s === undefined) return undefined;
+	const n = parseNumber(s);
+	if (n !== undefined) return n;
+	const name = s.toLowerCase();
+	if (dataTypes[name] !== undefined) return dataTypes[name];
+	return XML_DATA_TYPES[name];
+}
+
+/**
+ * Split a symbolic path like `Channel A/Gain` into its parts.
+ */
+function splitPath(path)
+{
+	return path.split('/').map(p => p.trim()).filter(p => p.length);
+}
+
+/**
+ * Virtual devices, objects and parameters of a product, as described by the
+ * XML embedded in the System Architect product DLLs.
+ *
+ * Each parameter is an object with these fields:
+ *   id - Parameter ID.
+ *   name - Parameter name.
+ *   path - Full symbolic path, e.g. `Crown XTi/Channel A/Gain`.
+ *   virtualDevice - Virtual device ID.
+ *   object - Object ID as an Array of three numbers.
+ *   type - Data type from HiQnet.dataTypes, or undefined if not given.
+ *   min, max, default - Numbers, or undefined if not given.
+ *   units - String, or undefined if not given.
+ *   enum - Object mapping values to labels, or null if the parameter is not
+ *     an enumeration.
+ */
+class HiQnetCatalogue
+{
+	constructor()
+	{
+		this.classId = undefined;
+		this.name = undefined;
+		this.virtualDevices = [];
+		this.parameters = [];
+	}
+
+	/**
+	 * Parse the XML for a single product.
+	 *
+	 * @param String xml
+	 *   XML text, starting with the `<Product>` element.
+	 *
+	 * @return HiQnetCatalogue.
+	 */
+	static parse(xml)
+	{
+		const root = parseXML(xml.replace(/^\uFEFF/, ''));
+		let catalogue = new HiQnetCatalogue();
+		catalogue.classId = parseNumber(getAttribute(root, ['ClassID']));
+		catalogue.name = getAttribute(root, ['Name']);
+
+		// Anything not inside a virtual device is taken to be in VD 0.
+		const defaultVd = {
+			id: 0,
+			name: catalogue.name || '',
+			objects: [],
+		};
+		catalogue.walk(root, defaultVd, []);
+		if (defaultVd.objects.length) catalogue.virtualDevices.unshift(defaultVd);
+
+		debug(`Loaded ${catalogue.parameters.length} parameters for product `
+			+ `${catalogue.name} (class ${catalogue.classId})`);
+		return catalogue;
+	}
+
+	/**
+	 * Read the XML for a single product from a file.
+	 *
+	 * @param String filename
+	 *   XML file, as extracted from a product DLL.
+	 *
+	 * @return HiQnetCatalogue.
+	 */
+	static async load(filename)
+	{
+		const xml = await fs.promises.readFile(filename, 'utf8');
+		return HiQnetCatalogue.parse(xml);
+	}
+
+	walk(element, vd, objects)
+	{
+		for (const child of element.children) {
+			if (VD_ELEMENTS.test(child.name)) {
+				const newVd = {
+					id: parseNumber(getAttribute(child, ['ID', 'VirtualDevice', 'Address', 'Index'])) || 0,
+					name: getAttribute(child, ['Name']) || '',
+					objects: [],
+				};
+				this.virtualDevices.push(newVd);
+				this.walk(child, newVd, []);
+
+			} else if (OBJECT_ELEMENTS.test(child.name)) {
+				const id = parseObjectId(getAttribute(child, ['ID', 'ObjectID', 'Address', 'Index']));
+				if (!id) {
+					// Panel groupings have no address, but may hold real objects.
+					debug(`Looking inside object ${getAttribute(child, ['Name'])} with no ID`);
+					this.walk(child, vd, objects);
+					continue;
+				}
+				const object = {
+					id: id,
+					name: getAttribute(child, ['Name']) || id.join('.'),
+					parameters: [],
+				};
+				vd.objects.push(object);
+				this.walk(child, vd, [...objects, object]);
+
+			} else if (PARAM_ELEMENTS.test(child.name)) {
+				const object = objects[objects.length - 1];
+				const id = parseNumber(getAttribute(child, ['ID', 'SVID', 'ParameterID', 'ParamID', 'Index']));
+				if (!object || (id === undefined)) {
+					debug(`Skipping parameter ${getAttribute(child, ['Name'])} with no ID or object`);
+					continue;
+				}
+				const name = getAttribute(child, ['Name']) || String(id);
+				const param = {
+					id: id,
+					name: name,
+					path: [vd.name, ...objects.map(o => o.name), name].filter(n => n).join('/'),
+					virtualDevice: vd.id,
+					object: object.id,
+					type: parseDataType(getAttribute(child, ['DataType', 'Type'])),
+					min: parseNumber(getAttribute(child, ['Min', 'Minimum', 'MinValue'])),
+					max: parseNumber(getAttribute(child, ['Max', 'Maximum', 'MaxValue'])),
+					default: parseNumber(getAttribute(child, ['Default', 'DefaultValue'])),
+					units: getAttribute(child, ['Units', 'Unit']),
+					enum: this.getEnum(child),
+				};
+				object.parameters.push(param);
+				this.parameters.push(param);
+
+			} else {
+				// Wrapper elements like <Objects> or <SVs>.
+				this.walk(child, vd, objects);
+			}
+		}
+	}
+
+	getEnum(element)
+	{
+		let labels = null;
+		const search = el => {
+			for (const child of el.children) {
+				if (ENUM_ELEMENTS.test(child.name)) {
+					const value = parseNumber(getAttribute(child, ['Value', 'ID', 'Index']));
+					const label = getAttribute(child, ['Label', 'Name', 'Text']) || child.text.trim();
+					if ((value !== undefined) && label) {
+						if (!labels) labels = {};
+						labels[value] = label;
+					}
+				}
+				search(child);
+			}
+		};
+		search(element);
+		return labels;
+	}
+
+	/**
+	 * Look up a parameter by its symbolic path.
+	 *
+	 * The path only needs enough of the trailing parts to be unique, so
+	 * `Channel A/Gain` will find `Crown XTi/Channel A/Gain`.  Case is ignored.
+	 *
+	 * @param String path
+	 *   Symbolic path, with parts separated by slashes.
+	 *
+	 * @param Number virtualDevice
+	 *   Optional virtual device ID to limit the search to.
+	 *
+	 * @return Object, the parameter.  Throws an Error if there is no match or
+	 *   more than one.
+	 */
+	find(path, virtualDevice)
+	{
+		const want = splitPath(path).map(p => p.toLowerCase());
+		const matches = this.parameters.filter(p => {
+			if ((virtualDevice !== undefined) && (p.virtualDevice !== virtualDevice)) return false;
+			const have = splitPath(p.path).map(n => n.toLowerCase());
+			if (want.length > have.length) return false;
+			const tail = have.slice(have.length - want.length);
+			return tail.every((n, i) => n === want[i]);
+		});
+		if (matches.length === 0) {
+			throw new Error(`No parameter matches "${path}" in ${this.name}`);
+		}
+		if (matches.length > 1) {
+			throw new Error(`"${path}" is ambiguous in ${this.name}, it could be any of: `
+				+ matches.map(p => p.path).join(', '));
+		}
+		return matches[0];
+	}
+
+	/**
+	 * Convert a value into its enum label, if the parameter has one.
+	 */
+	label(param, value)
+	{
+		if (param.enum && (param.enum[value] !== undefined)) return param.enum[value];
+		return value;
+	}
+
+	/**
+	 * Convert an enum label back into its value.  Anything that isn't a known
+	 * label is returned unchanged.
+	 */
+	unlabel(param, value)
+	{
+		if (param.enum && (typeof value === 'string')) {
+			const key = Object.keys(param.enum).find(
+				k => param.enum[k].toLowerCase() === value.toLowerCase()
+			);
+			if (key !== undefined) return Number(key);
+		}
+		return value;
+	}
+};
+
+HiQnetCatalogue.parseXML = parseXML;
+
+module.exports = HiQnetCatalogue;
@@ -0,0 +1,242 @@
+/**
+ * HiQnet device control library - device discovery.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:discovery');
+const EventEmitter = require('events');
+
+const HiQnet = require('./hiqnet.js');
+const HiQnetTransportUDP = require('./transport/udp.js');
+
+const { commands } = HiQnet;
+
+// A device is considered gone once it has missed this many keepalive periods.
+const KEEPALIVE_MISSES = 3;
+
+/**
+ * Find HiQnet devices on an IP network.
+ *
+ * Emits:
+ *   hello - A device has appeared on the network.  Passed the device record.
+ *   goodbye - A device has left the network, either by saying so or by missing
+ *     its keepalives.  Passed the last device record seen.
+ *   error - A malformed message was received.  Passed a HiQnet.ProtocolError.
+ *
+ * Device records are objects with `device`, `serial`, `networkId`,
+ * `maxMessageLen`, `keepAlivePeriod` and `ip` fields.
+ */
+class HiQnetDiscovery extends EventEmitter
+{
+	/**
+	 * @param Object options
+	 *   Optional settings:
+	 *     transport - UDP transport to use, defaults to a new
+	 *       HiQnetTransportUDP created with these same options.
+	 *     deviceId - Our HiQnet device address, used in the DiscoInfo query.
+	 *     serial - Our serial number as an Array or Buffer.
+	 *     maxMessageLen - Largest message we will accept, in bytes.
+	 *     keepAlivePeriod - Our keepalive period in milliseconds.
+	 */
+	constructor(options = {})
+	{
+		super();
+
+		this.transport = options.transport || new HiQnetTransportUDP(options);
+		this.hiq = new HiQnet(this.transport, msg => this.handleMessage(msg));
+		this.hiq.on('error', err => {
+			if (this.listenerCount('error')) this.emit('error', err);
+		});
+		if (options.deviceId !== undefined) this.hiq.deviceId = options.deviceId;
+
+		this.serial = options.serial || Buffer.alloc(16);
+		this.maxMessageLen = options.maxMessageLen || 0x10000;
+		this.keepAlivePeriod = options.keepAlivePeriod || 10000;
+
+		this.devices = {};
+		this.listening = false;
+		this.started = false;
+		this.expireHandle = null;
+		this.collectors = [];
+	}
+
+	/**
+	 * Begin listening for devices joining and leaving the network.
+	 */
+	async start()
+	{
+		this.started = true;
+		await this.listen();
+		this.expireHandle = setInterval(() => {
+			this.expireDevices();
+		}, 1000);
+	}
+
+	/**
+	 * Stop listening and close the socket.
+	 */
+	close()
+	{
+		this.started = false;
+		clearInterval(this.expireHandle);
+		this.expireHandle = null;
+		if (this.listening) {
+			this.transport.close();
+			this.listening = false;
+		}
+	}
+
+	async listen()
+	{
+		if (this.listening) return;
+		await this.transport.connect();
+		this.listening = true;
+	}
+
+	/**
+	 * Broadcast a DiscoInfo query and collect the replies.
+	 *
+	 * If start() has not been called, the socket is only held open until the
+	 * replies have been collected.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     timeout - Milliseconds to wait for replies, defaults to 2000.
+	 *
+	 * @return Array of device records, one per responding device.
+	 */
+	async discover(options = {})
+	{
+		const timeout = (options.timeout === undefined) ? 2000 : options.timeout;
+
+		await this.listen();
+
+		let found = {};
+		const collector = record => {
+			found[record.device + '/' + record.ip] = record;
+		};
+		this.collectors.push(collector);
+
+		try {
+			await this.transport.sendMessage(this.hiq.encode({
+				cmd: commands.discoInfo,
+				addrSource: {
+					device: this.hiq.deviceId,
+					virtualDevice: 0,
+					object: [0, 0, 0],
+				},
+				addrDest: {
+					device: 0xFFFF,
+					virtualDevice: 0,
+					object: [0, 0, 0],
+				},
+				payload: this.hiq.encodeDiscoInfo({
+					device: this.hiq.deviceId,
+					serial: this.serial,
+					maxMessageLen: this.maxMessageLen,
+					keepAlivePeriod: this.keepAlivePeriod,
+				}),
+			}));
+
+			await new Promise(resolve => setTimeout(resolve, timeout));
+
+		} finally {
+			this.collectors = this.collectors.filter(c => c !== collector);
+			if (!this.started) this.close();
+		}
+
+		return Object.values(found);
+	}
+
+	handleMessage(msg)
+	{
+		switch (msg.header.cmd) {
+			case commands.discoInfo: {
+				const d = msg.discoInfo;
+				if (!d) return; // error response
+
+				if (
+					(d.senderDeviceAddress === this.hiq.deviceId)
+					&& (Buffer.compare(Buffer.from(d.serial), Buffer.from(this.serial)) === 0)
+				) {
+					// Our own broadcast
+					return;
+				}
+
+				const record = {
+					device: d.senderDeviceAddress,
+					serial: d.serial,
+					networkId: d.networkId,
+					maxMessageLen: d.maxMessageLen,
+					keepAlivePeriod: d.keepAlivePeriod,
+					ip: (msg.remote && msg.remote.address) || (d.ip && d.ip.address),
+				};
+				this.seen(record);
+				for (const c of this.collectors) c(record);
+				break;
+			}
+
+			case commands.goodbye: {
+				const key = Object.keys(this.devices).find(
+					k => this.devices[k].record.device === msg.goodbye.device
+				);
+				if (key) this.forget(key);
+				break;
+			}
+
+			default:
+				debug(`Ignoring ${HiQnet.getCommandName(msg.header.cmd)}`);
+				break;
+		}
+	}
+
+	seen(record)
+	{
+		const key = record.device + '/' + record.ip;
+		const known = this.devices[key];
+		this.devices[key] = {
+			record: record,
+			lastSeen: Date.now(),
+		};
+		if (!known) {
+			debug(`Found device ${record.device} at ${record.ip}`);
+			this.emit('hello', record);
+		}
+	}
+
+	forget(key)
+	{
+		const record = this.devices[key].record;
+		delete this.devices[key];
+		debug(`Lost device ${record.device} at ${record.ip}`);
+		this.emit('goodbye', record);
+	}
+
+	expireDevices()
+	{
+		const now = Date.now();
+		for (const key of Object.keys(this.devices)) {
+			const d = this.devices[key];
+			const period = d.record.keepAlivePeriod;
+			if (period && (now - d.lastSeen > period * KEEPALIVE_MISSES)) {
+				this.forget(key);
+			}
+		}
+	}
+};
+
+module.exports = HiQnetDiscovery;
@@ -0,0 +1,114 @@
+/**
+ * HiQnet device control library - human-readable message dumps.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const util = require('util');
+
+const HiQnet = require('./hiqnet.js');
+const { readCapture } = require('./capture.js');
+const { ProtocolError } = require('./error.js');
+
+// Only used for its decoder, so it never sends anything.
+const decoder = new HiQnet({
+	sendMessage: () => Promise.resolve(),
+}, null);
+
+function formatAddress(address)
+{
+	return HiQnet.getAddressKey({
+		device: address.device,
+		virtualDevice: address.virtualDevice,
+		object: [(address.object >> 16) & 0xFF, (address.object >> 8) & 0xFF, address.object & 0xFF],
+	});
+}
+
+/**
+ * Describe a single HiQnet message the way decode() interprets it.
+ *
+ * @param Buffer data
+ *   Raw HiQnet message.
+ *
+ * @return String, a summary line followed by the decoded fields, if any.
+ */
+function dissect(data)
+{
+	let header, payload, msg;
+	try {
+		header = decoder.decodeHeader(data);
+		payload = data.slice(header.lenHeader);
+		if (header.flags.error || (header.flags.ack && !payload.length)) {
+			msg = { header };
+		} else if (header.flags.multipart) {
+			// Only part of the payload is here so it can't be decoded.
+			msg = { header, payload };
+		} else {
+			msg = decoder.decode(header, payload);
+		}
+	} catch (e) {
+		if (!(e instanceof ProtocolError)) throw e;
+		return `Malformed message: ${e.message}\n  ${data.toString('hex')}`;
+	}
+
+	let line = `${formatAddress(header.addrSource)} -> ${formatAddress(header.addrDest)} `
+		+ `${HiQnet.getCommandName(header.cmd)} #${header.seqNum}`;
+	const flagNames = Object.keys(header.flags);
+	if (flagNames.length) line += ` [${flagNames.join(' ')}]`;
+	if (header.error) line += ` ${header.error.codeName} "${header.error.text}"`;
+	if (header.multipart) {
+		line += ` (part of #${header.multipart.startSeqNum}, `
+			+ `${header.multipart.bytesRemaining} bytes to follow)`;
+	}
+	if (header.sessionNumber !== undefined) line += ` session ${header.sessionNumber}`;
+
+	const fields = Object.assign({}, msg);
+	delete fields.header;
+	if (Object.keys(fields).length) {
+		const detail = util.inspect(fields, { depth: 6, breakLength: 100 });
+		line += '\n' + detail.split('\n').map(l => '  ' + l).join('\n');
+	}
+	return line;
+}
+
+/**
+ * Describe each frame in a capture.
+ *
+ * @param Array frames
+ *   Frames as returned by readCapture().
+ *
+ * @return Array of Strings, one per frame, each starting with the time and
+ *   direction.
+ */
+function dissectFrames(frames)
+{
+	return frames.map(f => `${f.time.toISOString()} ${f.direction} ${dissect(f.data)}`);
+}
+
+/**
+ * Describe each frame in a capture file.
+ *
+ * @param String filename
+ *   Capture in JSON lines or pcap format.
+ *
+ * @return Array of Strings, see dissectFrames().
+ */
+async function dissectFile(filename)
+{
+	return dissectFrames(await readCapture(filename));
+}
+
+module.exports = { dissect, dissectFrames, dissectFile };
@@ -32,4 +32,33 @@ class DeviceError extends Error
 	}
 };
 
-module.exports = { DeviceBusyError, DeviceError };
+class TimeoutError extends Error
+{
+	constructor(message, msgHiQnet)
+	{
+		super(message);
+
+		this.msgHiQnet = msgHiQnet;
+	}
+};
+
+/**
+ * A message from the device (or whatever else is on the other end of the
+ * transport) could not be decoded.
+ *
+ * `data` holds the bytes being decoded when the problem was found, and
+ * `offset` the position within them of the bad field.  Once the error has
+ * passed through HiQnet.recv(), `frame` also holds the whole raw message.
+ */
+class ProtocolError extends Error
+{
+	constructor(message, data, offset)
+	{
+		super(message);
+
+		this.data = data;
+		this.offset = offset;
+	}
+};
+
+module.exports = { DeviceBusyError, DeviceError, ProtocolError, TimeoutError };
@@ -0,0 +1,589 @@
+/**
+ * HiQnet device control library - HTTP and WebSocket gateway.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const crypto = require('crypto');
+const debug = require('debug')('hiqnet:gateway');
+const EventEmitter = require('events');
+const http = require('http');
+
+const HiQnet = require('./hiqnet.js');
+const { DeviceError, TimeoutError } = require('./error.js');
+
+const { formatAddress, findNetwork } = HiQnet;
+
+// Appended to the client's key to prove we understand WebSocket (RFC 6455).
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const WS_OP_CONTINUATION = 0x0;
+const WS_OP_TEXT = 0x1;
+const WS_OP_BINARY = 0x2;
+const WS_OP_CLOSE = 0x8;
+const WS_OP_PING = 0x9;
+const WS_OP_PONG = 0xA;
+
+// Largest request body or WebSocket message accepted, in bytes.
+const MAX_MESSAGE_LEN = 0x10000;
+
+class HttpError extends Error
+{
+	constructor(status, message)
+	{
+		super(message);
+
+		this.status = status;
+	}
+};
+
+/**
+ * Server end of a WebSocket connection, handling just enough of RFC 6455 for
+ * exchanging JSON text messages.
+ *
+ * Emits:
+ *   message - A text message has arrived.  Passed the String.
+ *   close - The connection has closed.
+ */
+class WebSocketConnection extends EventEmitter
+{
+	constructor(socket)
+	{
+		super();
+
+		this.socket = socket;
+		this.rxBuffer = Buffer.alloc(0);
+		this.fragments = [];
+		this.closed = false;
+
+		socket.on('data', data => this.handleData(data));
+		socket.on('error', err => debug(`WebSocket error: ${err.message}`));
+		// HTTP servers allow half-open sockets, which would keep this one alive.
+		socket.on('end', () => socket.end());
+		socket.on('close', () => {
+			this.closed = true;
+			this.emit('close');
+		});
+	}
+
+	handleData(data)
+	{
+		this.rxBuffer = Buffer.concat([this.rxBuffer, data]);
+
+		while (this.rxBuffer.length >= 2) {
+			const b0 = this.rxBuffer.readUInt8(0);
+			const b1 = this.rxBuffer.readUInt8(1);
+			const fin = Boolean(b0 & 0x80);
+			const opcode = b0 & 0x0F;
+			const masked = Boolean(b1 & 0x80);
+			let len = b1 & 0x7F;
+			let pos = 2;
+
+			if (len === 126) {
+				if (this.rxBuffer.length < 4) return;
+				len = this.rxBuffer.readUInt16BE(2);
+				pos = 4;
+			} else if (len === 127) {
+				if (this.rxBuffer.length < 10) return;
+				len = Number(this.rxBuffer.readBigUInt64BE(2));
+				pos = 10;
+			}
+			if (!masked || (len > MAX_MESSAGE_LEN)) {
+				// Clients must mask their frames, and we don't want huge ones.
+				this.close(1002);
+				return;
+			}
+			if (this.rxBuffer.length < pos + 4 + len) return;
+
+			const mask = this.rxBuffer.slice(pos, pos + 4);
+			let payload = Buffer.from(this.rxBuffer.slice(pos + 4, pos + 4 + len));
+			for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+			this.rxBuffer = this.rxBuffer.slice(pos + 4 + len);
+
+			this.handleFrame(fin, opcode, payload);
+		}
+	}
+
+	handleFrame(fin, opcode, payload)
+	{
+		switch (opcode) {
+			case WS_OP_TEXT:
+			case WS_OP_BINARY:
+			case WS_OP_CONTINUATION:
+				this.fragments.push(payload);
+				if (fin) {
+					const message = Buffer.concat(this.fragments);
+					this.fragments = [];
+					this.emit('message', message.toString('utf8'));
+				}
+				break;
+			case WS_OP_PING:
+				this.sendFrame(WS_OP_PONG, payload);
+				break;
+			case WS_OP_PONG:
+				break;
+			case WS_OP_CLOSE:
+				this.close(1000);
+				break;
+			default:
+				this.close(1002);
+				break;
+		}
+	}
+
+	sendFrame(opcode, payload)
+	{
+		if (this.closed) return;
+		let header;
+		if (payload.length < 126) {
+			header = Buffer.from([0x80 | opcode, payload.length]);
+		} else if (payload.length <= 0xFFFF) {
+			header = Buffer.alloc(4);
+			header.writeUInt8(0x80 | opcode, 0);
+			header.writeUInt8(126, 1);
+			header.writeUInt16BE(payload.length, 2);
+		} else {
+			header = Buffer.alloc(10);
+			header.writeUInt8(0x80 | opcode, 0);
+			header.writeUInt8(127, 1);
+			header.writeBigUInt64BE(BigInt(payload.length), 2);
+		}
+		this.socket.write(Buffer.concat([header, payload]));
+	}
+
+	send(text)
+	{
+		this.sendFrame(WS_OP_TEXT, Buffer.from(text, 'utf8'));
+	}
+
+	close(code = 1000)
+	{
+		if (this.closed) return;
+		let payload = Buffer.alloc(2);
+		payload.writeUInt16BE(code, 0);
+		this.sendFrame(WS_OP_CLOSE, payload);
+		this.closed = true;
+		this.socket.end();
+	}
+};
+
+/**
+ * Convert values from the device into something JSON can hold.
+ */
+function toJSON(data)
+{
+	return JSON.stringify(data, (key, v) => {
+		if (typeof v === 'bigint') return v.toString();
+		// Buffer.toJSON() has already run by the time we see it.
+		if (v && (v.type === 'Buffer') && Array.isArray(v.data)) return Buffer.from(v.data).toString('hex');
+		return v;
+	});
+}
+
+function parseNumber(s, what)
+{
+	const n = Number(s);
+	if ((s === undefined) || (s === '') || !Number.isInteger(n) || (n < 0)) {
+		throw new HttpError(400, `Invalid ${what}: ${s}`);
+	}
+	return n;
+}
+
+/**
+ * Read an address in the `device/vd/o1.o2.o3` form, as used in URLs.
+ */
+function parseAddress(address)
+{
+	try {
+		return HiQnet.parseAddress(address);
+	} catch (e) {
+		throw new HttpError(400, e.message);
+	}
+}
+
+/**
+ * Turn an allow-list entry into a function that checks an address against it.
+ */
+function compileRule(rule)
+{
+	const parts = String(rule).split('/');
+	if (parts.length > 4) throw new Error(`Invalid allow-list entry "${rule}"`);
+	const any = pattern => (pattern === undefined) || (pattern === '*');
+	const match = (pattern, value) => any(pattern) || (Number(pattern) === value);
+	const matchObject = (pattern, object) => any(pattern)
+		|| (pattern.split('.').map(n => Number(n)).join('.') === object.join('.'));
+
+	// Leaving part of the address out, like locate does for everything below
+	// the device, needs a rule that covers every value of that part.
+	return (address, parameter) => (
+		match(parts[0], address.device)
+		&& ((address.virtualDevice === undefined) ? any(parts[1]) : match(parts[1], address.virtualDevice))
+		&& ((address.object === undefined) ? any(parts[2]) : matchObject(parts[2], address.object))
+		&& ((parameter === undefined) ? any(parts[3]) : match(parts[3], parameter))
+	);
+}
+
+/**
+ * Lets browsers and other non-Node clients control devices over HTTP.
+ *
+ * REST endpoints, all taking and returning JSON:
+ *
+ *   GET /api/<device>/<vd>/<o1.o2.o3>/<param>[,<param>...]
+ *     Read parameters.  Returns an object keyed by parameter ID.
+ *   PUT /api/<device>/<vd>/<o1.o2.o3>
+ *     Write parameters.  The body is an object keyed by parameter ID, in the
+ *     form HiQnet.multiParamSet() accepts.
+ *   POST /api/<device>/locate
+ *     Flash a device's LEDs.  The body has `serial` (hex) and optionally
+ *     `time` in milliseconds, defaulting to 10000.
+ *
+ * A WebSocket at /ws streams parameter changes.  Clients send
+ * `{ "subscribe": "<device>/<vd>/<o1.o2.o3>", "parameters": [ ... ] }` (or
+ * `unsubscribe` in the same form) and receive
+ * `{ "address": "<device>/<vd>/<o1.o2.o3>", "values": { ... } }` whenever any
+ * of those parameters change.
+ *
+ * Only addresses on the allow-list can be reached.
+ *
+ * Emits:
+ *   error - A request failed in an unexpected way.  Passed the error.
+ */
+class HiQnetGateway extends EventEmitter
+{
+	/**
+	 * @param Object options
+	 *   Settings:
+	 *     hiq - HiQnet instance to send requests through.
+	 *     networks - Instead of `hiq`, an Array of `{ hiq, devices }` objects
+	 *       for more than one HiQnet instance, e.g. one per USB device.
+	 *       `devices` lists the device addresses each one reaches; leave it
+	 *       out for the one to use for any other device.
+	 *     allow - Array of addresses that may be reached, in the
+	 *       `device/vd/o1.o2.o3/param` form.  Trailing parts may be left out
+	 *       to allow everything below, and `*` matches any value, e.g.
+	 *       `1/0/1.40.2` or `*\/*\/*\/4`.  Locating a device needs an entry
+	 *       covering the whole device, like `1`.  Nothing is allowed by
+	 *       default.
+	 *     timeout - Milliseconds to wait for each device reply, defaults to
+	 *       the HiQnet instance's setting.
+	 */
+	constructor(options = {})
+	{
+		super();
+
+		this.networks = options.networks || (options.hiq ? [{ hiq: options.hiq }] : []);
+		if (!this.networks.length) throw new Error('HiQnetGateway needs a HiQnet instance');
+		this.rules = (options.allow || []).map(compileRule);
+		this.timeout = options.timeout;
+
+		this.server = http.createServer((req, res) => this.handleRequest(req, res));
+		this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+		this.clients = new Set();
+
+		// Shared device subscriptions, keyed by `device/vd/object/param`.
+		this.watches = {};
+	}
+
+	/**
+	 * Start accepting connections.
+	 *
+	 * @param Number port
+	 *   TCP port, defaults to 8080.  0 picks a free port.
+	 *
+	 * @param String host
+	 *   Address to listen on, defaults to all interfaces.
+	 *
+	 * @return Number, the port being listened on.
+	 */
+	listen(port = 8080, host)
+	{
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(port, host, () => {
+				this.server.removeListener('error', reject);
+				const address = this.server.address();
+				debug(`Listening on port ${address.port}`);
+				resolve(address.port);
+			});
+		});
+	}
+
+	/**
+	 * Stop listening, disconnect WebSocket clients and end all subscriptions.
+	 */
+	async close()
+	{
+		for (const client of this.clients) client.close(1001);
+		this.clients.clear();
+		for (const watch of Object.values(this.watches)) {
+			// Pending subscriptions are cleaned up by watch() once they finish.
+			if (watch.sub) await watch.sub.unsubscribe().catch(() => {});
+		}
+		this.watches = {};
+		await new Promise(resolve => this.server.close(resolve));
+	}
+
+	/**
+	 * @return true if the address (and parameter, if given) is on the
+	 *   allow-list.
+	 */
+	isAllowed(address, parameter)
+	{
+		return this.rules.some(rule => rule(address, parameter));
+	}
+
+	checkAllowed(address, parameter)
+	{
+		if (!this.isAllowed(address, parameter)) {
+			const p = (parameter === undefined) ? '' : `/${parameter}`;
+			const a = address.object ? formatAddress(address) : String(address.device);
+			throw new HttpError(403, `Access to ${a}${p} is not allowed`);
+		}
+	}
+
+	/**
+	 * @return HiQnet instance that reaches the device.
+	 */
+	getHiQnet(device)
+	{
+		const hiq = findNetwork(this.networks, device);
+		if (!hiq) throw new HttpError(404, `Device ${device} is not reachable`);
+		return hiq;
+	}
+
+	async handleRequest(req, res)
+	{
+		let status = 200, result;
+		try {
+			result = await this.route(req);
+			if (result === undefined) status = 204;
+		} catch (e) {
+			if (e instanceof HttpError) {
+				status = e.status;
+			} else if (e instanceof DeviceError) {
+				status = 502;
+			} else if (e instanceof TimeoutError) {
+				status = 504;
+			} else {
+				status = 500;
+				debug(`Request failed: ${e.stack}`);
+				if (this.listenerCount('error')) this.emit('error', e);
+			}
+			result = { error: e.message };
+		}
+
+		debug(`${req.method} ${req.url} -> ${status}`);
+		if (status === 204) {
+			res.writeHead(status);
+			res.end();
+			return;
+		}
+		res.writeHead(status, { 'Content-Type': 'application/json' });
+		res.end(toJSON(result));
+	}
+
+	async route(req)
+	{
+		const url = new URL(req.url, 'http://localhost');
+		const parts = url.pathname.split('/').filter(p => p.length).map(decodeURIComponent);
+		if (parts[0] !== 'api') throw new HttpError(404, 'Not found');
+		const options = { timeout: this.timeout };
+
+		if ((parts.length === 3) && (parts[2] === 'locate')) {
+			if (req.method !== 'POST') throw new HttpError(405, 'Use POST');
+			const device = parseNumber(parts[1], 'device');
+			this.checkAllowed({ device });
+			const body = await this.readBody(req);
+			if (typeof body.serial !== 'string') throw new HttpError(400, 'Missing serial number');
+			const time = (body.time === undefined) ? 10000 : parseNumber(body.time, 'time');
+			await this.getHiQnet(device).locate(device, Buffer.from(body.serial, 'hex'), time, options);
+			return;
+		}
+
+		if ((parts.length === 5) && (req.method === 'GET')) {
+			const address = parseAddress(parts.slice(1, 4).join('/'));
+			const params = parts[4].split(',').map(p => parseNumber(p, 'parameter'));
+			for (const p of params) this.checkAllowed(address, p);
+			return this.getHiQnet(address.device).multiParamGet(address, params, options);
+		}
+
+		if ((parts.length === 4) && ['PUT', 'POST'].includes(req.method)) {
+			const address = parseAddress(parts.slice(1, 4).join('/'));
+			const body = await this.readBody(req);
+			if (!body || (typeof body !== 'object') || !Object.keys(body).length) {
+				throw new HttpError(400, 'Expected an object of parameter values');
+			}
+			for (const p of Object.keys(body)) this.checkAllowed(address, parseNumber(p, 'parameter'));
+			try {
+				await this.getHiQnet(address.device).multiParamSet(address, body, options);
+			} catch (e) {
+				// Unknown data types are the caller's problem.
+				if (/data type/i.test(e.message)) throw new HttpError(400, e.message);
+				throw e;
+			}
+			return;
+		}
+
+		throw new HttpError(404, 'Not found');
+	}
+
+	readBody(req)
+	{
+		return new Promise((resolve, reject) => {
+			let chunks = [], len = 0;
+			req.on('data', chunk => {
+				len += chunk.length;
+				if (len > MAX_MESSAGE_LEN) {
+					reject(new HttpError(413, 'Request body too large'));
+					req.destroy();
+					return;
+				}
+				chunks.push(chunk);
+			});
+			req.on('end', () => {
+				const text = Buffer.concat(chunks).toString('utf8');
+				if (!text) {
+					resolve({});
+					return;
+				}
+				try {
+					resolve(JSON.parse(text));
+				} catch (e) {
+					reject(new HttpError(400, `Invalid JSON: ${e.message}`));
+				}
+			});
+			req.on('error', reject);
+		});
+	}
+
+	handleUpgrade(req, socket, head)
+	{
+		const url = new URL(req.url, 'http://localhost');
+		const key = req.headers['sec-websocket-key'];
+		if (
+			(url.pathname !== '/ws')
+			|| !key
+			|| ((req.headers.upgrade || '').toLowerCase() !== 'websocket')
+		) {
+			socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+			return;
+		}
+
+		const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+		socket.write('HTTP/1.1 101 Switching Protocols\r\n'
+			+ 'Upgrade: websocket\r\n'
+			+ 'Connection: Upgrade\r\n'
+			+ `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+		const client = new WebSocketConnection(socket);
+		if (head && head.length) client.handleData(head);
+		this.clients.add(client);
+		debug(`WebSocket client connected from ${socket.remoteAddress}`);
+
+		client.on('message', text => {
+			this.handleClientMessage(client, text).catch(e => {
+				client.send(toJSON({ error: e.message }));
+			});
+		});
+		client.on('close', () => {
+			this.clients.delete(client);
+			this.releaseAll(client).catch(e => debug(`Unable to unsubscribe: ${e.message}`));
+		});
+	}
+
+	async handleClientMessage(client, text)
+	{
+		let msg;
+		try {
+			msg = JSON.parse(text);
+		} catch (e) {
+			throw new Error(`Invalid JSON: ${e.message}`);
+		}
+		const target = msg.subscribe || msg.unsubscribe;
+		if (!target || !Array.isArray(msg.parameters)) {
+			throw new Error('Expected { subscribe|unsubscribe: "device/vd/o1.o2.o3", parameters: [...] }');
+		}
+		const address = parseAddress(String(target));
+		const params = msg.parameters.map(p => parseNumber(p, 'parameter'));
+
+		if (msg.subscribe) {
+			for (const p of params) this.checkAllowed(address, p);
+			for (const p of params) await this.watch(client, address, p);
+		} else {
+			for (const p of params) await this.release(client, address, p);
+		}
+	}
+
+	/**
+	 * Send a client changes to a parameter, subscribing on the device if this
+	 * is the first client interested in it.
+	 */
+	async watch(client, address, parameter)
+	{
+		const key = `${formatAddress(address)}/${parameter}`;
+		let watch = this.watches[key];
+		if (watch) {
+			watch.clients.add(client);
+			return;
+		}
+
+		const hiq = this.getHiQnet(address.device);
+		watch = { sub: null, clients: new Set([client]) };
+		this.watches[key] = watch;
+		try {
+			watch.sub = await hiq.subscribe(address, [parameter], { timeout: this.timeout });
+		} catch (e) {
+			if (this.watches[key] === watch) delete this.watches[key];
+			throw e;
+		}
+		watch.sub.on('change', values => {
+			const text = toJSON({ address: formatAddress(address), values });
+			for (const c of watch.clients) c.send(text);
+		});
+		debug(`Subscribed to ${key}`);
+
+		// Everyone may have gone, or the gateway closed, while we were waiting.
+		if (!watch.clients.size || (this.watches[key] !== watch)) {
+			if (this.watches[key] === watch) delete this.watches[key];
+			await watch.sub.unsubscribe({ timeout: this.timeout });
+			debug(`Unsubscribed from ${key}`);
+		}
+	}
+
+	async release(client, address, parameter)
+	{
+		const key = `${formatAddress(address)}/${parameter}`;
+		const watch = this.watches[key];
+		if (!watch || !watch.clients.delete(client)) return;
+		if (watch.clients.size || !watch.sub) return;
+		delete this.watches[key];
+		await watch.sub.unsubscribe({ timeout: this.timeout });
+		debug(`Unsubscribed from ${key}`);
+	}
+
+	async releaseAll(client)
+	{
+		for (const key of Object.keys(this.watches)) {
+			const watch = this.watches[key];
+			if (!watch.clients.delete(client) || watch.clients.size || !watch.sub) continue;
+			delete this.watches[key];
+			await watch.sub.unsubscribe({ timeout: this.timeout });
+		}
+	}
+};
+
+module.exports = HiQnetGateway;
@@ -18,7 +18,17 @@
  */
 
 const debug = require('debug')('hiqnet:hiqnet');
-const { DeviceError } = require('./error.js');
+const EventEmitter = require('events');
+const { DeviceError, ProtocolError, TimeoutError } = require('./error.js');
+const HiQnetSession = require('./session.js');
+const {
+	HiQnetSubscription,
+	HiQnetEventLogSubscription,
+} = require('./subscription.js');
+
+// How long to remember requests we gave up on, so late replies to them aren't
+// mistaken for unsolicited messages.
+const EXPIRED_REQUEST_TTL = 30000;
 
 const commands = {
 	// Device-level methods
@@ -52,6 +62,71 @@ const commands = {
 	hello:                 0x0008,
 };
 
+// Bits in the header flags field.
+const flags = {
+	requestAck: 1 << 0,
+	ack:        1 << 1,
+	info:       1 << 2,
+	error:      1 << 3,
+	guaranteed: 1 << 5,
+	multipart:  1 << 6,
+	session:    1 << 8,
+};
+
+// Parameter value data types.
+const dataTypes = {
+	int8:   0,
+	uint8:  1,
+	int16:  2,
+	uint16: 3,
+	int32:  4,
+	uint32: 5,
+	float:  6,
+	double: 7,
+	block:  8,
+	string: 9,
+	int64:  10,
+	uint64: 11,
+};
+
+// Attribute IDs for getAttributes.  Class and name apply to the device
+// manager, virtual devices and objects, the rest only to the device manager.
+const attributeIds = {
+	className:       0,
+	nameString:      1,
+	flags:           2,
+	serialNumber:    3,
+	softwareVersion: 4,
+};
+
+// What store and recall operate on.
+const storeScopes = {
+	parameters:    0,
+	subscriptions: 1,
+	scenes:        2,
+	snapshots:     3,
+	presets:       4,
+	venue:         5,
+};
+
+// Priorities of event log entries, most important first.
+const eventPriorities = {
+	fault:       0,
+	warning:     1,
+	information: 2,
+};
+
+// Header flags we understand, offered to devices when opening a session.
+const SESSION_FLAG_MASK = flags.requestAck | flags.ack | flags.info | flags.error
+	| flags.guaranteed | flags.multipart | flags.session;
+
+// Values for the network ID field in DiscoInfo messages.
+const networkIds = {
+	ip:    1,
+	rs232: 4,
+	usb:   5,
+};
+
 // Error codes from Third Party Programmer Documentation page 34/35.
 // Each error code has a small explanation there.
 const errorCodes = {
@@ -100,417 +175,3129 @@ function getErrorName(c)
 	return `${errorName}(0x${errorCode.toString(16)})`;
 }
 
-class HiQnet
+// Size in bytes of each fixed-length data type.
+const dataTypeSizes = {
+	[dataTypes.int8]:   1,
+	[dataTypes.uint8]:  1,
+	[dataTypes.int16]:  2,
+	[dataTypes.uint16]: 2,
+	[dataTypes.int32]:  4,
+	[dataTypes.uint32]: 4,
+	[dataTypes.float]:  4,
+	[dataTypes.double]: 8,
+	[dataTypes.int64]:  8,
+	[dataTypes.uint64]: 8,
+};
+
+/**
+ * Make sure a field fits inside the data received.
+ *
+ * @param Buffer data
+ *   Message or payload being decoded.
+ *
+ * @param Number pos
+ *   Offset of the field.
+ *
+ * @param Number len
+ *   Length of the field in bytes.
+ *
+ * @param String what
+ *   Description of the field for the error message.
+ *
+ * @return Nothing, throws ProtocolError if the data is too short.
+ */
+function checkLength(data, pos, len, what)
 {
-	constructor(transport, cbUnsolicitedMessage)
-	{
-		this.transport = transport;
-		this.transport.callback = msg => this.recv(msg);
+	if (pos + len > data.length) {
+		throw new ProtocolError(`Truncated ${what}: needed ${len} bytes at offset ${pos} `
+			+ `but the data is only ${data.length} bytes long`, data, pos);
+	}
+}
 
-		this.cbUnsolicitedMessage = cbUnsolicitedMessage;
+/**
+ * Read a single parameter value.
+ *
+ * @param Buffer payload
+ *   Data to read from.
+ *
+ * @param Number pos
+ *   Offset of the value within `payload`.
+ *
+ * @param Number dataType
+ *   One of the `dataTypes` values.
+ *
+ * @return Object, `value` is the decoded value and `pos` is the offset of the
+ *   first byte following it.
+ */
+function decodeValue(payload, pos, dataType)
+{
+	if ((dataType === dataTypes.block) || (dataType === dataTypes.string)) {
+		checkLength(payload, pos, 2, 'value length');
+		const len = payload.readUInt16BE(pos);
+		checkLength(payload, pos + 2, len, 'value');
+		if ((dataType === dataTypes.string) && (len % 2)) {
+			throw new ProtocolError(`UTF-16 string has odd length ${len}`, payload, pos);
+		}
+	} else if (dataTypeSizes[dataType] !== undefined) {
+		checkLength(payload, pos, dataTypeSizes[dataType], 'value');
+	}
 
-		this.pendingMessages = [];
+	let value;
+	switch (dataType) {
+		case dataTypes.int8:
+			value = payload.readInt8(pos);
+			pos++;
+			break;
 
-		// TODO: Negotiate a device ID on the network or let the user pick one.
-		this.deviceId = 0x1234;
-	}
+		case dataTypes.uint8:
+			value = payload.readUInt8(pos);
+			pos++;
+			break;
 
-	send(msg)
-	{
-		return new Promise(async (resolve, reject) => {
-			const version = 2, lenHeader = 0x19;
-
-			let header = Buffer.alloc(lenHeader);
-			header.writeUInt8(version, 0);
-			header.writeUInt8(lenHeader, 1);
-			header.writeUInt32BE(lenHeader + (msg.payload && msg.payload.length || 0), 2);
-
-			header.writeUInt16BE(msg.addrSource.device, 6);
-			header.writeUInt8(msg.addrSource.virtualDevice, 8);
-			header.writeUInt8(msg.addrSource.object[0], 9);
-			header.writeUInt8(msg.addrSource.object[1], 10);
-			header.writeUInt8(msg.addrSource.object[2], 11);
-			//header.writeUInt8(msg.addrSource.object >> 16, 9);
-			//header.writeUInt16BE(msg.addrSource.object & 0xFFFF, 10);
-
-			header.writeUInt16BE(msg.addrDest.device, 12);
-			header.writeUInt8(msg.addrDest.virtualDevice, 14);
-			header.writeUInt8(msg.addrDest.object[0], 15);
-			header.writeUInt8(msg.addrDest.object[1], 16);
-			header.writeUInt8(msg.addrDest.object[2], 17);
-			//header.writeUInt8(msg.addrDest.object >> 16, 15);
-			//header.writeUInt16BE(msg.addrDest.object & 0xFFFF, 16);
-
-			header.writeUInt16BE(msg.cmd, 18);
-			header.writeUInt16BE(msg.flags || 0, 20);
-			header.writeUInt8(msg.hopCount || 5, 22);
-			header.writeUInt16BE(msg.seqNum || 0, 23);
-
-			const tx = msg.payload && Buffer.concat([header, msg.payload]) || header;
-
-			if (debug.enabled) {
-				// Decode the message again so we can be sure of what we're sending.
-				const outHeader = this.decodeHeader(tx);
-				const outPayload = tx.slice(outHeader.lenHeader);
-				const msgDecoded = this.decode(outHeader, outPayload);
-				debug(`Sending ${getCommandName(msgDecoded.header.cmd)}:`, msgDecoded);
-			}
-
-			this.pendingMessages.push({
-				cmd: msg.cmd,
-				handler: reply => {
-					resolve(reply);
-				},
-			});
+		case dataTypes.int16:
+			value = payload.readInt16BE(pos);
+			pos += 2;
+			break;
 
-			try {
-				await this.transport.sendMessage(tx);
-			} catch (e) {
-				reject(e);
-			}
-		});
-	}
+		case dataTypes.uint16:
+			value = payload.readUInt16BE(pos);
+			pos += 2;
+			break;
 
-	decodeHeader(msg)
-	{
-		let header = {
-			version: msg.readUInt8(0),
-			lenHeader: msg.readUInt8(1),
-			lenPayload: msg.readUInt32BE(2),
-			addrSource: {
-				device: msg.readUInt16BE(6),
-				virtualDevice: msg.readUInt8(8),
-				object: (msg.readUInt8(9) << 16) | msg.readUInt16BE(10),
-			},
-			addrDest: {
-				device: msg.readUInt16BE(12),
-				virtualDevice: msg.readUInt8(14),
-				object: (msg.readUInt8(15) << 16) | msg.readUInt16BE(16),
-			},
-			cmd: msg.readUInt16BE(18),
-			flagsValue: msg.readUInt16BE(20),
-			flags: {},
-			hopCount: msg.readUInt8(22),
-			seqNum: msg.readUInt16BE(23),
-		};
+		case dataTypes.int32:
+			value = payload.readInt32BE(pos);
+			pos += 4;
+			break;
 
-		if (header.flagsValue & (1 << 0)) header.flags.requestAck = true;
-		if (header.flagsValue & (1 << 1)) header.flags.ack = true;
-		if (header.flagsValue & (1 << 2)) header.flags.info = true;
-		if (header.flagsValue & (1 << 3)) header.flags.error = true;
-		if (header.flagsValue & (1 << 5)) header.flags.guaranteed = true;
-		if (header.flagsValue & (1 << 6)) header.flags.multipart = true;
-		if (header.flagsValue & (1 << 8)) header.flags.session = true;
+		case dataTypes.uint32:
+			value = payload.readUInt32BE(pos);
+			pos += 4;
+			break;
 
-		let endHeader = 25;
-		if (header.flags.error && (header.lenHeader >= 29)) {
-			header.error = {
-				code: msg.readUInt16BE(25),
-				text: null,
-			};
-			header.error.codeName = getErrorName(header.error.code);
+		case dataTypes.float:
+			value = payload.readFloatBE(pos);
+			pos += 4;
+			break;
 
-			let strlen = msg.readUInt16BE(27);
-			if (strlen > 2) {
-				header.error.text = msg.slice(29, 29 + strlen - 2).swap16().toString('utf16le');
-			}
+		case dataTypes.double:
+			value = payload.readDoubleBE(pos);
+			pos += 8;
+			break;
 
-			endHeader = 29 + strlen;
+		case dataTypes.block: {
+			let len = payload.readUInt16BE(pos);
+			pos += 2;
+			value = payload.slice(pos, pos + len);
+			pos += len;
+			break;
 		}
 
-		if (header.flags.multipart && (header.lenHeader >= 31)) {
-			header.multipart = {
-				startSeqNum: msg.readUInt16BE(25),
-				bytesRemaining: msg.readUInt32BE(27),
-			};
-			endHeader = 31;
+		case dataTypes.string: {
+			let len = payload.readUInt16BE(pos);
+			pos += 2;
+			if (len > 2) {
+				value = Buffer.from(payload.slice(pos, pos + len - 2)).swap16().toString('utf16le');
+			} else {
+				value = '';
+			}
+			pos += len;
+			break;
 		}
 
-		if (header.lenHeader > endHeader) {
-			// Leftover data we didn't process
-			header.extra = msg.slice(endHeader, header.lenHeader);
-		}
+		case dataTypes.int64:
+			value = payload.readBigInt64BE(pos);
+			pos += 8;
+			break;
 
-		return header;
+		case dataTypes.uint64:
+			value = payload.readBigUInt64BE(pos);
+			pos += 8;
+			break;
+
+		default:
+			throw new ProtocolError(`Unknown data type: ${dataType}`, payload, pos);
 	}
 
-	recv(msg)
-	{
-		const header = this.decodeHeader(msg);
-		const payload = msg.slice(header.lenHeader);
+	return { value, pos };
+}
 
-		let msgDecoded;
-		if (header.flags.error) {
-			msgDecoded = {
-				header: header,
-				payload: payload,
-			};
+/**
+ * Encode a single parameter value.
+ *
+ * @param Number dataType
+ *   One of the `dataTypes` values.
+ *
+ * @param Any value
+ *   Value to encode.  Must be a Buffer or Array for the block type, a string
+ *   for the string type, a BigInt or Number for the 64-bit types, and a Number
+ *   otherwise.
+ *
+ * @return Buffer.
+ */
+function encodeValue(dataType, value)
+{
+	let buf;
+	switch (dataType) {
+		case dataTypes.int8:
+			buf = Buffer.alloc(1);
+			buf.writeInt8(value, 0);
+			break;
 
-		} else {
-			// No error so decode normally.
-			msgDecoded = this.decode(header, payload);
+		case dataTypes.uint8:
+			buf = Buffer.alloc(1);
+			buf.writeUInt8(value, 0);
+			break;
+
+		case dataTypes.int16:
+			buf = Buffer.alloc(2);
+			buf.writeInt16BE(value, 0);
+			break;
+
+		case dataTypes.uint16:
+			buf = Buffer.alloc(2);
+			buf.writeUInt16BE(value, 0);
+			break;
+
+		case dataTypes.int32:
+			buf = Buffer.alloc(4);
+			buf.writeInt32BE(value, 0);
+			break;
+
+		case dataTypes.uint32:
+			buf = Buffer.alloc(4);
+			buf.writeUInt32BE(value, 0);
+			break;
+
+		case dataTypes.float:
+			buf = Buffer.alloc(4);
+			buf.writeFloatBE(value, 0);
+			break;
+
+		case dataTypes.double:
+			buf = Buffer.alloc(8);
+			buf.writeDoubleBE(value, 0);
+			break;
+
+		case dataTypes.block: {
+			const data = Buffer.from(value);
+			buf = Buffer.alloc(2);
+			buf.writeUInt16BE(data.length, 0);
+			buf = Buffer.concat([buf, data]);
+			break;
 		}
 
-		let handled = false;
-		this.pendingMessages = this.pendingMessages.filter(pendingMsg => {
-			if (pendingMsg.cmd === header.cmd) {
-				handled = true;
-				pendingMsg.handler(msgDecoded);
-				return false; // remove pending message
-			}
-			return true; // keep message for later
-		});
+		case dataTypes.string: {
+			// UTF-16BE with a terminating null, included in the length.
+			const data = Buffer.from(String(value) + '\0', 'utf16le').swap16();
+			buf = Buffer.alloc(2);
+			buf.writeUInt16BE(data.length, 0);
+			buf = Buffer.concat([buf, data]);
+			break;
+		}
 
-		if (handled) return;
+		case dataTypes.int64:
+			buf = Buffer.alloc(8);
+			buf.writeBigInt64BE(BigInt(value), 0);
+			break;
 
-		if (this.cbUnsolicitedMessage) this.cbUnsolicitedMessage(msgDecoded);
+		case dataTypes.uint64:
+			buf = Buffer.alloc(8);
+			buf.writeBigUInt64BE(BigInt(value), 0);
+			break;
+
+		default:
+			throw new Error(`Unknown data type: ${dataType}`);
 	}
+	return buf;
+}
 
-	decode(header, payload)
-	{
-		//debug('decode()', header, payload);
+/**
+ * Read a list of parameter IDs, types and values, as used by multiParamGet
+ * responses and multiParamSet.
+ *
+ * @param Buffer payload
+ *   Data to read from.
+ *
+ * @param Number pos
+ *   Offset of the list within `payload`, defaults to 0.
+ *
+ * @return Object, `parameters` maps each parameter ID to its value and `types`
+ *   maps each parameter ID to its data type.  `end` is the offset of the first
+ *   byte following the list.
+ */
+function decodeParamList(payload, pos = 0)
+{
+	let list = {
+		parameters: {},
+		types: {},
+	};
+	if (payload.length < pos + 2) return list; // e.g. an ack with no payload
 
-		let msg = {
-			header: header,
-		};
+	const paramCount = payload.readUInt16BE(pos);
+	pos += 2;
+	for (let i = 0; i < paramCount; i++) {
+		checkLength(payload, pos, 3, 'parameter list');
+		const paramId = payload.readUInt16BE(pos);
+		pos += 2;
+		const dataType = payload.readUInt8(pos);
+		pos++;
+		const v = decodeValue(payload, pos, dataType);
+		pos = v.pos;
+		list.parameters[paramId] = v.value;
+		list.types[paramId] = dataType;
+	}
+	Object.defineProperty(list, 'end', { value: pos });
+	return list;
+}
 
-		switch (header.cmd) {
-			case commands.discoInfo:
-				const lenSerial = payload.readUInt16BE(3);
-				const posPostSerial = 5 + lenSerial;
+/**
+ * Write a list of parameter IDs, types and values.
+ *
+ * @param Object values
+ *   Keys are parameter IDs, values are the values to encode.
+ *
+ * @param Object types
+ *   Keys are parameter IDs, values are `dataTypes` values.
+ *
+ * @return Buffer.
+ */
+function encodeParamList(values, types)
+{
+	const ids = Object.keys(values);
+	let parts = [];
 
-				msg.discoInfo = {
-					senderDeviceAddress: payload.readUInt16BE(0),
-					routeCost: payload.readUInt8(2),
-					serial: Array.from(payload.slice(5, posPostSerial)),
-					maxMessageLen: payload.readUInt32BE(posPostSerial),
-					keepAlivePeriod: payload.readUInt16BE(posPostSerial + 4),
+	let count = Buffer.alloc(2);
+	count.writeUInt16BE(ids.length, 0);
+	parts.push(count);
 
-					// 1 == IP, 4 == RS232, 5 == USB
-					networkId: payload.readUInt8(posPostSerial + 6),
+	for (const id of ids) {
+		let idType = Buffer.alloc(3);
+		idType.writeUInt16BE(parseInt(id), 0);
+		idType.writeUInt8(types[id], 2);
+		parts.push(idType);
+		parts.push(encodeValue(types[id], values[id]));
+	}
+	return Buffer.concat(parts);
+}
 
-					// USB: Seems to be nine 0x00 bytes
-					networkInfo: payload.slice(posPostSerial + 7, payload.length),
-				};
-				break;
-			case commands.addressUsed:
-				msg.addressUsed = {
-				};
-				break;
-			case commands.multiParamGet:
-				if (msg.header.flags.info) { // response
-					msg.multiParamGet = {
-						parameters: {},
-					};
-					const paramCount = payload.readUInt16BE(0);
-					let pos = 2;
-					for (let i = 0; i < paramCount; i++) {
-						const paramId = payload.readUInt16BE(pos);
-						pos += 2;
-						const dataType = payload.readUInt8(pos);
-						pos++;
-						let value;
-						switch (dataType) {
-							case 0: // int8
-								value = payload.readInt8(pos);
-								pos++;
-								break;
-
-							case 1: // uint8
-								value = payload.readUInt8(pos);
-								pos++;
-								break;
-
-							case 2: // int16be
-								value = payload.readInt16BE(pos);
-								pos += 2;
-								break;
-
-							case 3: // uint16be
-								value = payload.readUInt16BE(pos);
-								pos += 2;
-								break;
-
-							case 4: // int32be
-								value = payload.readInt32BE(pos);
-								pos += 4;
-								break;
-
-							case 5: // uint32be
-								value = payload.readUInt32BE(pos);
-								pos += 4;
-								break;
-
-							case 6: // float
-								value = payload.readFloatBE(pos);
-								pos += 4;
-								break;
-
-							case 7: // double
-								value = payload.readDoubleBE(pos);
-								pos += 8;
-								break;
-
-							case 8: { // block
-								let len = payload.readUInt16BE(pos);
-								pos += 2;
-								value = payload.slice(pos, pos + len);
-								pos += len;
-								break;
-							}
-
-							case 9: { // string
-								let len = payload.readUInt16BE(pos);
-								pos += 2;
-								if (len > 2) {
-									value = payload.slice(pos, pos + len - 2).swap16().toString('utf16le');
-								} else {
-									value = '';
-								}
-								pos += len;
-								break;
-							}
-
-							case 10: // int64be
-								value = payload.readBigInt64BE(pos);
-								pos += 8;
-								break;
-
-							case 11: // uint64be
-								value = payload.readBigUInt64BE(pos);
-								pos += 8;
-								break;
-
-							default:
-								throw new Error(`Unknown data type: ${dataType}`);
-						}
-						msg.multiParamGet.parameters[paramId] = value;
-					}
+// Percentages are sent as 1.15 fixed point numbers, so 0x8000 is 100%.
+const PERCENT_SCALE = 0x8000;
 
-				} else { // request
-					msg.multiParamGet = {
-						parameters: [],
-					};
-					const paramCount = payload.readUInt16BE(0);
-					for (let i = 0; i < paramCount; i++) {
-						const p = payload.readUInt16BE(2 + i * 2);
-						msg.multiParamGet.parameters.push(p);
-					}
-				}
-				break;
-			default:
-				debug(`Message ${getCommandName(header.cmd)} not implemented yet!`);
-				msg.payload = payload;
-				break;
-		}
+/**
+ * Read a list of parameter IDs and percentages, as used by paramSetPercent.
+ *
+ * @return Object, `parameters` maps each parameter ID to its value as a
+ *   fraction between 0 and 1.
+ */
+function decodePercentList(payload)
+{
+	let list = {
+		parameters: {},
+	};
+	if (payload.length < 2) return list; // e.g. an ack with no payload
 
-		return msg;
+	const paramCount = payload.readUInt16BE(0);
+	checkLength(payload, 2, paramCount * 4, 'percentage list');
+	for (let i = 0; i < paramCount; i++) {
+		const pos = 2 + i * 4;
+		const paramId = payload.readUInt16BE(pos);
+		list.parameters[paramId] = payload.readUInt16BE(pos + 2) / PERCENT_SCALE;
 	}
+	return list;
+}
 
-	/**
-	 * Flash device LEDs for identification purposes.
-	 *
-	 * @param Array|Buffer deviceSerial
-	 *   Serial number of device to be located, as returned by identification
-	 *   commands.
-	 *
-	 * @param Number msTime
-	 *   Number of milliseconds to flash LEDs for.  0xFFFF means forever, 0 means
-	 *   stop flashing immediately.
-	 */
-	locate(deviceId, deviceSerial, msTime)
-	{
-		let payload = Buffer.concat([
-			Buffer.alloc(4),
-			Buffer.from(deviceSerial),
-		]);
-		payload.writeUInt16BE(msTime, 0);
-		payload.writeUInt16BE(deviceSerial.length, 2);
-
-		return this.send({
-			cmd: commands.locate,
-			addrSource: {
-				device: this.deviceId,
-				virtualDevice: 0,
-				object: [0, 0, 0],
-			},
-			addrDest: {
-				device: deviceId,
-				virtualDevice: 0,
-				object: [0, 0, 0],
-			},
-			payload: payload,
-		});
+/**
+ * Write a list of parameter IDs and percentages.
+ *
+ * @param Object values
+ *   Keys are parameter IDs, values are fractions between 0 and 1.  Values out
+ *   of range are clamped.
+ *
+ * @return Buffer.
+ */
+function encodePercentList(values)
+{
+	const ids = Object.keys(values);
+	let payload = Buffer.alloc(2 + ids.length * 4);
+	payload.writeUInt16BE(ids.length, 0);
+	let pos = 2;
+	for (const id of ids) {
+		const fraction = Math.min(1, Math.max(0, values[id]));
+		payload.writeUInt16BE(parseInt(id), pos);
+		payload.writeUInt16BE(Math.round(fraction * PERCENT_SCALE), pos + 2);
+		pos += 4;
 	}
+	return payload;
+}
 
-	/**
-	 * Find out whether the address is in use on the HiQnet network.
+/**
+ * Read a list of 16-bit IDs preceded by a count, as used by multiParamGet and
+ * getAttributes requests.
+ *
+ * @return Array of Numbers.
+ */
+function decodeIdList(payload)
+{
+	let ids = [];
+	if (payload.length < 2) return ids;
+
+	const count = payload.readUInt16BE(0);
+	checkLength(payload, 2, count * 2, 'ID list');
+	for (let i = 0; i < count; i++) {
+		ids.push(payload.readUInt16BE(2 + i * 2));
+	}
+	return ids;
+}
+
+/**
+ * Write a list of 16-bit IDs preceded by a count.
+ *
+ * @return Buffer.
+ */
+function encodeIdList(ids)
+{
+	let payload = Buffer.alloc(2 + ids.length * 2);
+	payload.writeUInt16BE(ids.length, 0);
+	for (let i = 0; i < ids.length; i++) {
+		payload.writeUInt16BE(ids[i], 2 + i * 2);
+	}
+	return payload;
+}
+
+/**
+ * Read the subscription list used by multiParamSubscribe and
+ * paramSubscribePercent.
+ *
+ * @return Object, `subscriptions` is an Array of subscription details.
+ */
+function decodeSubscriptionList(payload)
+{
+	let list = {
+		subscriptions: [],
+	};
+	if (payload.length < 2) return list; // e.g. an ack with no payload
+
+	const count = payload.readUInt16BE(0);
+	checkLength(payload, 2, count * 16, 'subscription list');
+	for (let i = 0; i < count; i++) {
+		const pos = 2 + i * 16;
+		list.subscriptions.push({
+			publisherParameter: payload.readUInt16BE(pos),
+			type: payload.readUInt8(pos + 2),
+			subscriber: {
+				device: payload.readUInt16BE(pos + 3),
+				virtualDevice: payload.readUInt8(pos + 5),
+				object: payload.readUIntBE(pos + 6, 3),
+			},
+			subscriberParameter: payload.readUInt16BE(pos + 9),
+			sensitivity: payload.readUInt16BE(pos + 14),
+		});
+	}
+	return list;
+}
+
+/**
+ * Work out when an event log entry was logged.
+ *
+ * Devices send the date as `YYYY-MM-DD` (or with slashes, or as `MM/DD/YYYY`)
+ * and the time as `HH:MM` or `HH:MM:SS`, in their own local time, which is
+ * assumed to be ours.
+ *
+ * @return Date, or null if the date or time could not be understood.
+ */
+function parseEventTime(date, time)
+{
+	let year, month, day;
+	let m = /^\s*(\d{4})[-/](\d{1,2})[-/](\d{1,2})\s*$/.exec(date);
+	if (m) {
+		[year, month, day] = [m[1], m[2], m[3]].map(n => parseInt(n, 10));
+	} else {
+		m = /^\s*(\d{1,2})\/(\d{1,2})\/(\d{4})\s*$/.exec(date);
+		if (!m) return null;
+		[month, day, year] = [m[1], m[2], m[3]].map(n => parseInt(n, 10));
+	}
+
+	m = /^\s*(\d{1,2}):(\d{2})(?::(\d{2}))?\s*$/.exec(time);
+	if (!m) return null;
+	const [hour, minute, second] = [m[1], m[2], m[3] || '0'].map(n => parseInt(n, 10));
+
+	if ((hour > 23) || (minute > 59) || (second > 59)) return null;
+	const timestamp = new Date(year, month - 1, day, hour, minute, second);
+	// Reject days that don't exist, like the 31st of April.
+	if ((timestamp.getMonth() !== month - 1) || (timestamp.getDate() !== day)) return null;
+	return timestamp;
+}
+
+/**
+ * Read a list of event log entries.
+ *
+ * @return Object, `entries` is an Array of objects with `category`, `eventId`,
+ *   `priority` (see eventPriorities), `sequenceNumber`, `date` and `time` (as
+ *   sent by the device), `timestamp` (a Date, see parseEventTime()), `text`
+ *   and `info` (a Buffer with any extra event-specific data).
+ */
+function decodeEventLog(payload)
+{
+	let log = {
+		entries: [],
+	};
+	if (payload.length < 2) return log; // e.g. a request, or an ack
+
+	const count = payload.readUInt16BE(0);
+	let pos = 2;
+	for (let i = 0; i < count; i++) {
+		checkLength(payload, pos, 9, 'event log entry');
+		let entry = {
+			category: payload.readUInt16BE(pos),
+			eventId: payload.readUInt16BE(pos + 2),
+			priority: payload.readUInt8(pos + 4),
+			sequenceNumber: payload.readUInt32BE(pos + 5),
+		};
+		pos += 9;
+
+		let v = decodeValue(payload, pos, dataTypes.string);
+		entry.time = v.value;
+		v = decodeValue(payload, v.pos, dataTypes.string);
+		entry.date = v.value;
+		v = decodeValue(payload, v.pos, dataTypes.string);
+		entry.text = v.value;
+		v = decodeValue(payload, v.pos, dataTypes.block);
+		entry.info = v.value;
+		pos = v.pos;
+
+		entry.timestamp = parseEventTime(entry.date, entry.time);
+
+		log.entries.push(entry);
+	}
+	return log;
+}
+
+/**
+ * Write a list of event log entries, the reverse of decodeEventLog().
+ *
+ * @param Array entries
+ *   Objects in the format returned by decodeEventLog().  If `date` or `time`
+ *   is missing it is taken from `timestamp`, or the current time.  Other
+ *   missing fields are zero or empty.
+ *
+ * @return Buffer.
+ */
+function encodeEventLog(entries)
+{
+	const pad = n => String(n).padStart(2, '0');
+	let count = Buffer.alloc(2);
+	count.writeUInt16BE(entries.length, 0);
+	let parts = [count];
+
+	for (const entry of entries) {
+		const when = entry.timestamp || new Date();
+		let fixed = Buffer.alloc(9);
+		fixed.writeUInt16BE(entry.category || 0, 0);
+		fixed.writeUInt16BE(entry.eventId || 0, 2);
+		fixed.writeUInt8(entry.priority || 0, 4);
+		fixed.writeUInt32BE(entry.sequenceNumber || 0, 5);
+		parts.push(
+			fixed,
+			encodeValue(dataTypes.string, (entry.time !== undefined) ? entry.time
+				: `${pad(when.getHours())}:${pad(when.getMinutes())}:${pad(when.getSeconds())}`),
+			encodeValue(dataTypes.string, (entry.date !== undefined) ? entry.date
+				: `${when.getFullYear()}-${pad(when.getMonth() + 1)}-${pad(when.getDate())}`),
+			encodeValue(dataTypes.string, entry.text || ''),
+			encodeValue(dataTypes.block, entry.info || Buffer.alloc(0)),
+		);
+	}
+	return Buffer.concat(parts);
+}
+
+/**
+ * Convert a data type name or number into a `dataTypes` value.
+ */
+function getDataType(t)
+{
+	if (typeof t === 'string') {
+		if (dataTypes[t] === undefined) throw new Error(`Unknown data type: ${t}`);
+		return dataTypes[t];
+	}
+	return t;
+}
+
+/**
+ * Build a string uniquely identifying a HiQnet object address, in the
+ * `device.virtualDevice.o1.o2.o3` form.
+ */
+function getAddressKey(address)
+{
+	return [
+		address.device,
+		address.virtualDevice,
+		...address.object,
+	].join('.');
+}
+
+/**
+ * Read an address in the `device/vd/o1.o2.o3` form used by the gateway, MQTT
+ * bridge and OSC server.  HiQnet address objects are returned unchanged.
+ */
+function parseAddress(address)
+{
+	if (typeof address !== 'string') return address;
+	const parts = address.split('/');
+	const object = (parts[2] || '').split('.');
+	if (
+		(parts.length !== 3)
+		|| (object.length !== 3)
+		|| [parts[0], parts[1], ...object].some(n => !/^\d+$/.test(n))
+	) {
+		throw new Error(`Invalid address "${address}", expected device/vd/o1.o2.o3`);
+	}
+	return {
+		device: Number(parts[0]),
+		virtualDevice: Number(parts[1]),
+		object: object.map(n => Number(n)),
+	};
+}
+
+/**
+ * Write an address in the `device/vd/o1.o2.o3` form read by parseAddress().
+ */
+function formatAddress(address)
+{
+	return `${address.device}/${address.virtualDevice}/${address.object.join('.')}`;
+}
+
+/**
+ * Pick the HiQnet instance that reaches a device.
+ *
+ * @param Array networks
+ *   `{ hiq, devices }` objects, where `devices` lists the device addresses
+ *   `hiq` reaches.  An entry without `devices` is used for any other device.
+ *
+ * @param Number device
+ *   Device address.
+ *
+ * @return HiQnet instance, or null if none reaches the device.
+ */
+function findNetwork(networks, device)
+{
+	const network = networks.find(n => n.devices && n.devices.includes(device))
+		|| networks.find(n => !n.devices);
+	return network ? network.hiq : null;
+}
+
+/**
+ * Convert an object ID given as an array of three bytes, as used by outgoing
+ * addresses, into the single number used by decodeHeader().
+ */
+function getObjectNumber(object)
+{
+	if (Array.isArray(object)) {
+		return (object[0] << 16) | (object[1] << 8) | object[2];
+	}
+	return object;
+}
+
+/**
+ * @return true if a message answers a request, by having the same command and
+ *   sequence number and coming from the address the request was sent to.
+ */
+function isReplyTo(request, header)
+{
+	const src = header.addrSource;
+	return (request.cmd === header.cmd)
+		&& (request.seqNum === header.seqNum)
+		// Broadcasts can be answered by any device.
+		&& ((request.device === null) || (request.device === src.device))
+		&& (request.virtualDevice === src.virtualDevice)
+		&& (request.object === src.object);
+}
+
+/**
+ * Encode a full HiQnet address as it appears inside a message payload.
+ *
+ * @return Buffer, six bytes long.
+ */
+function encodeAddress(address)
+{
+	let buf = Buffer.alloc(6);
+	buf.writeUInt16BE(address.device, 0);
+	buf.writeUInt8(address.virtualDevice, 2);
+	buf.writeUIntBE(getObjectNumber(address.object), 3, 3);
+	return buf;
+}
+
+/**
+ * Emits:
+ *   error - A malformed message was received and dropped.  Passed a
+ *     ProtocolError.
+ */
+class HiQnet extends EventEmitter
+{
+	/**
+	 * @param Object transport
+	 *   Transport instance to send and receive messages through.
+	 *
+	 * @param Function cbUnsolicitedMessage
+	 *   Optional callback, passed any decoded message that isn't a reply to a
+	 *   request or an update for a subscription.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     timeout - Default number of milliseconds to wait for a reply before
+	 *       giving up with a TimeoutError.  0 waits forever.  Defaults to 5000.
+	 *     guaranteed - true to ask for every message to be acknowledged, and
+	 *       retransmit it until it is.  Defaults to false.
+	 *     retries - In guaranteed mode, how many times to retransmit a message
+	 *       before giving up with a TimeoutError.  Defaults to 3.
+	 *     retryDelay - Milliseconds to wait for an acknowledgement before the
+	 *       first retransmission.  The delay doubles after each attempt.
+	 *       Defaults to 250.
+	 *     maxMessageLen - Largest message to send to devices whose limit isn't
+	 *       known, in bytes.  Larger messages are split into multiple parts.
+	 *       Defaults to no limit.
+	 *     deviceId - Our own HiQnet device address.  Defaults to 0x1234, but
+	 *       on a network shared with other devices either pick an unused one
+	 *       here or call negotiateAddress() to have one chosen automatically.
+	 *     serial - Our serial number, as an Array or Buffer, sent to devices
+	 *       that ask for it.  Defaults to 16 zero bytes.
+	 *     keepAlivePeriod - Milliseconds between keepalives that devices with
+	 *       a session open should expect from us.  Defaults to 10000.
+	 *     catalogue - HiQnet.Catalogue to look up symbolic parameter paths in,
+	 *       for devices not given their own with setCatalogue().
+	 */
+	constructor(transport, cbUnsolicitedMessage, options = {})
+	{
+		super();
+
+		this.transport = transport;
+		this.transport.callback = (msg, remote) => this.recv(msg, remote);
+
+		this.cbUnsolicitedMessage = cbUnsolicitedMessage;
+
+		this.pendingMessages = [];
+
+		// Requests that timed out or were aborted, see expireRequest().
+		this.expiredRequests = [];
+
+		this.timeout = (options.timeout === undefined) ? 5000 : options.timeout;
+		this.guaranteed = Boolean(options.guaranteed);
+		this.retries = (options.retries === undefined) ? 3 : options.retries;
+		this.retryDelay = options.retryDelay || 250;
+		this.maxMessageLen = options.maxMessageLen || Infinity;
+
+		// Largest message each device can receive, from its DiscoInfo.  Keyed by
+		// device address.
+		this.peerMaxMessageLen = {};
+
+		// Multipart messages still being received.  Keyed by source device,
+		// command and starting sequence number.
+		this.multipartMessages = {};
+
+		// Sequence number for the next message.  Zero is skipped so it can't be
+		// confused with devices that don't fill the field in.
+		this.seqNext = 1;
+
+		// Data types of parameters seen in multiParamGet responses, so values can
+		// be sent back in the same format.  Keyed by getAddressKey() then by
+		// parameter ID.
+		this.paramTypes = {};
+
+		// Active HiQnetSubscription instances.
+		this.subscriptions = [];
+
+		// Active HiQnetEventLogSubscription instances.
+		this.eventLogSubscriptions = [];
+
+		// Reconnecting transports forget subscriptions and sessions on the
+		// device side.
+		if (this.transport.on) {
+			this.transport.on('connect', () => {
+				this.resubscribe();
+				for (const session of this.sessions) session.reconnect();
+			});
+			this.transport.on('close', () => {
+				for (const session of this.sessions) session.setOffline();
+			});
+		}
+
+		this.deviceId = (options.deviceId === undefined) ? 0x1234 : options.deviceId;
+
+		// Address we are trying to claim in negotiateAddress().
+		this.requestedDeviceId = null;
+
+		// Callbacks from waitForMessage() wanting to see incoming messages.
+		this.watchers = [];
+
+		this.serial = options.serial || Buffer.alloc(16);
+		this.keepAlivePeriod = options.keepAlivePeriod || 10000;
+
+		// Open HiQnetSession instances.
+		this.sessions = [];
+
+		// HiQnet.Catalogue instances, keyed by device address.
+		this.catalogues = {};
+		this.catalogue = options.catalogue || null;
+	}
+
+	/**
+	 * Build a raw HiQnet message, ready to pass to a transport.
+	 *
+	 * @param Object msg
+	 *   Message to encode, in the same form accepted by send().  If this is one
+	 *   part of a multipart message, `multipart` holds the `startSeqNum` and
+	 *   `bytesRemaining` header fields.  If it belongs to a session,
+	 *   `sessionNumber` holds the session number.  Error replies give the
+	 *   `code` and `text` in `error`.
+	 *
+	 * @return Buffer containing the header and payload.
+	 */
+	encode(msg)
+	{
+		const version = 2;
+		const hasSession = (msg.sessionNumber !== undefined) && (msg.sessionNumber !== null);
+
+		// Optional header fields, in the order they appear.
+		let optional = [];
+		if (msg.error) {
+			let code = Buffer.alloc(2);
+			code.writeUInt16BE(msg.error.code, 0);
+			optional.push(code, encodeValue(dataTypes.string, msg.error.text || ''));
+		}
+		if (msg.multipart) {
+			let multipart = Buffer.alloc(6);
+			multipart.writeUInt16BE(msg.multipart.startSeqNum, 0);
+			multipart.writeUInt32BE(msg.multipart.bytesRemaining, 2);
+			optional.push(multipart);
+		}
+		if (hasSession) {
+			let session = Buffer.alloc(2);
+			session.writeUInt16BE(msg.sessionNumber, 0);
+			optional.push(session);
+		}
+		const lenHeader = 0x19 + optional.reduce((n, b) => n + b.length, 0);
+
+		let header = Buffer.alloc(0x19);
+		header.writeUInt8(version, 0);
+		header.writeUInt8(lenHeader, 1);
+		header.writeUInt32BE(lenHeader + (msg.payload && msg.payload.length || 0), 2);
+
+		header.writeUInt16BE(msg.addrSource.device, 6);
+		header.writeUInt8(msg.addrSource.virtualDevice, 8);
+		header.writeUInt8(msg.addrSource.object[0], 9);
+		header.writeUInt8(msg.addrSource.object[1], 10);
+		header.writeUInt8(msg.addrSource.object[2], 11);
+		//header.writeUInt8(msg.addrSource.object >> 16, 9);
+		//header.writeUInt16BE(msg.addrSource.object & 0xFFFF, 10);
+
+		header.writeUInt16BE(msg.addrDest.device, 12);
+		header.writeUInt8(msg.addrDest.virtualDevice, 14);
+		header.writeUInt8(msg.addrDest.object[0], 15);
+		header.writeUInt8(msg.addrDest.object[1], 16);
+		header.writeUInt8(msg.addrDest.object[2], 17);
+		//header.writeUInt8(msg.addrDest.object >> 16, 15);
+		//header.writeUInt16BE(msg.addrDest.object & 0xFFFF, 16);
+
+		header.writeUInt16BE(msg.cmd, 18);
+		header.writeUInt16BE(
+			(msg.flags || 0)
+				| (msg.error ? flags.error : 0)
+				| (hasSession ? flags.session : 0),
+			20
+		);
+		header.writeUInt8(msg.hopCount || 5, 22);
+		header.writeUInt16BE(msg.seqNum || 0, 23);
+		header = Buffer.concat([header, ...optional]);
+
+		const tx = msg.payload && Buffer.concat([header, msg.payload]) || header;
+
+		if (debug.enabled && msg.multipart) {
+			// Only part of the payload is here so it can't be decoded.
+			debug(`Sending part of ${getCommandName(msg.cmd)} #${msg.multipart.startSeqNum}, `
+				+ `${msg.multipart.bytesRemaining} bytes to follow`);
+		} else if (debug.enabled) {
+			// Decode the message again so we can be sure of what we're sending.
+			const outHeader = this.decodeHeader(tx);
+			const outPayload = tx.slice(outHeader.lenHeader);
+			const msgDecoded = this.decode(outHeader, outPayload);
+			debug(`Sending ${getCommandName(msgDecoded.header.cmd)}:`, msgDecoded);
+		}
+
+		return tx;
+	}
+
+	/**
+	 * Send a message and wait for the reply.
+	 *
+	 * The reply is the next message from the destination device with the same
+	 * command and sequence number.
+	 *
+	 * @param Object msg
+	 *   Message to send, see encode().  The sequence number is filled in
+	 *   automatically.  These optional fields control how long to wait:
+	 *     timeout - Milliseconds to wait for the reply before rejecting with a
+	 *       TimeoutError, defaults to the timeout passed to the constructor.
+	 *     signal - AbortSignal which cancels the wait when triggered.
+	 *     guaranteed - Override the constructor's guaranteed delivery setting
+	 *       for this message.
+	 *
+	 * @return Promise resolving to the decoded reply.
+	 */
+	send(msg)
+	{
+		return new Promise(async (resolve, reject) => {
+			const seqNum = this.nextSeqNum();
+
+			const guaranteed = (msg.guaranteed === undefined) ? this.guaranteed : msg.guaranteed;
+			let msgFlags = msg.flags || 0;
+			// If we asked for an ack without guaranteed mode, the ack is the reply.
+			const ackOnly = Boolean(msgFlags & flags.requestAck);
+			if (guaranteed) msgFlags |= flags.guaranteed | flags.requestAck;
+
+			// Messages to a device we have a session with must say so.
+			const session = this.sessions.find(
+				ss => ss.connected && (ss.device === msg.addrDest.device)
+			);
+
+			let tx;
+			try {
+				tx = this.encodeParts(Object.assign({}, msg, {
+					seqNum: seqNum,
+					flags: msgFlags,
+					sessionNumber: session ? session.remoteSessionNumber : undefined,
+				}));
+			} catch (e) {
+				reject(e);
+				return;
+			}
+			const timeout = (msg.timeout === undefined) ? this.timeout : msg.timeout;
+			const signal = msg.signal;
+
+			let timerHandle = null, retryHandle = null;
+			let acked = false, done = false;
+			let pendingMsg;
+			const finish = () => {
+				done = true;
+				clearTimeout(timerHandle);
+				clearTimeout(retryHandle);
+				if (signal) signal.removeEventListener('abort', onAbort);
+				this.pendingMessages = this.pendingMessages.filter(p => p !== pendingMsg);
+			};
+			const onAbort = () => {
+				finish();
+				if (pendingMsg) this.expireRequest(pendingMsg);
+				let err = signal.reason;
+				if (!err) {
+					err = new Error('Request aborted');
+					err.name = 'AbortError';
+				}
+				reject(err);
+			};
+
+			if (signal) {
+				if (signal.aborted) {
+					onAbort();
+					return;
+				}
+				signal.addEventListener('abort', onAbort);
+			}
+
+			pendingMsg = {
+				cmd: msg.cmd,
+				seqNum: seqNum,
+				// Broadcasts can be answered by anyone.
+				device: (msg.addrDest.device === 0xFFFF) ? null : msg.addrDest.device,
+				virtualDevice: msg.addrDest.virtualDevice,
+				object: getObjectNumber(msg.addrDest.object),
+				ackOnly: ackOnly,
+				onAck: () => {
+					acked = true;
+					clearTimeout(retryHandle);
+				},
+				handler: reply => {
+					finish();
+					resolve(reply);
+				},
+			};
+			this.pendingMessages.push(pendingMsg);
+
+			if (timeout) {
+				timerHandle = setTimeout(() => {
+					finish();
+					this.expireRequest(pendingMsg);
+					reject(new TimeoutError(
+						`No reply to ${getCommandName(msg.cmd)} #${seqNum} after ${timeout} ms`,
+						msg
+					));
+				}, timeout);
+			}
+
+			let attempt = 0;
+			const scheduleRetry = delay => {
+				retryHandle = setTimeout(async () => {
+					// The reply may have come in while the last copy was being sent.
+					if (done) return;
+					if (attempt >= this.retries) {
+						finish();
+						this.expireRequest(pendingMsg);
+						reject(new TimeoutError(
+							`No acknowledgement of ${getCommandName(msg.cmd)} #${seqNum} `
+								+ `after ${attempt + 1} attempts`,
+							msg
+						));
+						return;
+					}
+					attempt++;
+					debug(`Retransmitting ${getCommandName(msg.cmd)} #${seqNum}, attempt ${attempt + 1}`);
+					try {
+						await this.transmit(tx);
+					} catch (e) {
+						finish();
+						// An earlier copy may still be answered.
+						this.expireRequest(pendingMsg);
+						reject(e);
+						return;
+					}
+					if (!acked && !done) scheduleRetry(delay * 2);
+				}, delay);
+			};
+
+			try {
+				await this.transmit(tx);
+			} catch (e) {
+				finish();
+				reject(e);
+				return;
+			}
+			if (guaranteed && !acked && !done) scheduleRetry(this.retryDelay);
+		});
+	}
+
+	/**
+	 * Remember a request we have stopped waiting for, so that a reply turning
+	 * up later can be dropped.
+	 */
+	expireRequest(pendingMsg)
+	{
+		const now = Date.now();
+		this.expiredRequests = this.expiredRequests.filter(e => e.expires > now);
+		this.expiredRequests.push({
+			cmd: pendingMsg.cmd,
+			seqNum: pendingMsg.seqNum,
+			device: pendingMsg.device,
+			virtualDevice: pendingMsg.virtualDevice,
+			object: pendingMsg.object,
+			expires: now + EXPIRED_REQUEST_TTL,
+		});
+	}
+
+	/**
+	 * @return true if the message is a reply to a request we have already
+	 *   given up on.
+	 */
+	isExpiredReply(header)
+	{
+		// Subscription updates and other unprompted messages have neither flag.
+		if (!header.flags.info && !header.flags.error) return false;
+
+		const now = Date.now();
+		this.expiredRequests = this.expiredRequests.filter(e => e.expires > now);
+		return this.expiredRequests.some(e => isReplyTo(e, header));
+	}
+
+	nextSeqNum()
+	{
+		const seqNum = this.seqNext;
+		this.seqNext = (this.seqNext % 0xFFFF) + 1;
+		return seqNum;
+	}
+
+	/**
+	 * Encode a message, splitting it into multiple parts if it is too large for
+	 * the destination device.
+	 *
+	 * @param Object msg
+	 *   Message to encode, as for encode().  `seqNum` is used for the first
+	 *   part, and later parts are given new sequence numbers.
+	 *
+	 * @return Array of Buffers, one per part.
+	 */
+	encodeParts(msg)
+	{
+		const maxLen = this.getMaxMessageLen(msg.addrDest.device);
+		const payload = msg.payload || Buffer.alloc(0);
+		const lenHeader = 0x19 + ((msg.sessionNumber === undefined) ? 0 : 2);
+		if (lenHeader + payload.length <= maxLen) {
+			return [this.encode(msg)];
+		}
+
+		const lenChunk = maxLen - lenHeader - 6;
+		if (lenChunk <= 0) {
+			throw new Error(`Device ${msg.addrDest.device} has a maximum message `
+				+ `length of ${maxLen}, which is too small for a multipart message`);
+		}
+
+		let parts = [];
+		let pos = 0, seqNum = msg.seqNum;
+		while (pos < payload.length) {
+			const chunk = payload.slice(pos, pos + lenChunk);
+			pos += chunk.length;
+			parts.push(this.encode(Object.assign({}, msg, {
+				seqNum: seqNum,
+				flags: (msg.flags || 0) | flags.multipart,
+				payload: chunk,
+				multipart: {
+					startSeqNum: msg.seqNum,
+					bytesRemaining: payload.length - pos,
+				},
+			})));
+			if (pos < payload.length) seqNum = this.nextSeqNum();
+		}
+		debug(`Split ${getCommandName(msg.cmd)} #${msg.seqNum} into ${parts.length} parts`);
+		return parts;
+	}
+
+	/**
+	 * Pass each part of an encoded message to the transport in turn.
+	 */
+	async transmit(parts)
+	{
+		for (const part of parts) {
+			await this.transport.sendMessage(part);
+		}
+	}
+
+	/**
+	 * Largest message that can be sent to a device in one piece.
+	 */
+	getMaxMessageLen(device)
+	{
+		return this.peerMaxMessageLen[device] || this.maxMessageLen;
+	}
+
+	/**
+	 * Set the largest message that can be sent to a device in one piece.
+	 *
+	 * This is learned automatically from any DiscoInfo messages received, but
+	 * can also be set from the `maxMessageLen` returned by HiQnet.Discovery.
+	 *
+	 * @param Number device
+	 *   HiQnet address of the device.
+	 *
+	 * @param Number len
+	 *   Maximum message length in bytes, including the header.
+	 */
+	setMaxMessageLen(device, len)
+	{
+		this.peerMaxMessageLen[device] = len;
+	}
+
+	decodeHeader(msg)
+	{
+		checkLength(msg, 0, 0x19, 'header');
+
+		let header = {
+			version: msg.readUInt8(0),
+			lenHeader: msg.readUInt8(1),
+			lenPayload: msg.readUInt32BE(2),
+			addrSource: {
+				device: msg.readUInt16BE(6),
+				virtualDevice: msg.readUInt8(8),
+				object: (msg.readUInt8(9) << 16) | msg.readUInt16BE(10),
+			},
+			addrDest: {
+				device: msg.readUInt16BE(12),
+				virtualDevice: msg.readUInt8(14),
+				object: (msg.readUInt8(15) << 16) | msg.readUInt16BE(16),
+			},
+			cmd: msg.readUInt16BE(18),
+			flagsValue: msg.readUInt16BE(20),
+			flags: {},
+			hopCount: msg.readUInt8(22),
+			seqNum: msg.readUInt16BE(23),
+		};
+
+		for (const f of Object.keys(flags)) {
+			if (header.flagsValue & flags[f]) header.flags[f] = true;
+		}
+
+		if (header.lenHeader < 0x19) {
+			throw new ProtocolError(`Header length ${header.lenHeader} is too short`, msg, 1);
+		}
+		checkLength(msg, 0, header.lenHeader, 'header');
+		if (header.lenPayload < header.lenHeader) {
+			throw new ProtocolError(`Message length ${header.lenPayload} is shorter than `
+				+ `the ${header.lenHeader}-byte header`, msg, 2);
+		}
+		checkLength(msg, 0, header.lenPayload, 'message');
+
+		let endHeader = 25;
+		if (header.flags.error && (header.lenHeader >= 29)) {
+			header.error = {
+				code: msg.readUInt16BE(25),
+				text: null,
+			};
+			header.error.codeName = getErrorName(header.error.code);
+
+			let strlen = msg.readUInt16BE(27);
+			checkLength(msg.slice(0, header.lenHeader), 29, strlen, 'error text');
+			if (strlen % 2) {
+				throw new ProtocolError(`Error text has odd length ${strlen}`, msg, 27);
+			}
+			if (strlen > 2) {
+				header.error.text = Buffer.from(msg.slice(29, 29 + strlen - 2)).swap16().toString('utf16le');
+			}
+
+			endHeader = 29 + strlen;
+		}
+
+		if (header.flags.multipart && (header.lenHeader >= endHeader + 6)) {
+			header.multipart = {
+				startSeqNum: msg.readUInt16BE(endHeader),
+				bytesRemaining: msg.readUInt32BE(endHeader + 2),
+			};
+			endHeader += 6;
+		}
+
+		if (header.flags.session && (header.lenHeader >= endHeader + 2)) {
+			header.sessionNumber = msg.readUInt16BE(endHeader);
+			endHeader += 2;
+		}
+
+		if (header.lenHeader > endHeader) {
+			// Leftover data we didn't process
+			header.extra = msg.slice(endHeader, header.lenHeader);
+		}
+
+		return header;
+	}
+
+	/**
+	 * Handle a message arriving from the transport.  Malformed messages are
+	 * dropped and reported through the `error` event.
+	 *
+	 * @param Buffer msg
+	 *   Raw HiQnet message, header and payload.
+	 *
+	 * @param Object remote
+	 *   Optional transport-specific details about the sender, such as the IP
+	 *   address for network transports.  Copied into the decoded message.
+	 */
+	recv(msg, remote)
+	{
+		try {
+			this.recvMessage(msg, remote);
+		} catch (e) {
+			if (!(e instanceof ProtocolError)) throw e;
+			e.frame = msg;
+			debug(`Dropping malformed message: ${e.message}`);
+			if (this.listenerCount('error')) this.emit('error', e);
+		}
+	}
+
+	recvMessage(msg, remote)
+	{
+		let header = this.decodeHeader(msg);
+		let payload = msg.slice(header.lenHeader);
+
+		if (header.flags.requestAck && !header.flags.ack) {
+			this.sendAck(header, remote);
+		}
+
+		if (header.flags.multipart && header.multipart) {
+			const whole = this.reassemble(header, payload);
+			if (!whole) return; // wait for the remaining parts
+			header = whole.header;
+			payload = whole.payload;
+		}
+
+		let msgDecoded;
+		if (header.flags.error || (header.flags.ack && !payload.length)) {
+			// Errors and acks have nothing to decode.
+			msgDecoded = {
+				header: header,
+				payload: payload,
+			};
+
+		} else {
+			// No error so decode normally.
+			msgDecoded = this.decode(header, payload);
+		}
+		if (remote) msgDecoded.remote = remote;
+
+		if ((header.cmd === commands.discoInfo) && msgDecoded.discoInfo) {
+			const d = msgDecoded.discoInfo;
+			this.setMaxMessageLen(d.senderDeviceAddress, d.maxMessageLen);
+		}
+
+		const pendingMsg = this.pendingMessages.find(p => isReplyTo(p, header));
+		if (pendingMsg) {
+			if (header.flags.error) {
+				// The handler removes it from pendingMessages.
+				pendingMsg.handler(msgDecoded);
+				return;
+			}
+			if (header.flags.ack) {
+				pendingMsg.onAck();
+				// Keep waiting if there's a real reply still to come.
+				if (pendingMsg.ackOnly) pendingMsg.handler(msgDecoded);
+				return;
+			}
+			if (!pendingMsg.ackOnly) {
+				pendingMsg.handler(msgDecoded);
+				return;
+			}
+			// Otherwise it's an unrelated message that happens to use the same
+			// command, like a subscription update.
+		}
+
+		if (header.flags.ack) {
+			debug(`Ignoring ack for ${getCommandName(header.cmd)} #${header.seqNum}, `
+				+ `which is not waiting for one`);
+			return;
+		}
+
+		if (!pendingMsg && this.isExpiredReply(header)) {
+			debug(`Ignoring late reply to ${getCommandName(header.cmd)} #${header.seqNum}`);
+			return;
+		}
+
+		const watcher = this.watchers.find(w => w.match(msgDecoded));
+		if (watcher) {
+			watcher.handler(msgDecoded);
+			return;
+		}
+
+		if (!header.flags.error && !header.flags.info) {
+			switch (header.cmd) {
+				case commands.hello:
+					this.recvHello(msgDecoded, remote);
+					return;
+
+				case commands.discoInfo:
+					// Keepalives from devices we have a session with.  Broadcast
+					// queries are left to HiQnet.Discovery.
+					if (header.addrDest.device === this.deviceId) {
+						this.sendDiscoInfo(header, remote);
+						return;
+					}
+					break;
+
+				case commands.goodbye: {
+					const session = this.sessions.find(ss => ss.device === msgDecoded.goodbye.device);
+					if (session) {
+						debug(`Device ${session.device} said goodbye`);
+						session.setOffline();
+					}
+					break;
+				}
+			}
+		}
+
+		if (
+			(header.cmd === commands.requestAddress)
+			&& !header.flags.error
+			&& (msgDecoded.requestAddress.device === this.deviceId)
+			&& (this.requestedDeviceId === null)
+		) {
+			// Someone else wants our address, tell them it's taken.
+			debug(`Defending address 0x${this.deviceId.toString(16)}`);
+			this.sendAddressUsed().catch(e => {
+				debug(`Unable to send addressUsed: ${e.message}`);
+			});
+			return;
+		}
+
+		if (!header.flags.error) {
+			if (
+				(header.cmd === commands.multiParamSet)
+				&& this.recvSubscription(msgDecoded, msgDecoded.multiParamSet.parameters, false)
+			) {
+				return;
+			}
+			if (
+				(header.cmd === commands.paramSetPercent)
+				&& this.recvSubscription(msgDecoded, msgDecoded.paramSetPercent.parameters, true)
+			) {
+				return;
+			}
+			if (
+				(header.cmd === commands.eventLogRequest)
+				&& this.recvEventLog(msgDecoded)
+			) {
+				return;
+			}
+		}
+
+		if (this.cbUnsolicitedMessage) this.cbUnsolicitedMessage(msgDecoded);
+	}
+
+	/**
+	 * Reply to a device opening a session with us.
+	 */
+	recvHello(msg, remote)
+	{
+		const device = msg.header.addrSource.device;
+		const session = this.sessions.find(ss => ss.device === device);
+		if (session) {
+			session.peerHello(msg.hello.sessionNumber);
+		}
+
+		let payload = Buffer.alloc(4);
+		payload.writeUInt16BE(
+			session ? session.sessionNumber : HiQnetSession.newSessionNumber(),
+			0
+		);
+		payload.writeUInt16BE(msg.hello.flagMask & SESSION_FLAG_MASK, 2);
+
+		this.transport.sendMessage(this.encode({
+			cmd: commands.hello,
+			flags: flags.info,
+			seqNum: msg.header.seqNum,
+			addrSource: this.getSubscriberAddress(),
+			addrDest: {
+				device: device,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			payload: payload,
+		}), remote).catch(e => {
+			debug(`Unable to reply to hello: ${e.message}`);
+		});
+	}
+
+	/**
+	 * Reply to a DiscoInfo query sent directly to us.
+	 */
+	sendDiscoInfo(header, remote)
+	{
+		this.transport.sendMessage(this.encode({
+			cmd: commands.discoInfo,
+			flags: flags.info,
+			seqNum: header.seqNum,
+			addrSource: this.getSubscriberAddress(),
+			addrDest: {
+				device: header.addrSource.device,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			payload: this.encodeDiscoInfo({
+				device: this.deviceId,
+				serial: this.serial,
+				maxMessageLen: isFinite(this.maxMessageLen) ? this.maxMessageLen : 0x10000,
+				keepAlivePeriod: this.keepAlivePeriod,
+			}),
+		}), remote).catch(e => {
+			debug(`Unable to reply to discoInfo: ${e.message}`);
+		});
+	}
+
+	/**
+	 * Collect the parts of a multipart message.
+	 *
+	 * @param Object header
+	 *   Decoded header of one part.
+	 *
+	 * @param Buffer payload
+	 *   Payload of the same part.
+	 *
+	 * @return null if more parts are needed, otherwise an object with the
+	 *   `header` of the first part (minus the multipart fields) and the full
+	 *   `payload`.
+	 */
+	reassemble(header, payload)
+	{
+		const now = Date.now();
+		const maxAge = this.timeout || 5000;
+		for (const k of Object.keys(this.multipartMessages)) {
+			if (now - this.multipartMessages[k].lastSeen > maxAge) {
+				debug(`Discarding incomplete multipart message ${k}`);
+				delete this.multipartMessages[k];
+			}
+		}
+
+		const key = `${header.addrSource.device}/${header.cmd}/${header.multipart.startSeqNum}`;
+		let partial = this.multipartMessages[key];
+
+		if (header.seqNum === header.multipart.startSeqNum) {
+			// First part
+			let first = Object.assign({}, header);
+			first.flags = Object.assign({}, header.flags);
+			delete first.flags.multipart;
+			delete first.multipart;
+			partial = {
+				header: first,
+				payloads: [],
+				bytesRemaining: null,
+			};
+			this.multipartMessages[key] = partial;
+
+		} else if (!partial) {
+			debug(`Ignoring part of multipart message ${key} as the first part was not received`);
+			return null;
+
+		} else if (partial.bytesRemaining === header.multipart.bytesRemaining) {
+			debug(`Ignoring repeated part of multipart message ${key}`);
+			return null;
+
+		} else if (partial.bytesRemaining !== header.multipart.bytesRemaining + payload.length) {
+			debug(`Part of multipart message ${key} is missing, discarding it`);
+			delete this.multipartMessages[key];
+			return null;
+		}
+
+		partial.payloads.push(payload);
+		partial.bytesRemaining = header.multipart.bytesRemaining;
+		partial.lastSeen = now;
+
+		if (partial.bytesRemaining > 0) return null;
+
+		delete this.multipartMessages[key];
+		return {
+			header: partial.header,
+			payload: Buffer.concat(partial.payloads),
+		};
+	}
+
+	/**
+	 * Acknowledge a message that asked for it.
+	 *
+	 * @param Object header
+	 *   Decoded header of the message to acknowledge.
+	 *
+	 * @param Object remote
+	 *   Sender details from the transport, if any.
+	 */
+	sendAck(header, remote)
+	{
+		const obj = n => [(n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+		const tx = this.encode({
+			cmd: header.cmd,
+			flags: flags.ack,
+			seqNum: header.seqNum,
+			addrSource: {
+				device: (header.addrDest.device === 0xFFFF) ? this.deviceId : header.addrDest.device,
+				virtualDevice: header.addrDest.virtualDevice,
+				object: obj(header.addrDest.object),
+			},
+			addrDest: {
+				device: header.addrSource.device,
+				virtualDevice: header.addrSource.virtualDevice,
+				object: obj(header.addrSource.object),
+			},
+		});
+		debug(`Acknowledging ${getCommandName(header.cmd)} #${header.seqNum}`);
+		this.transport.sendMessage(tx, remote).catch(e => {
+			debug(`Unable to send ack: ${e.message}`);
+		});
+	}
+
+	/**
+	 * Pass event log entries pushed by a device to any matching subscriptions.
+	 *
+	 * @return true if at least one subscription wanted the message.
+	 */
+	recvEventLog(msg)
+	{
+		let handled = false;
+		for (const sub of this.eventLogSubscriptions) {
+			if (sub.device !== msg.header.addrSource.device) continue;
+			handled = true;
+			for (const entry of msg.eventLogRequest.entries) {
+				if (entry.priority <= sub.priority) sub.emit('entry', entry, msg);
+			}
+		}
+		return handled;
+	}
+
+	/**
+	 * Pass parameter changes pushed by a device to any matching subscriptions.
+	 *
+	 * @param Object msg
+	 *   Decoded multiParamSet or paramSetPercent message.
+	 *
+	 * @param Object values
+	 *   Parameter values from the message.
+	 *
+	 * @param Boolean percent
+	 *   true if `values` are percentages from paramSetPercent.
+	 *
+	 * @return true if at least one subscription wanted the message.
+	 */
+	recvSubscription(msg, values, percent)
+	{
+		const src = msg.header.addrSource;
+
+		if (!percent) {
+			const key = getAddressKey({
+				device: src.device,
+				virtualDevice: src.virtualDevice,
+				object: [(src.object >> 16) & 0xFF, (src.object >> 8) & 0xFF, src.object & 0xFF],
+			});
+			this.paramTypes[key] = Object.assign(this.paramTypes[key] || {}, msg.multiParamSet.types);
+		}
+
+		let handled = false;
+		for (const sub of this.subscriptions) {
+			if (
+				(sub.percent !== percent)
+				|| (sub.address.device !== src.device)
+				|| (sub.address.virtualDevice !== src.virtualDevice)
+				|| (getObjectNumber(sub.address.object) !== src.object)
+			) {
+				continue;
+			}
+			let changed = {}, any = false;
+			for (const id of sub.parameters) {
+				if (values[id] !== undefined) {
+					changed[id] = values[id];
+					any = true;
+				}
+			}
+			if (any) {
+				handled = true;
+				sub.emit('change', changed, msg);
+			}
+		}
+		return handled;
+	}
+
+	decode(header, payload)
+	{
+		//debug('decode()', header, payload);
+
+		let msg = {
+			header: header,
+		};
+
+		switch (header.cmd) {
+			case commands.discoInfo:
+				checkLength(payload, 0, 5, 'DiscoInfo');
+				const lenSerial = payload.readUInt16BE(3);
+				const posPostSerial = 5 + lenSerial;
+				checkLength(payload, 5, lenSerial + 7, 'DiscoInfo');
+
+				msg.discoInfo = {
+					senderDeviceAddress: payload.readUInt16BE(0),
+					routeCost: payload.readUInt8(2),
+					serial: Array.from(payload.slice(5, posPostSerial)),
+					maxMessageLen: payload.readUInt32BE(posPostSerial),
+					keepAlivePeriod: payload.readUInt16BE(posPostSerial + 4),
+
+					// 1 == IP, 4 == RS232, 5 == USB
+					networkId: payload.readUInt8(posPostSerial + 6),
+
+					// USB: Seems to be nine 0x00 bytes
+					networkInfo: payload.slice(posPostSerial + 7, payload.length),
+				};
+
+				if (
+					(msg.discoInfo.networkId === networkIds.ip)
+					&& (msg.discoInfo.networkInfo.length >= 19)
+				) {
+					const ni = msg.discoInfo.networkInfo;
+					msg.discoInfo.ip = {
+						mac: Array.from(ni.slice(0, 6)),
+						dhcp: ni.readUInt8(6) != 0,
+						address: Array.from(ni.slice(7, 11)).join('.'),
+						subnetMask: Array.from(ni.slice(11, 15)).join('.'),
+						gateway: Array.from(ni.slice(15, 19)).join('.'),
+					};
+				}
+				break;
+			case commands.hello:
+				checkLength(payload, 0, 4, 'Hello');
+				msg.hello = {
+					sessionNumber: payload.readUInt16BE(0),
+					flagMask: payload.readUInt16BE(2),
+				};
+				break;
+			case commands.goodbye:
+				checkLength(payload, 0, 2, 'Goodbye');
+				msg.goodbye = {
+					device: payload.readUInt16BE(0),
+				};
+				break;
+			case commands.requestAddress:
+				checkLength(payload, 0, 2, 'RequestAddress');
+				msg.requestAddress = {
+					device: payload.readUInt16BE(0),
+				};
+				break;
+			case commands.addressUsed:
+				// The address in use is the source address in the header.
+				msg.addressUsed = {
+					device: header.addrSource.device,
+				};
+				break;
+			case commands.setAddress: {
+				const serial = decodeValue(payload, 0, dataTypes.block);
+				checkLength(payload, serial.pos, 2, 'SetAddress');
+				msg.setAddress = {
+					serial: Array.from(serial.value),
+					device: payload.readUInt16BE(serial.pos),
+				};
+				break;
+			}
+			case commands.multiParamGet:
+				if (msg.header.flags.info) { // response
+					msg.multiParamGet = decodeParamList(payload);
+
+				} else { // request
+					msg.multiParamGet = {
+						parameters: decodeIdList(payload),
+					};
+				}
+				break;
+			case commands.getAttributes:
+				if (msg.header.flags.info) { // response
+					const list = decodeParamList(payload);
+					msg.getAttributes = {
+						attributes: list.parameters,
+						types: list.types,
+					};
+				} else { // request
+					msg.getAttributes = {
+						attributes: decodeIdList(payload),
+					};
+				}
+				break;
+			case commands.getVDList: {
+				const path = decodeValue(payload, 0, dataTypes.string);
+				msg.getVDList = {
+					workgroupPath: path.value,
+				};
+				if (msg.header.flags.info) { // response
+					msg.getVDList.virtualDevices = [];
+					checkLength(payload, path.pos, 2, 'virtual device list');
+					const count = payload.readUInt16BE(path.pos);
+					checkLength(payload, path.pos + 2, count * 3, 'virtual device list');
+					for (let i = 0; i < count; i++) {
+						const pos = path.pos + 2 + i * 3;
+						msg.getVDList.virtualDevices.push({
+							virtualDevice: payload.readUInt8(pos),
+							classId: payload.readUInt16BE(pos + 1),
+						});
+					}
+				}
+				break;
+			}
+			case commands.multiParamSet:
+				msg.multiParamSet = decodeParamList(payload);
+				break;
+			case commands.multiObjectParamSet: {
+				msg.multiObjectParamSet = {
+					objects: [],
+				};
+				if (payload.length < 2) break; // e.g. an ack with no payload
+
+				const objectCount = payload.readUInt16BE(0);
+				let pos = 2;
+				for (let i = 0; i < objectCount; i++) {
+					checkLength(payload, pos, 6, 'object list');
+					const object = payload.readUInt32BE(pos);
+					const list = decodeParamList(payload, pos + 4);
+					pos = list.end;
+					msg.multiObjectParamSet.objects.push({
+						object: object,
+						parameters: list.parameters,
+						types: list.types,
+					});
+				}
+				break;
+			}
+			case commands.store:
+			case commands.recall: {
+				const name = (header.cmd === commands.store) ? 'store' : 'recall';
+				msg[name] = {};
+				if (payload.length < 3) break; // e.g. an ack with no payload
+
+				msg[name].scope = payload.readUInt8(0);
+				msg[name].slot = payload.readUInt16BE(1);
+				const str = decodeValue(payload, 3, dataTypes.string);
+				// Store carries the name to save under, recall the workgroup path.
+				if (header.cmd === commands.store) {
+					msg[name].name = str.value;
+				} else {
+					msg[name].workgroupPath = str.value;
+				}
+				break;
+			}
+			case commands.eventLogSubscribe:
+			case commands.eventLogUnsubscribe: {
+				const name = (header.cmd === commands.eventLogSubscribe)
+					? 'eventLogSubscribe' : 'eventLogUnsubscribe';
+				msg[name] = {
+					subscriber: (payload.length >= 6) ? {
+						device: payload.readUInt16BE(0),
+						virtualDevice: payload.readUInt8(2),
+						object: payload.readUIntBE(3, 3),
+					} : null,
+					priority: (payload.length >= 7) ? payload.readUInt8(6) : null,
+				};
+				break;
+			}
+			case commands.eventLogRequest:
+				msg.eventLogRequest = decodeEventLog(payload);
+				break;
+			case commands.paramSetPercent:
+				msg.paramSetPercent = decodePercentList(payload);
+				break;
+			case commands.multiParamSubscribe:
+				msg.multiParamSubscribe = decodeSubscriptionList(payload);
+				break;
+			case commands.paramSubscribePercent:
+				msg.paramSubscribePercent = decodeSubscriptionList(payload);
+				break;
+			default:
+				debug(`Message ${getCommandName(header.cmd)} not implemented yet!`);
+				msg.payload = payload;
+				break;
+		}
+
+		return msg;
+	}
+
+	/**
+	 * Build the payload for a DiscoInfo message.
+	 *
+	 * @param Object info
+	 *   Details to advertise:
+	 *     device - HiQnet device address.
+	 *     serial - Array or Buffer with the device serial number.
+	 *     maxMessageLen - Largest message that can be received, in bytes.
+	 *     keepAlivePeriod - Keepalive period in milliseconds.
+	 *     networkId - One of networkIds, defaults to IP.
+	 *     ip - For IP networks, object with `mac` (Array), `dhcp` (Boolean),
+	 *       and `address`, `subnetMask` and `gateway` as dotted strings.
+	 *
+	 * @return Buffer.
+	 */
+	encodeDiscoInfo(info)
+	{
+		const serial = Buffer.from(info.serial || []);
+		const networkId = (info.networkId === undefined) ? networkIds.ip : info.networkId;
+
+		let networkInfo;
+		if (networkId === networkIds.ip) {
+			const ip = info.ip || {};
+			const dotted = a => Buffer.from((a || '0.0.0.0').split('.').map(n => parseInt(n)));
+			networkInfo = Buffer.concat([
+				Buffer.from(ip.mac || [0, 0, 0, 0, 0, 0]),
+				Buffer.from([ip.dhcp ? 1 : 0]),
+				dotted(ip.address),
+				dotted(ip.subnetMask),
+				dotted(ip.gateway),
+			]);
+		} else {
+			networkInfo = Buffer.from(info.networkInfo || []);
+		}
+
+		let pre = Buffer.alloc(5);
+		pre.writeUInt16BE(info.device, 0);
+		pre.writeUInt8(info.routeCost || 0, 2);
+		pre.writeUInt16BE(serial.length, 3);
+
+		let post = Buffer.alloc(7);
+		post.writeUInt32BE(info.maxMessageLen, 0);
+		post.writeUInt16BE(info.keepAlivePeriod, 4);
+		post.writeUInt8(networkId, 6);
+
+		return Buffer.concat([pre, serial, post, networkInfo]);
+	}
+
+	/**
+	 * Flash device LEDs for identification purposes.
+	 *
+	 * @param Array|Buffer deviceSerial
+	 *   Serial number of device to be located, as returned by identification
+	 *   commands.
+	 *
+	 * @param Number msTime
+	 *   Number of milliseconds to flash LEDs for.  0xFFFF means forever, 0 means
+	 *   stop flashing immediately.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().
+	 */
+	locate(deviceId, deviceSerial, msTime, options = {})
+	{
+		let payload = Buffer.concat([
+			Buffer.alloc(4),
+			Buffer.from(deviceSerial),
+		]);
+		payload.writeUInt16BE(msTime, 0);
+		payload.writeUInt16BE(deviceSerial.length, 2);
+
+		return this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: commands.locate,
+			addrSource: {
+				device: this.deviceId,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			addrDest: {
+				device: deviceId,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			payload: payload,
+		});
+	}
+
+	/**
+	 * Wait for a message that isn't a reply to any request.
+	 *
+	 * @param Function match
+	 *   Passed each decoded message, returns true for the one wanted.
+	 *
+	 * @param Number timeout
+	 *   Milliseconds to wait.
+	 *
+	 * @return Promise resolving to the decoded message, or null if the timeout
+	 *   expired first.
+	 */
+	waitForMessage(match, timeout)
+	{
+		return new Promise(resolve => {
+			let watcher;
+			const timerHandle = setTimeout(() => {
+				this.watchers = this.watchers.filter(w => w !== watcher);
+				resolve(null);
+			}, timeout);
+			watcher = {
+				match: match,
+				handler: msg => {
+					clearTimeout(timerHandle);
+					this.watchers = this.watchers.filter(w => w !== watcher);
+					resolve(msg);
+				},
+			};
+			this.watchers.push(watcher);
+		});
+	}
+
+	/**
+	 * Find out whether the address is in use on the HiQnet network.
+	 *
+	 * A RequestAddress message is broadcast, and the device using the address,
+	 * if any, replies with AddressUsed.
+	 *
+	 * @param Number deviceId
+	 *   The ID of the device to check.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     timeout - Milliseconds to wait for a reply, defaults to 500.
+	 *
+	 * @return true if the address is in use, false if nobody answered.
+	 */
+	async addressUsed(deviceId, options = {})
+	{
+		const timeout = options.timeout || 500;
+
+		let payload = Buffer.alloc(2);
+		payload.writeUInt16BE(deviceId, 0);
+
+		const reply = this.waitForMessage(msg => (
+			(msg.header.cmd === commands.addressUsed)
+			&& !msg.header.flags.error
+			&& (msg.addressUsed.device === deviceId)
+		), timeout);
+
+		await this.transport.sendMessage(this.encode({
+			cmd: commands.requestAddress,
+			seqNum: this.nextSeqNum(),
+			addrSource: {
+				// We don't have an address yet, as far as anyone else knows.
+				device: 0,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			addrDest: {
+				device: 0xFFFF,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			payload: payload,
+		}));
+
+		return (await reply) !== null;
+	}
+
+	/**
+	 * Choose an unused device address for ourselves.
+	 *
+	 * Once chosen, other nodes asking for the same address are told it is in
+	 * use.  This also happens for addresses passed to the constructor.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     preferred - Address to try first, defaults to the current one.
+	 *     timeout - Milliseconds to wait for another device to object to each
+	 *       address, defaults to 500.
+	 *     attempts - Number of addresses to try before giving up, defaults
+	 *       to 10.
+	 *
+	 * @return Number, the new value of `deviceId`.
+	 */
+	async negotiateAddress(options = {})
+	{
+		const attempts = options.attempts || 10;
+		let candidate = (options.preferred === undefined) ? this.deviceId : options.preferred;
+
+		try {
+			for (let i = 0; i < attempts; i++) {
+				this.requestedDeviceId = candidate;
+				debug(`Requesting address 0x${candidate.toString(16)}`);
+				if (!await this.addressUsed(candidate, options)) {
+					this.deviceId = candidate;
+					debug(`Using address 0x${candidate.toString(16)}`);
+					// Let anyone who already knows us by another address find out.
+					await this.sendAddressUsed();
+					return this.deviceId;
+				}
+				debug(`Address 0x${candidate.toString(16)} is in use`);
+				// 0 and 0xFFFF are reserved.
+				candidate = 1 + Math.floor(Math.random() * 0xFFFE);
+			}
+		} finally {
+			this.requestedDeviceId = null;
+		}
+		throw new Error(`Unable to find an unused address after ${attempts} attempts`);
+	}
+
+	/**
+	 * Announce that our address is in use.
+	 */
+	sendAddressUsed()
+	{
+		return this.transport.sendMessage(this.encode({
+			cmd: commands.addressUsed,
+			seqNum: this.nextSeqNum(),
+			addrSource: {
+				device: this.deviceId,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			addrDest: {
+				device: 0xFFFF,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+		}));
+	}
+
+	/**
+	 * Change the HiQnet address of another device.
+	 *
+	 * @param Array|Buffer deviceSerial
+	 *   Serial number of the device to renumber, as returned by discovery.
+	 *
+	 * @param Number newDeviceId
+	 *   New address for the device.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().
+	 *
+	 * @return Nothing, throws DeviceError if the device rejects the change.
+	 */
+	async setAddress(deviceSerial, newDeviceId, options = {})
+	{
+		let address = Buffer.alloc(2);
+		address.writeUInt16BE(newDeviceId, 0);
+
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: commands.setAddress,
+			// The device may answer from its new address, so ask for an ack.
+			flags: flags.requestAck,
+			addrSource: {
+				device: this.deviceId,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			// The serial number picks out the device, so anyone can receive it.
+			addrDest: {
+				device: 0xFFFF,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			payload: Buffer.concat([
+				encodeValue(dataTypes.block, deviceSerial),
+				address,
+			]),
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+	}
+
+	/**
+	 * Set the parameter catalogue used to look up symbolic paths on a device.
+	 *
+	 * @param Number device
+	 *   HiQnet address of the device.
+	 *
+	 * @param HiQnet.Catalogue catalogue
+	 *   Catalogue for the device's product, or null to remove it.
+	 */
+	setCatalogue(device, catalogue)
+	{
+		if (catalogue) this.catalogues[device] = catalogue;
+		else delete this.catalogues[device];
+	}
+
+	/**
+	 * @return HiQnet.Catalogue for the device.  Throws an Error if there isn't
+	 *   one.
+	 */
+	getCatalogue(device)
+	{
+		const catalogue = this.catalogues[device] || this.catalogue;
+		if (!catalogue) {
+			throw new Error(`No catalogue loaded for device ${device}, call setCatalogue() first`);
+		}
+		return catalogue;
+	}
+
+	/**
+	 * Look up symbolic parameter paths and group them by object.
+	 *
+	 * @param Object address
+	 *   Device to look up, with a `device` field and optionally a
+	 *   `virtualDevice` field to limit the search.
+	 *
+	 * @param Array paths
+	 *   Symbolic paths, see HiQnet.Catalogue.find().
+	 *
+	 * @return Array of groups, each with an `address` field and a `params`
+	 *   field listing `{ path, param }` objects.
+	 */
+	resolvePaths(address, paths)
+	{
+		const catalogue = this.getCatalogue(address.device);
+		let groups = {};
+		for (const path of paths) {
+			const param = catalogue.find(path, address.virtualDevice);
+			const paramAddress = {
+				device: address.device,
+				virtualDevice: param.virtualDevice,
+				object: param.object,
+			};
+			const key = getAddressKey(paramAddress);
+			if (!groups[key]) groups[key] = { address: paramAddress, params: [] };
+			groups[key].params.push({ path, param });
+		}
+		return Object.values(groups);
+	}
+
+	/**
+	 * @param HiQNetAddress address
+	 *   Device to contact and object to query.  If there is no `object` field,
+	 *   `parameters` are symbolic paths looked up in the device's catalogue
+	 *   (see setCatalogue()) instead of parameter IDs, and may span several
+	 *   objects.
+	 *
+	 * @param Array parameters
+	 *   List of one or more parameters within the object to query.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().  When using symbolic paths, `labels` can also be set to
+	 *   return enumerated values as their labels.
+	 *
+	 * @return Object, keys are items from the `parameters` array, values are the
+	 *   data returned from the device.
+	 */
+	async multiParamGet(address, parameters, options = {})
+	{
+		if (address.object === undefined) {
+			const catalogue = this.getCatalogue(address.device);
+			let values = {};
+			for (const group of this.resolvePaths(address, parameters)) {
+				const ids = group.params.map(p => p.param.id);
+				const r = await this.multiParamGet(group.address, ids, options);
+				for (const { path, param } of group.params) {
+					values[path] = options.labels ? catalogue.label(param, r[param.id]) : r[param.id];
+				}
+			}
+			return values;
+		}
+
+		const payload = encodeIdList(parameters);
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: commands.multiParamGet,
+			addrSource: {
+				device: this.deviceId,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			addrDest: address,
+			payload: payload,
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+
+		const key = getAddressKey(address);
+		this.paramTypes[key] = Object.assign(this.paramTypes[key] || {}, r.multiParamGet.types);
+
+		let values = {};
+		for (const id of parameters) {
+			values[id] = r.multiParamGet.parameters[id];
+		}
+
+		return values;
+	}
+
+	/**
+	 * @param HiQNetAddress address
+	 *   Device to contact and object to modify.
+	 *
+	 * @param Object values
+	 *   Keys are parameter IDs within the object, values are the new values to
+	 *   set.  The data type of each value is taken from an earlier
+	 *   multiParamGet() call on the same parameter, unless the value is given as
+	 *   an object like `{ type: 'float', value: 1.5 }`.  The type may be a name
+	 *   or a number from HiQnet.dataTypes.
+	 *
+	 *   If `address` has no `object` field, keys are instead symbolic paths as
+	 *   for multiParamGet(), types come from the catalogue, and enumerated
+	 *   values may be given as their labels.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().
+	 *
+	 * @return Nothing, throws DeviceError if the device rejects the change.
+	 */
+	async multiParamSet(address, values, options = {})
+	{
+		if (address.object === undefined) {
+			const catalogue = this.getCatalogue(address.device);
+			for (const group of this.resolvePaths(address, Object.keys(values))) {
+				let idValues = {};
+				for (const { path, param } of group.params) {
+					let v = values[path];
+					if ((v === null) || (typeof v !== 'object') || (v.type === undefined)) {
+						v = catalogue.unlabel(param, v);
+						if (param.type !== undefined) v = { type: param.type, value: v };
+					}
+					idValues[param.id] = v;
+				}
+				await this.multiParamSet(group.address, idValues, options);
+			}
+			return;
+		}
+
+		const { plainValues, types } = this.resolveParamTypes(address, values);
+
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: commands.multiParamSet,
+			// No reply is sent on success unless we ask for one.
+			flags: flags.requestAck,
+			addrSource: {
+				device: this.deviceId,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			addrDest: address,
+			payload: encodeParamList(plainValues, types),
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+
+		// Remember the types for next time.
+		const key = getAddressKey(address);
+		this.paramTypes[key] = Object.assign(this.paramTypes[key] || {}, types);
+	}
+
+	/**
+	 * Look up the data type remembered for a parameter, from the last time it
+	 * was read, set or announced by the device.
+	 *
+	 * @param HiQNetAddress address
+	 *   Object the parameter belongs to.
+	 *
+	 * @param Number id
+	 *   Parameter ID.
+	 *
+	 * @return Number, one of the dataTypes values, or undefined if the type is
+	 *   not known yet.
+	 */
+	getParamType(address, id)
+	{
+		const known = this.paramTypes[getAddressKey(address)] || {};
+		return known[id];
+	}
+
+	/**
+	 * Work out the data type of each value passed to one of the set functions.
+	 *
+	 * @param HiQNetAddress address
+	 *   Object the parameters belong to.
+	 *
+	 * @param Object values
+	 *   As passed to multiParamSet().
+	 *
+	 * @return Object, `plainValues` has the values with any type information
+	 *   removed, and `types` maps each parameter ID to its data type.
+	 */
+	resolveParamTypes(address, values)
+	{
+		let plainValues = {}, types = {};
+		for (const id of Object.keys(values)) {
+			let v = values[id];
+			if ((v !== null) && (typeof v === 'object') && (v.type !== undefined)) {
+				types[id] = getDataType(v.type);
+				plainValues[id] = v.value;
+			} else {
+				const type = this.getParamType(address, id);
+				if (type === undefined) {
+					throw new Error(`Data type of parameter ${id} is unknown, call `
+						+ `multiParamGet() first or specify the type explicitly`);
+				}
+				types[id] = type;
+				plainValues[id] = v;
+			}
+		}
+		return { plainValues, types };
+	}
+
+	/**
+	 * Set parameters on several objects within a virtual device in a single
+	 * message, so the changes all happen at once.
+	 *
+	 * @param Object vdAddress
+	 *   Device to contact, with `device` and `virtualDevice` fields.  Any
+	 *   `object` field is ignored.
+	 *
+	 * @param Array changes
+	 *   List of objects, each with an `object` field containing the object ID
+	 *   (as an Array of three numbers) and a `params` field in the same format
+	 *   multiParamSet() accepts.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().
+	 *
+	 * @return Nothing, throws DeviceError if the device rejects the change.
+	 */
+	async multiObjectParamSet(vdAddress, changes, options = {})
+	{
+		let parts = [];
+		let count = Buffer.alloc(2);
+		count.writeUInt16BE(changes.length, 0);
+		parts.push(count);
+
+		let resolved = [];
+		for (const change of changes) {
+			const address = {
+				device: vdAddress.device,
+				virtualDevice: vdAddress.virtualDevice,
+				object: change.object,
+			};
+			const { plainValues, types } = this.resolveParamTypes(address, change.params);
+			resolved.push({ address, types });
+
+			let object = Buffer.alloc(4);
+			object.writeUInt32BE(getObjectNumber(change.object), 0);
+			parts.push(object);
+			parts.push(encodeParamList(plainValues, types));
+		}
+
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: commands.multiObjectParamSet,
+			flags: flags.requestAck,
+			addrSource: {
+				device: this.deviceId,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			addrDest: {
+				device: vdAddress.device,
+				virtualDevice: vdAddress.virtualDevice,
+				object: [0, 0, 0],
+			},
+			payload: Buffer.concat(parts),
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+
+		for (const { address, types } of resolved) {
+			const key = getAddressKey(address);
+			this.paramTypes[key] = Object.assign(this.paramTypes[key] || {}, types);
+		}
+	}
+
+	/**
+	 * Ask a device to send parameter values whenever they change, instead of
+	 * having to poll them.
+	 *
+	 * @param HiQNetAddress address
+	 *   Device and object to subscribe to.
+	 *
+	 * @param Array parameters
+	 *   List of one or more parameter IDs within the object.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     sensitivity - How much a value must change before the device sends an
+	 *       update.  The units are device specific.  Defaults to 0.
+	 *     percent - true to receive values as fractions between 0 and 1 of each
+	 *       parameter's range, as paramSubscribePercent() does.
+	 *     timeout, signal, guaranteed - Request settings, see send().
+	 *
+	 * @return HiQnetSubscription, which emits `change` events.  The subscription
+	 *   is automatically renewed if the transport reconnects.
+	 */
+	async subscribe(address, parameters, options = {})
+	{
+		const sub = new HiQnetSubscription(this, address, parameters, options);
+		await this.sendSubscribe(sub, options);
+		this.subscriptions.push(sub);
+		sub.active = true;
+		return sub;
+	}
+
+	/**
+	 * Cancel a subscription created by subscribe().
+	 *
+	 * @param HiQnetSubscription sub
+	 *   Subscription to cancel.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().
+	 */
+	async unsubscribe(sub, options = {})
+	{
+		if (!sub.active) return;
+		sub.active = false;
+		this.subscriptions = this.subscriptions.filter(s => s !== sub);
+
+		// The device only knows about one subscription per parameter for our
+		// subscriber address, so leave alone any still wanted by another handle.
+		const key = getAddressKey(sub.address);
+		const stillUsed = new Set();
+		for (const other of this.subscriptions) {
+			if (getAddressKey(other.address) !== key) continue;
+			for (const id of other.parameters) stillUsed.add(id);
+		}
+		const parameters = sub.parameters.filter(id => !stillUsed.has(id));
+		if (!parameters.length) return;
+
+		const subscriber = this.getSubscriberAddress();
+		let payload = Buffer.alloc(8 + parameters.length * 4);
+		encodeAddress(subscriber).copy(payload, 0);
+		payload.writeUInt16BE(parameters.length, 6);
+		let pos = 8;
+		for (const id of parameters) {
+			payload.writeUInt16BE(id, pos);     // publisher parameter
+			payload.writeUInt16BE(id, pos + 2); // subscriber parameter
+			pos += 4;
+		}
+
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: commands.multiParamUnsubscribe,
+			flags: flags.requestAck,
+			addrSource: subscriber,
+			addrDest: sub.address,
+			payload: payload,
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+	}
+
+	/**
+	 * Set parameters as a percentage of their range, without needing to know
+	 * what the range or data type is.
+	 *
+	 * @param HiQNetAddress address
+	 *   Device to contact and object to modify.
+	 *
+	 * @param Object values
+	 *   Keys are parameter IDs within the object, values are fractions between 0
+	 *   (minimum) and 1 (maximum).
 	 *
-	 * @param Number deviceId
-	 *   The ID of the device to check.
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().
 	 *
-	 * @return Unknown - lacking access to a device that supports this command.
+	 * @return Nothing, throws DeviceError if the device rejects the change.
 	 */
-	async addressUsed(deviceId)
+	async paramSetPercent(address, values, options = {})
 	{
 		const r = await this.send({
-			cmd: commands.addressUsed,
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: commands.paramSetPercent,
+			flags: flags.requestAck,
 			addrSource: {
-				device: deviceId,
+				device: this.deviceId,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			addrDest: address,
+			payload: encodePercentList(values),
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+	}
+
+	/**
+	 * Subscribe to parameters, receiving their values as percentages.
+	 *
+	 * This is the same as subscribe() except the `change` event is passed
+	 * fractions between 0 and 1 of each parameter's range.
+	 */
+	paramSubscribePercent(address, parameters, options = {})
+	{
+		return this.subscribe(address, parameters, Object.assign({}, options, {
+			percent: true,
+		}));
+	}
+
+	/**
+	 * List the virtual devices within a physical device.
+	 *
+	 * @param Number device
+	 *   HiQnet address of the device to query.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().
+	 *
+	 * @return Array of objects with `virtualDevice` and `classId` fields.
+	 */
+	async getVirtualDevices(device, options = {})
+	{
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: commands.getVDList,
+			addrSource: {
+				device: this.deviceId,
 				virtualDevice: 0,
-				object: 0,
+				object: [0, 0, 0],
 			},
 			addrDest: {
-				device: 0xFFFF,
+				device: device,
 				virtualDevice: 0,
-				object: 0,
+				object: [0, 0, 0],
 			},
+			// Workgroup path, always empty.
+			payload: encodeValue(dataTypes.string, ''),
 		});
 		if (r.header.flags.error) {
 			throw new DeviceError(r);
 		}
-		// TODO: Decode the response
-		return r;
+		return r.getVDList.virtualDevices;
 	}
 
 	/**
+	 * Read attributes of a device, virtual device or object.
+	 *
 	 * @param HiQNetAddress address
-	 *   Device to contact and object to query.
+	 *   Item to query.  Use virtual device 0 and object 0.0.0 for the device
+	 *   itself.
 	 *
-	 * @param Array parameters
-	 *   List of one or more parameters within the object to query.
+	 * @param Array attributes
+	 *   List of attribute IDs, see HiQnet.attributeIds.
 	 *
-	 * @return Object, keys are items from the `parameters` array, values are the
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().
+	 *
+	 * @return Object, keys are items from the `attributes` array, values are the
 	 *   data returned from the device.
 	 */
-	async multiParamGet(address, parameters)
+	async getAttributes(address, attributes, options = {})
+	{
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: commands.getAttributes,
+			addrSource: {
+				device: this.deviceId,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			addrDest: address,
+			payload: encodeIdList(attributes),
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+
+		let values = {};
+		for (const id of attributes) {
+			values[id] = r.getAttributes.attributes[id];
+		}
+		return values;
+	}
+
+	/**
+	 * Read whichever of the given attributes the device supports.
+	 *
+	 * @return Object, keys are attribute names from HiQnet.attributeIds.
+	 */
+	async getNamedAttributes(address, names, options = {})
+	{
+		let values;
+		try {
+			values = await this.getAttributes(address, names.map(n => attributeIds[n]), options);
+		} catch (e) {
+			if (!(e instanceof DeviceError)) throw e;
+
+			// One of them isn't supported, so try them one at a time.
+			values = {};
+			for (const n of names) {
+				try {
+					Object.assign(values, await this.getAttributes(address, [attributeIds[n]], options));
+				} catch (e) {
+					if (!(e instanceof DeviceError)) throw e;
+				}
+			}
+		}
+
+		let named = {};
+		for (const n of names) {
+			if (values[attributeIds[n]] !== undefined) named[n] = values[attributeIds[n]];
+		}
+		return named;
+	}
+
+	/**
+	 * Build a tree of everything inside a device.
+	 *
+	 * HiQnet has no message for listing the objects within a virtual device, so
+	 * the object IDs must be supplied, or are taken from the device's catalogue
+	 * (see setCatalogue()) if one is loaded.  Without either, only the device
+	 * and its virtual devices are listed.  The parameters within each object
+	 * are found by reading parameter IDs in turn until the device has rejected
+	 * several in a row.
+	 *
+	 * @param Number device
+	 *   HiQnet address of the device to query.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     objects - Object IDs to examine.  Keys are virtual device numbers,
+	 *       values are Arrays of object IDs, e.g. `{ 0: [[1, 40, 2]] }`.
+	 *       Defaults to every object in the device's catalogue.
+	 *     maxParameter - Highest parameter ID to try, defaults to 255.
+	 *     maxMisses - Stop looking for parameters after this many consecutive
+	 *       IDs have been rejected, defaults to 16.
+	 *     timeout, signal, guaranteed - Passed to each request, see send().
+	 *
+	 * @return Object with the device's `attributes`, and `virtualDevices`
+	 *   holding each virtual device's `classId`, `attributes` and `objects`.
+	 *   Each object has its `attributes` and `parameters`, which map parameter
+	 *   IDs to `{ value, type }`.
+	 */
+	async walk(device, options = {})
+	{
+		let objects = options.objects;
+		if (!objects) {
+			const catalogue = this.catalogues[device] || this.catalogue;
+			objects = {};
+			for (const vd of (catalogue ? catalogue.virtualDevices : [])) {
+				objects[vd.id] = vd.objects.map(o => o.id);
+			}
+		}
+		const maxParameter = (options.maxParameter === undefined) ? 255 : options.maxParameter;
+		const maxMisses = options.maxMisses || 16;
+		const req = {
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+		};
+
+		let tree = {
+			device: device,
+			attributes: await this.getNamedAttributes({
+				device: device,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			}, ['className', 'nameString', 'serialNumber', 'softwareVersion'], req),
+			virtualDevices: [],
+		};
+
+		for (const vd of await this.getVirtualDevices(device, req)) {
+			let vdNode = {
+				virtualDevice: vd.virtualDevice,
+				classId: vd.classId,
+				attributes: await this.getNamedAttributes({
+					device: device,
+					virtualDevice: vd.virtualDevice,
+					object: [0, 0, 0],
+				}, ['className', 'nameString'], req),
+				objects: [],
+			};
+			tree.virtualDevices.push(vdNode);
+
+			for (const object of objects[vd.virtualDevice] || []) {
+				const address = {
+					device: device,
+					virtualDevice: vd.virtualDevice,
+					object: object,
+				};
+				let objectNode = {
+					object: object,
+					attributes: await this.getNamedAttributes(address, ['className', 'nameString'], req),
+					parameters: {},
+				};
+				vdNode.objects.push(objectNode);
+
+				let misses = 0;
+				for (let id = 0; (id <= maxParameter) && (misses < maxMisses); id++) {
+					try {
+						const values = await this.multiParamGet(address, [id], req);
+						objectNode.parameters[id] = {
+							value: values[id],
+							type: this.getParamType(address, id),
+						};
+						misses = 0;
+					} catch (e) {
+						if (!(e instanceof DeviceError)) throw e;
+						misses++;
+					}
+				}
+				debug(`Found ${Object.keys(objectNode.parameters).length} parameters in ${getAddressKey(address)}`);
+			}
+		}
+
+		return tree;
+	}
+
+	/**
+	 * Save the current state of a device into a slot.
+	 *
+	 * @param HiQNetAddress address
+	 *   Device, virtual device or object to save.
+	 *
+	 * @param Object options
+	 *   scope - What to store, one of the names in HiQnet.storeScopes or the
+	 *     equivalent number.
+	 *   slot - Slot number to store into.
+	 *   name - Optional name to save it under.
+	 *   timeout, signal, guaranteed - Optional request settings, see send().
+	 *
+	 * @return Nothing, throws DeviceError if the device rejects the request.
+	 */
+	store(address, options)
+	{
+		return this.sendStoreRecall(commands.store, address, options, options.name);
+	}
+
+	/**
+	 * Restore a device state previously saved with store().
+	 *
+	 * @param HiQNetAddress address
+	 *   Device, virtual device or object to restore.
+	 *
+	 * @param Object options
+	 *   scope - What to recall, one of the names in HiQnet.storeScopes or the
+	 *     equivalent number.
+	 *   slot - Slot number to recall.
+	 *   timeout, signal, guaranteed - Optional request settings, see send().
+	 *
+	 * @return Nothing, throws DeviceError if the device rejects the request.
+	 */
+	recall(address, options)
+	{
+		// Workgroup path, always empty.
+		return this.sendStoreRecall(commands.recall, address, options, '');
+	}
+
+	async sendStoreRecall(cmd, address, options, str)
 	{
-		let payload = Buffer.alloc(2 + parameters.length * 2);
-		payload.writeUInt16BE(parameters.length, 0);
-		for (let i = 0; i < parameters.length; i++) {
-			payload.writeUInt16BE(parameters[i], 2 + i * 2);
+		let scope = options.scope;
+		if (typeof scope === 'string') {
+			scope = storeScopes[scope];
+			if (scope === undefined) throw new Error(`Unknown scope: ${options.scope}`);
 		}
+
+		let head = Buffer.alloc(3);
+		head.writeUInt8(scope, 0);
+		head.writeUInt16BE(options.slot, 1);
+
 		const r = await this.send({
-			cmd: commands.multiParamGet,
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: cmd,
+			flags: flags.requestAck,
 			addrSource: {
 				device: this.deviceId,
 				virtualDevice: 0,
 				object: [0, 0, 0],
 			},
 			addrDest: address,
+			payload: Buffer.concat([
+				head,
+				encodeValue(dataTypes.string, str || ''),
+			]),
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+	}
+
+	/**
+	 * Open a session with a device and keep it alive.
+	 *
+	 * @param Number device
+	 *   HiQnet address of the device.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     keepAlivePeriod - Milliseconds between keepalives, defaults to the
+	 *       period the device reports in its DiscoInfo.
+	 *     maxMisses - Number of keepalives in a row the device can fail to
+	 *       answer before it is considered offline.  Defaults to 2.
+	 *     timeout, signal - Settings for the initial handshake, see send().
+	 *
+	 * @return HiQnetSession, which emits `connected` and `disconnected` events.
+	 */
+	async openSession(device, options = {})
+	{
+		const session = new HiQnetSession(this, device, options);
+		this.sessions.push(session);
+		try {
+			await session.open(options);
+		} catch (e) {
+			this.sessions = this.sessions.filter(ss => ss !== session);
+			throw e;
+		}
+		return session;
+	}
+
+	/**
+	 * Send a Hello message to start a session.
+	 *
+	 * @param Number device
+	 *   HiQnet address of the device.
+	 *
+	 * @param Number sessionNumber
+	 *   Our session number.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout` and `signal`, see send().
+	 *
+	 * @return Object, `sessionNumber` is the device's session number and
+	 *   `flagMask` the header flags it supports.
+	 */
+	async hello(device, sessionNumber, options = {})
+	{
+		let payload = Buffer.alloc(4);
+		payload.writeUInt16BE(sessionNumber, 0);
+		payload.writeUInt16BE(SESSION_FLAG_MASK, 2);
+
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			cmd: commands.hello,
+			addrSource: this.getSubscriberAddress(),
+			addrDest: {
+				device: device,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
 			payload: payload,
 		});
 		if (r.header.flags.error) {
 			throw new DeviceError(r);
 		}
+		return r.hello;
+	}
 
-		let values = {};
-		for (const id of parameters) {
-			values[id] = r.multiParamGet.parameters[id];
+	/**
+	 * Tell a device we are ending our session with it.  No reply is expected.
+	 *
+	 * @param Number device
+	 *   HiQnet address of the device.
+	 */
+	goodbye(device)
+	{
+		let payload = Buffer.alloc(2);
+		payload.writeUInt16BE(this.deviceId, 0);
+
+		return this.transport.sendMessage(this.encode({
+			cmd: commands.goodbye,
+			seqNum: this.nextSeqNum(),
+			addrSource: this.getSubscriberAddress(),
+			addrDest: {
+				device: device,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			payload: payload,
+		}));
+	}
+
+	/**
+	 * Ask a single device for its DiscoInfo, which also serves as a keepalive.
+	 *
+	 * @param Number device
+	 *   HiQnet address of the device.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout` and `signal`, see send().
+	 *
+	 * @return Object, the decoded DiscoInfo.
+	 */
+	async getDiscoInfo(device, options = {})
+	{
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			cmd: commands.discoInfo,
+			addrSource: this.getSubscriberAddress(),
+			addrDest: {
+				device: device,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			payload: this.encodeDiscoInfo({
+				device: this.deviceId,
+				serial: this.serial,
+				maxMessageLen: isFinite(this.maxMessageLen) ? this.maxMessageLen : 0x10000,
+				keepAlivePeriod: this.keepAlivePeriod,
+			}),
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+		return r.discoInfo;
+	}
+
+	getSubscriberAddress()
+	{
+		return {
+			device: this.deviceId,
+			virtualDevice: 0,
+			object: [0, 0, 0],
+		};
+	}
+
+	async sendSubscribe(sub, options = {})
+	{
+		const subscriber = this.getSubscriberAddress();
+		const lenEntry = 16;
+		let payload = Buffer.alloc(2 + sub.parameters.length * lenEntry);
+		payload.writeUInt16BE(sub.parameters.length, 0);
+		let pos = 2;
+		for (const id of sub.parameters) {
+			payload.writeUInt16BE(id, pos);                 // publisher parameter
+			payload.writeUInt8(0, pos + 2);                 // subscription type: all
+			encodeAddress(subscriber).copy(payload, pos + 3);
+			payload.writeUInt16BE(id, pos + 9);             // subscriber parameter
+			// Three reserved bytes at pos + 11
+			payload.writeUInt16BE(sub.sensitivity, pos + 14);
+			pos += lenEntry;
 		}
 
-		return values;
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: sub.percent ? commands.paramSubscribePercent : commands.multiParamSubscribe,
+			flags: flags.requestAck,
+			addrSource: subscriber,
+			addrDest: sub.address,
+			payload: payload,
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+	}
+
+	/**
+	 * Renew all active subscriptions, e.g. after the transport has reconnected.
+	 */
+	async resubscribe()
+	{
+		for (const sub of this.subscriptions) {
+			try {
+				debug(`Renewing subscription to ${getAddressKey(sub.address)}`);
+				await this.sendSubscribe(sub);
+			} catch (e) {
+				debug(`Unable to renew subscription: ${e.message}`);
+				if (sub.listenerCount('error')) sub.emit('error', e);
+			}
+		}
+		for (const sub of this.eventLogSubscriptions) {
+			try {
+				debug(`Renewing event log subscription to device ${sub.device}`);
+				await this.sendEventLogSubscribe(commands.eventLogSubscribe, sub);
+			} catch (e) {
+				debug(`Unable to renew event log subscription: ${e.message}`);
+				if (sub.listenerCount('error')) sub.emit('error', e);
+			}
+		}
+	}
+
+	/**
+	 * Ask a device to send event log entries as they happen, such as thermal
+	 * or clip warnings.
+	 *
+	 * @param Number device
+	 *   HiQnet address of the device.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     priority - Least important priority to receive, from
+	 *       HiQnet.eventPriorities.  Defaults to all entries.
+	 *     timeout, signal, guaranteed - Request settings, see send().
+	 *
+	 * @return HiQnetEventLogSubscription, which emits `entry` events with
+	 *   entries in the format returned by eventLogRequest().  The subscription
+	 *   is automatically renewed if the transport reconnects.
+	 */
+	async eventLogSubscribe(device, options = {})
+	{
+		const sub = new HiQnetEventLogSubscription(this, device, options);
+		await this.sendEventLogSubscribe(commands.eventLogSubscribe, sub, options);
+		this.eventLogSubscriptions.push(sub);
+		sub.active = true;
+		return sub;
+	}
+
+	/**
+	 * Cancel a subscription created by eventLogSubscribe().
+	 *
+	 * @param HiQnetEventLogSubscription sub
+	 *   Subscription to cancel.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().
+	 */
+	async eventLogUnsubscribe(sub, options = {})
+	{
+		if (!sub.active) return;
+		sub.active = false;
+		this.eventLogSubscriptions = this.eventLogSubscriptions.filter(s => s !== sub);
+		await this.sendEventLogSubscribe(commands.eventLogUnsubscribe, sub, options);
+	}
+
+	async sendEventLogSubscribe(cmd, sub, options = {})
+	{
+		const subscriber = this.getSubscriberAddress();
+		let payload = encodeAddress(subscriber);
+		if (cmd === commands.eventLogSubscribe) {
+			payload = Buffer.concat([payload, Buffer.from([sub.priority])]);
+		}
+
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: cmd,
+			flags: flags.requestAck,
+			addrSource: subscriber,
+			addrDest: {
+				device: sub.device,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			payload: payload,
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+	}
+
+	/**
+	 * Read the event log stored on a device.
+	 *
+	 * @param Number device
+	 *   HiQnet address of the device.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout`, `signal` and `guaranteed`, see
+	 *   send().
+	 *
+	 * @return Array of entries, each an object with:
+	 *     category - Area of the device the event concerns, device specific.
+	 *     eventId - What happened, device specific.
+	 *     priority - How important it is, see HiQnet.eventPriorities.
+	 *     sequenceNumber - Position in the device's log.
+	 *     date, time - Strings as sent by the device.
+	 *     timestamp - Date built from `date` and `time` in local time, or null
+	 *       if the device sent them in a format that isn't understood.
+	 *     text - Description of the event.
+	 *     info - Buffer holding any extra event-specific data.
+	 */
+	async eventLogRequest(device, options = {})
+	{
+		const r = await this.send({
+			timeout: options.timeout,
+			signal: options.signal,
+			guaranteed: options.guaranteed,
+			cmd: commands.eventLogRequest,
+			addrSource: {
+				device: this.deviceId,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			addrDest: {
+				device: device,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+		});
+		if (r.header.flags.error) {
+			throw new DeviceError(r);
+		}
+		return r.eventLogRequest.entries;
 	}
 };
 
+HiQnet.commands = commands;
+HiQnet.flags = flags;
+HiQnet.dataTypes = dataTypes;
+HiQnet.attributeIds = attributeIds;
+HiQnet.storeScopes = storeScopes;
+HiQnet.eventPriorities = eventPriorities;
+HiQnet.errorCodes = errorCodes;
+HiQnet.networkIds = networkIds;
+HiQnet.getCommandName = getCommandName;
+HiQnet.getErrorName = getErrorName;
+HiQnet.getDataType = getDataType;
+HiQnet.getAddressKey = getAddressKey;
+HiQnet.parseAddress = parseAddress;
+HiQnet.formatAddress = formatAddress;
+HiQnet.findNetwork = findNetwork;
+HiQnet.encodeParamList = encodeParamList;
+HiQnet.encodePercentList = encodePercentList;
+HiQnet.encodeEventLog = encodeEventLog;
+
 module.exports = HiQnet;
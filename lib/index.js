@@ -20,7 +20,23 @@
 let HiQnet = require('./hiqnet.js');
 
 HiQnet.Transport = {
+	Recorder: require('./transport/recorder.js'),
+	Replay: require('./transport/replay.js'),
+	Stream: require('./transport/stream.js'),
+	TCP: require('./transport/tcp.js'),
+	UDP: require('./transport/udp.js'),
 	USB: require('./transport/usb.js'),
 };
 
+HiQnet.Capture = require('./capture.js');
+HiQnet.Catalogue = require('./catalogue.js');
+HiQnet.Discovery = require('./discovery.js');
+HiQnet.Dissector = require('./dissector.js');
+HiQnet.Gateway = require('./gateway.js');
+HiQnet.MqttBridge = require('./bridge.js');
+HiQnet.OscServer = require('./osc.js');
+HiQnet.Simulator = require('./simulator.js');
+
+Object.assign(HiQnet, require('./error.js'));
+
 module.exports = HiQnet;
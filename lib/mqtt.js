@@ -0,0 +1,392 @@
+/**
+ * HiQnet device control library - minimal MQTT client.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:mqtt');
+const EventEmitter = require('events');
+const net = require('net');
+
+const MQTT_PORT = 1883;
+
+// MQTT 3.1.1 packet types, in the top four bits of the first byte.
+const packetTypes = {
+	connect: 1,
+	connack: 2,
+	publish: 3,
+	puback: 4,
+	subscribe: 8,
+	suback: 9,
+	pingreq: 12,
+	pingresp: 13,
+	disconnect: 14,
+};
+
+function encodeString(s)
+{
+	const data = Buffer.from(s, 'utf8');
+	let len = Buffer.alloc(2);
+	len.writeUInt16BE(data.length, 0);
+	return Buffer.concat([len, data]);
+}
+
+function encodePacket(type, flags, parts)
+{
+	const body = Buffer.concat(parts);
+	let header = [(type << 4) | flags];
+	let len = body.length;
+	do {
+		let b = len % 128;
+		len = Math.floor(len / 128);
+		if (len > 0) b |= 0x80;
+		header.push(b);
+	} while (len > 0);
+	return Buffer.concat([Buffer.from(header), body]);
+}
+
+/**
+ * Just enough of an MQTT 3.1.1 client for HiQnetMqttBridge, so no extra
+ * packages are needed.  Publishes at QoS 0 and subscribes at QoS 0, with a
+ * last will, keepalive pings and automatic reconnection.
+ *
+ * The methods used by the bridge match those of the `mqtt` package, so an
+ * instance of that can be used instead for TLS, QoS 1/2 and so on.
+ *
+ * Emits:
+ *   connect - Connected to the broker, including after a reconnect.
+ *   close - The connection has dropped.
+ *   message - A message arrived on a subscribed topic.  Passed the topic and
+ *     the payload as a Buffer.
+ *   error - The broker refused the connection.  Passed the error.
+ */
+class MqttClient extends EventEmitter
+{
+	/**
+	 * @param String url
+	 *   Broker address, e.g. `mqtt://localhost:1883`.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     clientId - Defaults to a random one.
+	 *     username, password - Credentials, if the broker needs them.
+	 *     keepalive - Seconds between pings, defaults to 60.
+	 *     will - Message for the broker to publish if we disappear, as an object
+	 *       with `topic`, `payload` and `retain` fields.
+	 *     reconnectPeriod - Milliseconds to wait before reconnecting after the
+	 *       connection drops, defaults to 1000.
+	 */
+	constructor(url, options = {})
+	{
+		super();
+
+		const u = new URL(url);
+		this.host = u.hostname;
+		this.port = Number(u.port) || MQTT_PORT;
+		this.clientId = options.clientId || 'hiqnet-' + Math.random().toString(16).slice(2, 10);
+		this.username = options.username || (u.username && decodeURIComponent(u.username));
+		this.password = options.password || (u.password && decodeURIComponent(u.password));
+		this.keepalive = (options.keepalive === undefined) ? 60 : options.keepalive;
+		this.will = options.will;
+		this.reconnectPeriod = (options.reconnectPeriod === undefined) ? 1000 : options.reconnectPeriod;
+
+		this.socket = null;
+		this.connected = false;
+		this.autoReconnect = false;
+		this.reconnectHandle = null;
+		this.pingHandle = null;
+		this.rxBuffer = Buffer.alloc(0);
+		this.nextPacketId = 1;
+
+		// Called with the return code when the broker answers our CONNECT.
+		this.onConnack = null;
+
+		// Topic filters to subscribe to again after reconnecting.
+		this.topics = [];
+	}
+
+	/**
+	 * Connect to the broker.
+	 *
+	 * Once this has succeeded, the connection will be automatically reopened if
+	 * it drops, until end() is called.
+	 */
+	async connect()
+	{
+		await this.openSocket();
+		this.autoReconnect = true;
+	}
+
+	openSocket()
+	{
+		return new Promise((resolve, reject) => {
+			const socket = net.createConnection(this.port, this.host);
+			this.socket = socket;
+			this.rxBuffer = Buffer.alloc(0);
+
+			let opened = false;
+
+			socket.on('connect', () => {
+				socket.setNoDelay(true);
+				socket.write(this.encodeConnect());
+			});
+
+			socket.on('data', data => {
+				this.handleData(data);
+			});
+
+			this.onConnack = returnCode => {
+				this.onConnack = null;
+				if (returnCode !== 0) {
+					const err = new Error(`MQTT broker refused connection, code ${returnCode}`);
+					socket.destroy();
+					if (this.listenerCount('error')) this.emit('error', err);
+					reject(err);
+					return;
+				}
+				opened = true;
+				debug(`Connected to ${this.host}:${this.port}`);
+				this.connected = true;
+				if (this.keepalive) {
+					this.pingHandle = setInterval(() => {
+						this.write(encodePacket(packetTypes.pingreq, 0, []));
+					}, this.keepalive * 1000);
+				}
+				if (this.topics.length) this.write(this.encodeSubscribe(this.topics));
+				this.emit('connect');
+				resolve();
+			};
+
+			socket.on('error', err => {
+				debug(`Socket error: ${err.message}`);
+				if (!opened) reject(err);
+			});
+
+			socket.on('close', () => {
+				clearInterval(this.pingHandle);
+				this.pingHandle = null;
+				if (this.socket === socket) {
+					this.socket = null;
+					this.onConnack = null;
+				}
+				if (opened) {
+					debug(`Connection to ${this.host}:${this.port} closed`);
+					this.connected = false;
+					this.emit('close');
+				} else {
+					reject(new Error('MQTT connection closed during handshake'));
+				}
+				if (this.autoReconnect) this.scheduleReconnect();
+			});
+		});
+	}
+
+	scheduleReconnect()
+	{
+		if (this.reconnectHandle) return;
+		debug(`Reconnecting in ${this.reconnectPeriod} ms`);
+		this.reconnectHandle = setTimeout(() => {
+			this.reconnectHandle = null;
+			// Failures are retried by the socket's close handler.
+			this.openSocket().catch(() => {});
+		}, this.reconnectPeriod);
+	}
+
+	encodeConnect()
+	{
+		let connectFlags = 0x02; // clean session
+		let payload = [encodeString(this.clientId)];
+		if (this.will) {
+			connectFlags |= 0x04;
+			if (this.will.retain) connectFlags |= 0x20;
+			payload.push(encodeString(this.will.topic));
+			payload.push(encodeString(String(this.will.payload)));
+		}
+		if (this.username) {
+			connectFlags |= 0x80;
+			payload.push(encodeString(this.username));
+		}
+		if (this.password) {
+			connectFlags |= 0x40;
+			payload.push(encodeString(this.password));
+		}
+
+		let header = Buffer.alloc(4);
+		header.writeUInt8(4, 0); // protocol level 3.1.1
+		header.writeUInt8(connectFlags, 1);
+		header.writeUInt16BE(this.keepalive, 2);
+
+		return encodePacket(packetTypes.connect, 0, [
+			encodeString('MQTT'),
+			header,
+			...payload,
+		]);
+	}
+
+	encodeSubscribe(topics)
+	{
+		let packetId = Buffer.alloc(2);
+		packetId.writeUInt16BE(this.nextPacketId, 0);
+		this.nextPacketId = (this.nextPacketId % 0xFFFF) + 1;
+
+		let parts = [packetId];
+		for (const topic of topics) {
+			parts.push(encodeString(topic));
+			parts.push(Buffer.from([0])); // QoS 0
+		}
+		return encodePacket(packetTypes.subscribe, 0x02, parts);
+	}
+
+	handleData(data)
+	{
+		this.rxBuffer = Buffer.concat([this.rxBuffer, data]);
+
+		for (;;) {
+			// Decode the variable length "remaining length" field.
+			let len = 0, mult = 1, pos = 1;
+			for (;;) {
+				if (pos >= this.rxBuffer.length) return;
+				const b = this.rxBuffer.readUInt8(pos++);
+				len += (b & 0x7F) * mult;
+				mult *= 128;
+				if (!(b & 0x80)) break;
+				if (pos > 4) {
+					debug('Invalid packet length, resetting connection');
+					this.socket.destroy();
+					return;
+				}
+			}
+			if (this.rxBuffer.length < pos + len) return;
+
+			const type = this.rxBuffer.readUInt8(0) >> 4;
+			const flags = this.rxBuffer.readUInt8(0) & 0x0F;
+			const body = this.rxBuffer.slice(pos, pos + len);
+			this.rxBuffer = this.rxBuffer.slice(pos + len);
+
+			if (!this.handlePacket(type, flags, body)) {
+				debug(`Invalid MQTT packet type ${type}, resetting connection`);
+				this.rxBuffer = Buffer.alloc(0);
+				if (this.socket) this.socket.destroy();
+				return;
+			}
+			// A message handler may have ended the connection.
+			if (!this.socket) return;
+		}
+	}
+
+	/**
+	 * @return false if the packet is malformed, in which case the connection
+	 *   should be reset.
+	 */
+	handlePacket(type, flags, body)
+	{
+		switch (type) {
+			case packetTypes.connack:
+				if (this.onConnack) this.onConnack(body.length >= 2 ? body.readUInt8(1) : -1);
+				break;
+
+			case packetTypes.publish: {
+				const qos = (flags >> 1) & 0x03;
+				if ((qos === 3) || (body.length < 2)) return false;
+				const lenTopic = body.readUInt16BE(0);
+				if (body.length < 2 + lenTopic + ((qos > 0) ? 2 : 0)) return false;
+				const topic = body.slice(2, 2 + lenTopic).toString('utf8');
+				let pos = 2 + lenTopic;
+				if (qos > 0) {
+					// We only subscribe at QoS 0, but acknowledge anyway in case the
+					// broker sends more.
+					const packetId = body.slice(pos, pos + 2);
+					pos += 2;
+					this.write(encodePacket(packetTypes.puback, 0, [packetId]));
+				}
+				this.emit('message', topic, body.slice(pos));
+				break;
+			}
+
+			case packetTypes.suback:
+			case packetTypes.puback:
+			case packetTypes.pingresp:
+				break;
+
+			default:
+				debug(`Ignoring MQTT packet type ${type}`);
+				break;
+		}
+		return true;
+	}
+
+	write(packet)
+	{
+		if (!this.connected || !this.socket) return false;
+		this.socket.write(packet);
+		return true;
+	}
+
+	/**
+	 * Publish a message.  Messages published while disconnected are dropped.
+	 *
+	 * @param String topic
+	 *   Topic to publish to.
+	 *
+	 * @param String|Buffer payload
+	 *   Message content.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     retain - true to have the broker keep the message for future
+	 *       subscribers.
+	 */
+	publish(topic, payload, options = {})
+	{
+		this.write(encodePacket(packetTypes.publish, options.retain ? 0x01 : 0x00, [
+			encodeString(topic),
+			Buffer.from(payload),
+		]));
+	}
+
+	/**
+	 * Receive messages published to a topic.  Subscriptions are renewed after
+	 * reconnecting.
+	 *
+	 * @param String|Array topic
+	 *   One or more topic filters, which may include `+` and `#` wildcards.
+	 */
+	subscribe(topic)
+	{
+		const topics = [].concat(topic);
+		this.topics.push(...topics);
+		this.write(this.encodeSubscribe(topics));
+	}
+
+	/**
+	 * Disconnect from the broker.  The last will is not published.
+	 */
+	end()
+	{
+		this.autoReconnect = false;
+		clearTimeout(this.reconnectHandle);
+		this.reconnectHandle = null;
+		if (this.socket) {
+			this.write(encodePacket(packetTypes.disconnect, 0, []));
+			this.socket.end();
+			this.socket = null;
+		}
+	}
+};
+
+MqttClient.PORT = MQTT_PORT;
+
+module.exports = MqttClient;
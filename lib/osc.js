@@ -0,0 +1,534 @@
+/**
+ * HiQnet device control library - Open Sound Control server.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:osc');
+const dgram = require('dgram');
+const EventEmitter = require('events');
+
+const HiQnet = require('./hiqnet.js');
+
+const { dataTypes, getAddressKey, parseAddress } = HiQnet;
+
+const OSC_PORT = 8000;
+
+const BUNDLE_TAG = '#bundle';
+
+/**
+ * Encode an OSC string: UTF-8, null terminated and padded to four bytes.
+ */
+function encodeString(s)
+{
+	const data = Buffer.from(s, 'utf8');
+	let buf = Buffer.alloc((data.length + 4) & ~3);
+	data.copy(buf, 0);
+	return buf;
+}
+
+function decodeString(data, pos)
+{
+	const end = data.indexOf(0, pos);
+	if (end < 0) throw new Error('OSC string is not terminated');
+	return {
+		value: data.slice(pos, end).toString('utf8'),
+		next: (end + 4) & ~3,
+	};
+}
+
+function checkLength(data, pos, len)
+{
+	if (pos + len > data.length) throw new Error('OSC message is truncated');
+}
+
+/**
+ * Encode an OSC message.
+ *
+ * @param String address
+ *   OSC address, e.g. `/amp/1/gain`.
+ *
+ * @param Array args
+ *   Arguments, each an object with `type` (an OSC type tag such as `f`) and
+ *   `value` fields.
+ *
+ * @return Buffer.
+ */
+function encodeMessage(address, args)
+{
+	let parts = [
+		encodeString(address),
+		encodeString(',' + args.map(a => a.type).join('')),
+	];
+	for (const a of args) {
+		let buf;
+		switch (a.type) {
+			case 'i':
+				buf = Buffer.alloc(4);
+				buf.writeInt32BE(a.value, 0);
+				break;
+			case 'f':
+				buf = Buffer.alloc(4);
+				buf.writeFloatBE(a.value, 0);
+				break;
+			case 'd':
+				buf = Buffer.alloc(8);
+				buf.writeDoubleBE(a.value, 0);
+				break;
+			case 'h':
+				buf = Buffer.alloc(8);
+				buf.writeBigInt64BE(BigInt(a.value), 0);
+				break;
+			case 's':
+				buf = encodeString(String(a.value));
+				break;
+			case 'b': {
+				const data = Buffer.from(a.value);
+				buf = Buffer.alloc(4 + ((data.length + 3) & ~3));
+				buf.writeInt32BE(data.length, 0);
+				data.copy(buf, 4);
+				break;
+			}
+			default:
+				throw new Error(`Unsupported OSC type: ${a.type}`);
+		}
+		parts.push(buf);
+	}
+	return Buffer.concat(parts);
+}
+
+/**
+ * Decode an OSC packet, flattening any bundles.  Bundle time tags are ignored
+ * and everything is acted on straight away.
+ *
+ * @param Buffer data
+ *   Raw UDP payload.
+ *
+ * @return Array of `{ address, args }` objects, where `args` is an Array of
+ *   argument values.
+ */
+function decodePacket(data)
+{
+	const first = decodeString(data, 0);
+	if (first.value === BUNDLE_TAG) {
+		let messages = [];
+		let pos = first.next + 8; // skip time tag
+		checkLength(data, 0, pos);
+		while (pos < data.length) {
+			checkLength(data, pos, 4);
+			const len = data.readInt32BE(pos);
+			if ((len < 0) || (len % 4)) throw new Error(`Invalid OSC bundle element length ${len}`);
+			checkLength(data, pos + 4, len);
+			messages.push(...decodePacket(data.slice(pos + 4, pos + 4 + len)));
+			pos += 4 + len;
+		}
+		return messages;
+	}
+
+	if (first.value[0] !== '/') throw new Error(`Invalid OSC address "${first.value}"`);
+	let args = [];
+	if (first.next >= data.length) {
+		// Type tags are optional in old OSC implementations.
+		return [{ address: first.value, args }];
+	}
+	const tags = decodeString(data, first.next);
+	if (tags.value[0] !== ',') throw new Error('OSC type tags are missing');
+	let pos = tags.next;
+	for (const t of tags.value.slice(1)) {
+		switch (t) {
+			case 'i':
+				checkLength(data, pos, 4);
+				args.push(data.readInt32BE(pos));
+				pos += 4;
+				break;
+			case 'f':
+				checkLength(data, pos, 4);
+				args.push(data.readFloatBE(pos));
+				pos += 4;
+				break;
+			case 'd':
+				checkLength(data, pos, 8);
+				args.push(data.readDoubleBE(pos));
+				pos += 8;
+				break;
+			case 'h':
+				checkLength(data, pos, 8);
+				args.push(data.readBigInt64BE(pos));
+				pos += 8;
+				break;
+			case 's':
+			case 'S': {
+				const s = decodeString(data, pos);
+				args.push(s.value);
+				pos = s.next;
+				break;
+			}
+			case 'b': {
+				checkLength(data, pos, 4);
+				const len = data.readInt32BE(pos);
+				if (len < 0) throw new Error(`Invalid OSC blob length ${len}`);
+				checkLength(data, pos + 4, len);
+				args.push(data.slice(pos + 4, pos + 4 + len));
+				pos += 4 + ((len + 3) & ~3);
+				break;
+			}
+			case 'T': args.push(true); break;
+			case 'F': args.push(false); break;
+			case 'N': args.push(null); break;
+			case 'I': args.push(Infinity); break;
+			default:
+				throw new Error(`Unsupported OSC type: ${t}`);
+		}
+	}
+	return [{ address: first.value, args }];
+}
+
+/**
+ * Convert an OSC address pattern, which may contain `?`, `*`, `[...]` and
+ * `{a,b}` wildcards, into a RegExp.
+ */
+function patternToRegExp(pattern)
+{
+	let re = '';
+	for (let i = 0; i < pattern.length; i++) {
+		const c = pattern[i];
+		switch (c) {
+			case '?': re += '[^/]'; break;
+			case '*': re += '[^/]*'; break;
+			case '[': {
+				const end = pattern.indexOf(']', i);
+				if (end < 0) throw new Error(`Invalid OSC address pattern "${pattern}"`);
+				let set = pattern.slice(i + 1, end).replace(/[\\\]^]/g, '\\$&');
+				if (set[0] === '!') set = '^' + set.slice(1);
+				re += `[${set}]`;
+				i = end;
+				break;
+			}
+			case '{': {
+				const end = pattern.indexOf('}', i);
+				if (end < 0) throw new Error(`Invalid OSC address pattern "${pattern}"`);
+				const options = pattern.slice(i + 1, end).split(',')
+					.map(o => o.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+				re += `(?:${options.join('|')})`;
+				i = end;
+				break;
+			}
+			default:
+				re += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+				break;
+		}
+	}
+	return new RegExp(`^${re}$`);
+}
+
+/**
+ * Lets show control software such as QLab and TouchOSC change parameters
+ * using Open Sound Control over UDP.
+ *
+ * Each OSC address is mapped to one parameter.  Incoming numbers set the
+ * parameter and a message with no arguments asks for its current value.
+ * Changes made on the device, or by another OSC client, are sent back to
+ * every client that has talked to us so faders stay in sync.
+ *
+ * The server owns its own HiQnet instance, which renews the subscriptions if
+ * the transport reconnects.
+ *
+ * Emits:
+ *   error - An OSC packet was malformed or a parameter could not be set.
+ *     Passed the error.
+ */
+class HiQnetOscServer extends EventEmitter
+{
+	/**
+	 * @param Object options
+	 *   Settings:
+	 *     transport - HiQnet transport to reach the devices through.
+	 *     mappings - Array of objects, each with:
+	 *       osc - OSC address, e.g. `/amp/1/gain`.
+	 *       address - HiQnet address as a `device/vd/o1.o2.o3` string or
+	 *         object.
+	 *       parameter - Parameter ID within the object.
+	 *       range - Optional `[min, max]`.  If given, OSC values from 0 to 1
+	 *         are scaled to this range and back, to suit faders.
+	 *     port - UDP port to listen on for OSC, defaults to 8000.
+	 *     bindAddress - Local address to listen on, defaults to all interfaces.
+	 *     feedbackPort - Port to send feedback to on each client.  Defaults to
+	 *       the port the client sent from.
+	 *     feedback - Array of `{ address, port }` objects for extra feedback
+	 *       destinations that never send anything themselves.
+	 *   Other options, such as `timeout` and `deviceId`, are passed to HiQnet.
+	 */
+	constructor(options = {})
+	{
+		super();
+
+		this.transport = options.transport;
+		this.hiq = new HiQnet(this.transport, null, options);
+		this.hiq.on('error', err => {
+			if (this.listenerCount('error')) this.emit('error', err);
+		});
+
+		this.port = (options.port === undefined) ? OSC_PORT : options.port;
+		this.bindAddress = options.bindAddress;
+		this.feedbackPort = options.feedbackPort;
+
+		this.mappings = (options.mappings || []).map(m => ({
+			osc: m.osc,
+			address: parseAddress(m.address),
+			parameter: m.parameter,
+			range: m.range,
+			value: undefined,
+		}));
+
+		// Where to send feedback, keyed by `ip:port`.
+		this.clients = {};
+		for (const dest of options.feedback || []) {
+			this.clients[`${dest.address}:${dest.port}`] = dest;
+		}
+
+		// One HiQnetSubscription per object.
+		this.subscriptions = [];
+
+		this.socket = null;
+	}
+
+	/**
+	 * Connect the transport, read the current values, subscribe to changes and
+	 * start listening for OSC.
+	 */
+	async start()
+	{
+		await this.transport.connect();
+
+		let objects = {};
+		for (const m of this.mappings) {
+			const key = getAddressKey(m.address);
+			if (!objects[key]) objects[key] = { address: m.address, parameters: [] };
+			if (!objects[key].parameters.includes(m.parameter)) objects[key].parameters.push(m.parameter);
+		}
+
+		for (const o of Object.values(objects)) {
+			try {
+				const values = await this.hiq.multiParamGet(o.address, o.parameters);
+				for (const m of this.getMappings(o.address)) m.value = values[m.parameter];
+			} catch (e) {
+				debug(`Unable to read ${getAddressKey(o.address)}: ${e.message}`);
+				if (this.listenerCount('error')) this.emit('error', e);
+			}
+
+			try {
+				const sub = await this.hiq.subscribe(o.address, o.parameters);
+				sub.on('change', values => this.handleChange(o.address, values));
+				sub.on('error', e => {
+					debug(`Unable to resubscribe to ${getAddressKey(o.address)}: ${e.message}`);
+					if (this.listenerCount('error')) this.emit('error', e);
+				});
+				this.subscriptions.push(sub);
+			} catch (e) {
+				debug(`Unable to subscribe to ${getAddressKey(o.address)}: ${e.message}`);
+				if (this.listenerCount('error')) this.emit('error', e);
+			}
+		}
+
+		this.socket = await new Promise((resolve, reject) => {
+			const socket = dgram.createSocket('udp4');
+			socket.once('error', reject);
+			socket.on('message', (data, rinfo) => this.handleOscPacket(data, rinfo));
+			socket.bind(this.port, this.bindAddress, () => {
+				socket.removeListener('error', reject);
+				socket.on('error', err => {
+					debug(`Socket error: ${err.message}`);
+				});
+				resolve(socket);
+			});
+		});
+		debug(`Listening for OSC on port ${this.address().port}`);
+	}
+
+	/**
+	 * Stop listening, cancel the subscriptions and close the transport.
+	 */
+	async close()
+	{
+		if (this.socket) {
+			this.socket.close();
+			this.socket = null;
+		}
+		for (const sub of this.subscriptions) {
+			await sub.unsubscribe().catch(e => {
+				debug(`Unable to unsubscribe: ${e.message}`);
+			});
+		}
+		this.subscriptions = [];
+		this.transport.close();
+	}
+
+	/**
+	 * Address the OSC socket is listening on, as returned by
+	 * dgram.Socket.address().
+	 */
+	address()
+	{
+		return this.socket && this.socket.address();
+	}
+
+	getMappings(address)
+	{
+		const key = getAddressKey(address);
+		return this.mappings.filter(m => getAddressKey(m.address) === key);
+	}
+
+	handleOscPacket(data, rinfo)
+	{
+		let messages;
+		try {
+			messages = decodePacket(data);
+		} catch (e) {
+			debug(`Ignoring bad OSC packet from ${rinfo.address}: ${e.message}`);
+			if (this.listenerCount('error')) this.emit('error', e);
+			return;
+		}
+
+		let client = {
+			address: rinfo.address,
+			port: this.feedbackPort || rinfo.port,
+		};
+		const clientKey = `${client.address}:${client.port}`;
+		if (!this.clients[clientKey]) {
+			debug(`New OSC client ${clientKey}`);
+			this.clients[clientKey] = client;
+		}
+		client = this.clients[clientKey];
+
+		for (const msg of messages) {
+			this.handleOscMessage(msg, client).catch(e => {
+				debug(`Unable to handle ${msg.address}: ${e.message}`);
+				if (this.listenerCount('error')) this.emit('error', e);
+			});
+		}
+	}
+
+	async handleOscMessage(msg, client)
+	{
+		const re = patternToRegExp(msg.address);
+		const targets = this.mappings.filter(m => re.test(m.osc));
+		if (!targets.length) {
+			debug(`No mapping for ${msg.address}`);
+			return;
+		}
+
+		for (const m of targets) {
+			if (!msg.args.length) {
+				// A query, so tell the client the current value.
+				if (m.value !== undefined) this.sendFeedback(m, [client]);
+				continue;
+			}
+
+			let value = msg.args[0];
+			if (typeof value === 'boolean') value = value ? 1 : 0;
+			if (typeof value === 'bigint') value = Number(value);
+			if (typeof value !== 'number') {
+				throw new Error(`${msg.address} needs a number, not ${typeof value}`);
+			}
+			if (m.range) value = m.range[0] + value * (m.range[1] - m.range[0]);
+
+			const dataType = this.hiq.getParamType(m.address, m.parameter);
+			if (dataType === dataTypes.float) {
+				// Match what the device will echo back.
+				value = Math.fround(value);
+			} else if (![dataTypes.double, undefined].includes(dataType)) {
+				value = Math.round(value);
+			}
+			debug(`${m.osc} -> ${getAddressKey(m.address)}/${m.parameter} = ${value}`);
+
+			// Record the value first, so the device's own notification of the
+			// change isn't echoed back to this client.
+			const previous = m.value;
+			m.value = value;
+			try {
+				await this.hiq.multiParamSet(m.address, { [m.parameter]: value });
+			} catch (e) {
+				m.value = previous;
+				throw e;
+			}
+			this.sendFeedback(m, Object.values(this.clients).filter(c => c !== client));
+		}
+	}
+
+	/**
+	 * A device has sent new values for one of our subscriptions.
+	 */
+	handleChange(address, values)
+	{
+		for (const m of this.getMappings(address)) {
+			if (values[m.parameter] !== undefined) this.changed(m, values[m.parameter]);
+		}
+	}
+
+	/**
+	 * Record a new value from a device and send it to every client.
+	 */
+	changed(m, value)
+	{
+		if (m.value === value) return;
+		m.value = value;
+		this.sendFeedback(m, Object.values(this.clients));
+	}
+
+	sendFeedback(m, clients)
+	{
+		if (!this.socket || !clients.length) return;
+
+		let arg;
+		if (m.range) {
+			arg = { type: 'f', value: (Number(m.value) - m.range[0]) / (m.range[1] - m.range[0]) };
+		} else {
+			switch (this.hiq.getParamType(m.address, m.parameter)) {
+				case dataTypes.float:
+				case dataTypes.double:
+					arg = { type: 'f', value: m.value };
+					break;
+				case dataTypes.int64:
+				case dataTypes.uint64:
+					arg = { type: 'h', value: m.value };
+					break;
+				case dataTypes.string:
+					arg = { type: 's', value: m.value };
+					break;
+				case dataTypes.block:
+					arg = { type: 'b', value: m.value };
+					break;
+				default:
+					arg = { type: 'i', value: m.value };
+					break;
+			}
+		}
+
+		const packet = encodeMessage(m.osc, [arg]);
+		for (const c of clients) {
+			this.socket.send(packet, c.port, c.address, err => {
+				if (err) debug(`Unable to send feedback to ${c.address}:${c.port}: ${err.message}`);
+			});
+		}
+	}
+};
+
+HiQnetOscServer.PORT = OSC_PORT;
+HiQnetOscServer.encodeMessage = encodeMessage;
+HiQnetOscServer.decodePacket = decodePacket;
+HiQnetOscServer.patternToRegExp = patternToRegExp;
+
+module.exports = HiQnetOscServer;
@@ -0,0 +1,195 @@
+/**
+ * HiQnet device control library - sessions.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:session');
+const EventEmitter = require('events');
+
+// Used when a device doesn't tell us its keepalive period.
+const DEFAULT_KEEPALIVE_PERIOD = 10000;
+
+/**
+ * Handle returned by HiQnet.openSession().
+ *
+ * Once open, the device is sent a keepalive (a DiscoInfo query) every
+ * keepalive period.  If it stops answering it is marked offline, and the
+ * session is reopened as soon as the device responds again.
+ *
+ * Emits:
+ *   connected - The session has been established or reestablished.
+ *   disconnected - The device said goodbye, stopped answering keepalives, or
+ *     the transport was closed.
+ */
+class HiQnetSession extends EventEmitter
+{
+	constructor(hiq, device, options = {})
+	{
+		super();
+
+		this.hiq = hiq;
+		this.device = device;
+		this.fixedKeepAlivePeriod = options.keepAlivePeriod || null;
+		this.keepAlivePeriod = this.fixedKeepAlivePeriod || DEFAULT_KEEPALIVE_PERIOD;
+		this.maxMisses = (options.maxMisses === undefined) ? 2 : options.maxMisses;
+
+		this.sessionNumber = HiQnetSession.newSessionNumber();
+		this.remoteSessionNumber = null;
+		this.connected = false;
+		this.closed = false;
+		this.misses = 0;
+		this.timerHandle = null;
+	}
+
+	/**
+	 * Pick a random non-zero session number.
+	 */
+	static newSessionNumber()
+	{
+		return 1 + Math.floor(Math.random() * 0xFFFE);
+	}
+
+	/**
+	 * Perform the Hello handshake and start sending keepalives.
+	 *
+	 * @param Object options
+	 *   Optional request settings, `timeout` and `signal`, see HiQnet.send().
+	 */
+	async open(options = {})
+	{
+		const hello = await this.hiq.hello(this.device, this.sessionNumber, options);
+		this.remoteSessionNumber = hello.sessionNumber;
+
+		if (!this.fixedKeepAlivePeriod) {
+			const info = await this.hiq.getDiscoInfo(this.device, options);
+			this.keepAlivePeriod = info.keepAlivePeriod || DEFAULT_KEEPALIVE_PERIOD;
+		}
+
+		if (this.closed) return;
+		this.setOnline();
+	}
+
+	/**
+	 * End the session, telling the device we are going.
+	 */
+	async close()
+	{
+		if (this.closed) return;
+		this.closed = true;
+		clearTimeout(this.timerHandle);
+		this.timerHandle = null;
+		this.hiq.sessions = this.hiq.sessions.filter(ss => ss !== this);
+
+		const wasConnected = this.connected;
+		this.setOffline();
+		if (wasConnected) {
+			try {
+				await this.hiq.goodbye(this.device);
+			} catch (e) {
+				debug(`Unable to say goodbye to device ${this.device}: ${e.message}`);
+			}
+		}
+	}
+
+	setOnline()
+	{
+		this.misses = 0;
+		if (!this.connected) {
+			debug(`Session with device ${this.device} established, keepalive `
+				+ `every ${this.keepAlivePeriod} ms`);
+			this.connected = true;
+			this.emit('connected');
+		}
+		this.schedule();
+	}
+
+	/**
+	 * Mark the device as offline.  Unless the session has been closed, it
+	 * will be reopened once the device responds again.
+	 */
+	setOffline()
+	{
+		if (this.connected) {
+			debug(`Session with device ${this.device} lost`);
+			this.connected = false;
+			this.remoteSessionNumber = null;
+			this.emit('disconnected');
+		}
+		this.schedule();
+	}
+
+	/**
+	 * Reopen the session straight away, e.g. because the transport has just
+	 * reconnected.
+	 */
+	reconnect()
+	{
+		if (this.closed) return;
+		this.setOffline();
+		clearTimeout(this.timerHandle);
+		this.timerHandle = null;
+		this.keepAlive();
+	}
+
+	/**
+	 * The device has (re)opened a session with us.
+	 */
+	peerHello(sessionNumber)
+	{
+		this.remoteSessionNumber = sessionNumber;
+	}
+
+	schedule()
+	{
+		clearTimeout(this.timerHandle);
+		this.timerHandle = null;
+		if (this.closed) return;
+		this.timerHandle = setTimeout(() => {
+			this.timerHandle = null;
+			this.keepAlive();
+		}, this.keepAlivePeriod);
+	}
+
+	async keepAlive()
+	{
+		if (!this.connected) {
+			try {
+				await this.open({ timeout: this.keepAlivePeriod });
+			} catch (e) {
+				debug(`Device ${this.device} still offline: ${e.message}`);
+				this.schedule();
+			}
+			return;
+		}
+
+		try {
+			await this.hiq.getDiscoInfo(this.device, { timeout: this.keepAlivePeriod });
+			if (this.connected) this.setOnline();
+		} catch (e) {
+			if (!this.connected) return;
+			this.misses++;
+			debug(`Device ${this.device} missed keepalive ${this.misses}/${this.maxMisses}`);
+			if (this.misses >= this.maxMisses) {
+				this.setOffline();
+			} else {
+				this.schedule();
+			}
+		}
+	}
+};
+
+module.exports = HiQnetSession;
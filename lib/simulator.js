@@ -0,0 +1,1059 @@
+/**
+ * HiQnet device control library - simulated device for testing.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:simulator');
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const net = require('net');
+
+const HiQnet = require('./hiqnet.js');
+const { ProtocolError } = require('./error.js');
+
+const { commands, flags, dataTypes, errorCodes } = HiQnet;
+
+/**
+ * Split an object number, as returned by decodeHeader(), into three bytes.
+ */
+function splitObject(n)
+{
+	return [(n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+}
+
+/**
+ * Key identifying an object within the simulated device, in the
+ * `virtualDevice.o1.o2.o3` form.
+ */
+function getObjectKey(virtualDevice, object)
+{
+	return [virtualDevice, ...object].join('.');
+}
+
+/**
+ * Transport connecting a HiQnet instance directly to a simulator, without
+ * going through the network.  Returned by HiQnetSimulator.createTransport().
+ */
+class HiQnetSimulatorTransport extends EventEmitter
+{
+	constructor(simulator)
+	{
+		super();
+
+		this.simulator = simulator;
+		this.connected = false;
+		this.client = {
+			send: msg => {
+				if (this.connected && this.callback) this.callback(msg);
+			},
+		};
+	}
+
+	async connect()
+	{
+		this.connected = true;
+		this.emit('connect');
+	}
+
+	close()
+	{
+		if (!this.connected) return;
+		this.connected = false;
+		this.simulator.disconnect(this.client);
+		this.emit('close');
+	}
+
+	sendMessage(payload)
+	{
+		if (!this.connected) {
+			return Promise.reject(new Error('Simulator transport is not connected'));
+		}
+		// Deliver asynchronously, like a real transport.
+		setImmediate(() => this.simulator.receive(payload, this.client));
+		return Promise.resolve();
+	}
+};
+
+/**
+ * A pretend HiQnet device, for testing code without real hardware.
+ *
+ * It holds a tree of virtual devices, objects and parameters and answers
+ * requests for them using the same wire format as a real device.  Connect to
+ * it in-process with createTransport(), or over the network with listenTCP()
+ * and listenUDP().
+ *
+ * Faults can be injected through the `faults` property (see setFaults()) to
+ * check how code copes with lost, late or rejected messages.
+ *
+ * Emits:
+ *   message - A request has arrived.  Passed the decoded message.
+ *   change - A parameter has changed, either by a client or by setValue().
+ *     Passed the object address (with `virtualDevice` and `object` fields),
+ *     the parameter ID and the new value.
+ *   locate - A client has asked for the device's LEDs to flash.  Passed the
+ *     duration in milliseconds.
+ */
+class HiQnetSimulator extends EventEmitter
+{
+	/**
+	 * @param Object options
+	 *   Optional settings:
+	 *     deviceId - HiQnet address of the simulated device, defaults to 1.
+	 *     serial - Serial number as an Array or Buffer.
+	 *     keepAlivePeriod - Reported in DiscoInfo, defaults to 10000.
+	 *     maxMessageLen - Reported in DiscoInfo, defaults to 65536.
+	 *     objects - Parameter tree.  Keys are `virtualDevice.o1.o2.o3`
+	 *       strings, values are objects whose keys are parameter IDs and values
+	 *       are `{ type, value }` objects.  The type may be a name or a number
+	 *       from HiQnet.dataTypes.  Numeric parameters may also have `min` and
+	 *       `max` fields, needed to set or subscribe to them as percentages.
+	 *     catalogue - HiQnet.Catalogue to build the parameter tree from
+	 *       instead, with each parameter set to its default or minimum.
+	 *     faults - Initial faults, see setFaults().
+	 */
+	constructor(options = {})
+	{
+		super();
+
+		this.deviceId = options.deviceId || 1;
+		this.serial = Buffer.from(options.serial || 'HiQnet simulator');
+		this.keepAlivePeriod = options.keepAlivePeriod || 10000;
+		this.maxMessageLen = options.maxMessageLen || 0x10000;
+
+		this.objects = {};
+		if (options.catalogue) this.loadCatalogue(options.catalogue);
+		for (const [key, params] of Object.entries(options.objects || {})) {
+			const [vd, ...object] = key.split('.').map(n => parseInt(n));
+			for (const [id, p] of Object.entries(params)) {
+				this.addParameter({ virtualDevice: vd, object: object }, parseInt(id), p.type, p.value, p);
+			}
+		}
+
+		this.faults = {
+			drop: 0,
+			delay: 0,
+			errors: {},
+		};
+		if (options.faults) this.setFaults(options.faults);
+
+		this.subscriptions = [];
+		this.eventLog = [];
+		this.eventLogSubscriptions = [];
+		// Saved by store requests, keyed by `scope/slot`.
+		this.presets = {};
+		this.transports = [];
+		this.servers = [];
+		this.udpClients = {};
+		this.tcpClients = new Set();
+
+		// Used to encode and decode messages.
+		this.hiq = new HiQnet({
+			sendMessage: (msg, client) => this.transmit(msg, client),
+		}, null, {
+			deviceId: this.deviceId,
+		});
+	}
+
+	/**
+	 * Add every parameter in a catalogue to the tree.
+	 */
+	loadCatalogue(catalogue)
+	{
+		for (const p of catalogue.parameters) {
+			const type = (p.type === undefined) ? dataTypes.float : p.type;
+			let value;
+			if (type === dataTypes.string) value = '';
+			else if (type === dataTypes.block) value = Buffer.alloc(0);
+			else if (p.default !== undefined) value = p.default;
+			else if (p.min !== undefined) value = p.min;
+			else value = 0;
+			this.addParameter(p, p.id, type, value, p);
+		}
+	}
+
+	/**
+	 * Add a parameter to the tree, or replace an existing one.
+	 *
+	 * @param Object address
+	 *   Object the parameter belongs to, with `virtualDevice` and `object`
+	 *   fields.
+	 *
+	 * @param Number id
+	 *   Parameter ID.
+	 *
+	 * @param Number|String type
+	 *   Data type, a name or a number from HiQnet.dataTypes.
+	 *
+	 * @param value
+	 *   Initial value.
+	 *
+	 * @param Object range
+	 *   Optional `min` and `max` values, used for percentages.
+	 */
+	addParameter(address, id, type, value, range = {})
+	{
+		const key = getObjectKey(address.virtualDevice, address.object);
+		if (!this.objects[key]) this.objects[key] = {};
+		this.objects[key][id] = {
+			type: HiQnet.getDataType(type),
+			value: value,
+			min: range.min,
+			max: range.max,
+		};
+	}
+
+	/**
+	 * @return The current value of a parameter, or undefined if there is no
+	 *   such parameter.
+	 */
+	getValue(address, id)
+	{
+		const params = this.objects[getObjectKey(address.virtualDevice, address.object)];
+		return params && params[id] && params[id].value;
+	}
+
+	/**
+	 * Change a parameter as though it had been adjusted on the device itself,
+	 * notifying any subscribers.
+	 */
+	setValue(address, id, value)
+	{
+		const params = this.objects[getObjectKey(address.virtualDevice, address.object)];
+		if (!params || !params[id]) {
+			throw new Error(`No parameter ${id} on object ${getObjectKey(address.virtualDevice, address.object)}`);
+		}
+		params[id].value = value;
+		this.changed(address.virtualDevice, address.object, { [id]: value });
+	}
+
+	/**
+	 * Add an entry to the event log as though the device had logged it,
+	 * notifying any subscribers interested in its priority.
+	 *
+	 * @param Object entry
+	 *   Fields as returned by HiQnet.eventLogRequest().  The sequence number
+	 *   is filled in, as is the date and time if not given.
+	 */
+	logEvent(entry)
+	{
+		entry = Object.assign({}, entry, {
+			sequenceNumber: this.eventLog.length + 1,
+		});
+		this.eventLog.push(entry);
+
+		for (const s of this.eventLogSubscriptions) {
+			if ((entry.priority || 0) > s.priority) continue;
+			this.hiq.transport.sendMessage(this.hiq.encode({
+				cmd: commands.eventLogRequest,
+				seqNum: this.hiq.nextSeqNum(),
+				addrSource: {
+					device: this.deviceId,
+					virtualDevice: 0,
+					object: [0, 0, 0],
+				},
+				addrDest: s.subscriber,
+				payload: HiQnet.encodeEventLog([entry]),
+			}), s.client);
+		}
+	}
+
+	/**
+	 * Change the faults being injected.  Fields not given are left as they are.
+	 *
+	 * @param Object faults
+	 *   drop - Chance of each outgoing message being lost, from 0 to 1, or a
+	 *     function passed each outgoing message Buffer that returns true to
+	 *     drop it.
+	 *   delay - Milliseconds to hold each outgoing message before sending.
+	 *   errors - Keys are command names (e.g. `multiParamGet`), values are
+	 *     error codes from HiQnet.errorCodes, or `{ code, text }` objects, to
+	 *     reply with instead of handling the command.
+	 */
+	setFaults(faults)
+	{
+		Object.assign(this.faults, faults);
+	}
+
+	/**
+	 * @return Transport for passing to the HiQnet constructor, connected
+	 *   directly to this simulator.
+	 */
+	createTransport()
+	{
+		const transport = new HiQnetSimulatorTransport(this);
+		this.transports.push(transport);
+		return transport;
+	}
+
+	/**
+	 * Accept TCP connections.
+	 *
+	 * @param Number port
+	 *   Port to listen on, defaults to a random free port.
+	 *
+	 * @param String host
+	 *   Address to listen on, defaults to 127.0.0.1.
+	 *
+	 * @return Number, the port being listened on.
+	 */
+	listenTCP(port = 0, host = '127.0.0.1')
+	{
+		return new Promise((resolve, reject) => {
+			const server = net.createServer(socket => {
+				debug(`TCP client connected from ${socket.remoteAddress}:${socket.remotePort}`);
+				const client = {
+					send: msg => socket.write(msg),
+				};
+				this.tcpClients.add(client);
+				let rxBuffer = Buffer.alloc(0);
+				socket.on('data', data => {
+					rxBuffer = Buffer.concat([rxBuffer, data]);
+					while (rxBuffer.length >= 6) {
+						const lenMessage = rxBuffer.readUInt32BE(2);
+						if (lenMessage < 0x19) {
+							debug(`Invalid message length ${lenMessage}, dropping client`);
+							socket.destroy();
+							return;
+						}
+						if (rxBuffer.length < lenMessage) break;
+						const msg = rxBuffer.slice(0, lenMessage);
+						rxBuffer = rxBuffer.slice(lenMessage);
+						this.receive(msg, client);
+					}
+				});
+				socket.on('error', err => {
+					debug(`TCP client error: ${err.message}`);
+				});
+				socket.on('close', () => {
+					this.tcpClients.delete(client);
+					this.disconnect(client);
+				});
+			});
+			server.once('error', reject);
+			server.listen(port, host, () => {
+				server.removeListener('error', reject);
+				this.servers.push(server);
+				resolve(server.address().port);
+			});
+		});
+	}
+
+	/**
+	 * Accept UDP messages, including broadcast discovery queries.
+	 *
+	 * @param Number port
+	 *   Port to listen on, defaults to a random free port.
+	 *
+	 * @param String host
+	 *   Address to listen on, defaults to 127.0.0.1.
+	 *
+	 * @return Number, the port being listened on.
+	 */
+	listenUDP(port = 0, host = '127.0.0.1')
+	{
+		return new Promise((resolve, reject) => {
+			const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+			socket.once('error', reject);
+			socket.on('message', (msg, rinfo) => {
+				// Keep one client per remote address so subscriptions find it again.
+				const key = rinfo.address + ':' + rinfo.port;
+				if (!this.udpClients[key]) {
+					this.udpClients[key] = {
+						send: data => socket.send(data, rinfo.port, rinfo.address),
+					};
+				}
+				this.receive(msg, this.udpClients[key]);
+			});
+			socket.bind(port, host, () => {
+				socket.removeListener('error', reject);
+				socket.on('error', err => {
+					debug(`UDP socket error: ${err.message}`);
+				});
+				this.servers.push(socket);
+				resolve(socket.address().port);
+			});
+		});
+	}
+
+	/**
+	 * Stop listening and disconnect all clients.
+	 */
+	close()
+	{
+		for (const transport of this.transports) transport.close();
+		this.transports = [];
+		for (const server of this.servers) server.close();
+		this.servers = [];
+		this.udpClients = {};
+		this.tcpClients.clear();
+		this.subscriptions = [];
+		this.eventLogSubscriptions = [];
+	}
+
+	/**
+	 * Say Goodbye to every client, as a device does when it is switched off.
+	 * UDP clients are only known once they have sent something.
+	 */
+	goodbye()
+	{
+		let payload = Buffer.alloc(2);
+		payload.writeUInt16BE(this.deviceId, 0);
+		this.broadcast(commands.goodbye, payload);
+	}
+
+	/**
+	 * Ask every client whether an address is in use, as a device does before
+	 * claiming it.  Any AddressUsed replies are emitted as 'message' events.
+	 */
+	requestAddress(deviceId)
+	{
+		let payload = Buffer.alloc(2);
+		payload.writeUInt16BE(deviceId, 0);
+		this.broadcast(commands.requestAddress, payload, 0);
+	}
+
+	/**
+	 * Send a message to every client.
+	 */
+	broadcast(cmd, payload, source = this.deviceId)
+	{
+		const msg = this.hiq.encode({
+			cmd: cmd,
+			seqNum: this.hiq.nextSeqNum(),
+			addrSource: {
+				device: source,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			addrDest: {
+				device: 0xFFFF,
+				virtualDevice: 0,
+				object: [0, 0, 0],
+			},
+			payload: payload,
+		});
+		const clients = [
+			...this.transports.map(t => t.client),
+			...Object.values(this.udpClients),
+			...this.tcpClients,
+		];
+		for (const client of clients) this.transmit(msg, client);
+	}
+
+	/**
+	 * Forget everything about a client that has gone away.
+	 */
+	disconnect(client)
+	{
+		this.subscriptions = this.subscriptions.filter(s => s.client !== client);
+		this.eventLogSubscriptions = this.eventLogSubscriptions.filter(s => s.client !== client);
+	}
+
+	/**
+	 * Send a message to a client, applying any faults.
+	 */
+	transmit(msg, client)
+	{
+		const drop = this.faults.drop;
+		if ((typeof drop === 'function') ? drop(msg) : (Math.random() < drop)) {
+			debug('Dropping outgoing message');
+			return Promise.resolve();
+		}
+		if (this.faults.delay) {
+			setTimeout(() => client.send(msg), this.faults.delay);
+		} else {
+			client.send(msg);
+		}
+		return Promise.resolve();
+	}
+
+	/**
+	 * Handle a raw message from a client.
+	 */
+	receive(data, client)
+	{
+		let header, msg;
+		try {
+			header = this.hiq.decodeHeader(data);
+			const dest = header.addrDest.device;
+			if ((dest !== this.deviceId) && (dest !== 0xFFFF)) return;
+
+			// Replies to our own notifications need no further handling.
+			if (header.flags.ack || header.flags.info || header.flags.error) return;
+
+			msg = this.hiq.decode(header, data.slice(header.lenHeader));
+		} catch (e) {
+			if (!(e instanceof ProtocolError)) throw e;
+			debug(`Ignoring malformed message: ${e.message}`);
+			if (header) {
+				this.replyError(header, client, errorCodes.invalidLength, e.message);
+			}
+			return;
+		}
+		const dest = header.addrDest.device;
+		this.emit('message', msg);
+
+		const cmdName = Object.keys(commands).find(c => commands[c] === header.cmd);
+		const fault = cmdName && this.faults.errors[cmdName];
+		if (fault) {
+			this.replyError(header, client, fault.code || fault,
+				fault.text || `Simulated ${cmdName} failure`);
+			return;
+		}
+
+		switch (header.cmd) {
+			case commands.discoInfo:
+				this.reply(header, client, this.hiq.encodeDiscoInfo({
+					device: this.deviceId,
+					serial: this.serial,
+					maxMessageLen: this.maxMessageLen,
+					keepAlivePeriod: this.keepAlivePeriod,
+				}));
+				break;
+
+			case commands.hello: {
+				let payload = Buffer.alloc(4);
+				payload.writeUInt16BE(1 + Math.floor(Math.random() * 0xFFFE), 0);
+				// We understand everything the client does.
+				payload.writeUInt16BE(msg.hello.flagMask, 2);
+				this.reply(header, client, payload);
+				break;
+			}
+
+			case commands.goodbye:
+				this.disconnect(client);
+				break;
+
+			case commands.requestAddress:
+				if (msg.requestAddress.device !== this.deviceId) break;
+				debug(`Defending address ${this.deviceId}`);
+				this.transmit(this.hiq.encode({
+					cmd: commands.addressUsed,
+					seqNum: this.hiq.nextSeqNum(),
+					addrSource: {
+						device: this.deviceId,
+						virtualDevice: 0,
+						object: [0, 0, 0],
+					},
+					addrDest: {
+						device: 0xFFFF,
+						virtualDevice: 0,
+						object: [0, 0, 0],
+					},
+				}), client);
+				break;
+
+			case commands.addressUsed:
+				// Nothing to do, we never claim a new address.
+				break;
+
+			case commands.setAddress:
+				if (!this.isOurSerial(msg.setAddress.serial)) break;
+				debug(`Changing address from ${this.deviceId} to ${msg.setAddress.device}`);
+				this.deviceId = msg.setAddress.device;
+				this.hiq.deviceId = this.deviceId;
+				// The ack comes from the new address.
+				if (header.flags.requestAck) this.hiq.sendAck(header, client);
+				break;
+
+			case commands.locate:
+				// Broadcasts only apply to the device with the matching serial.
+				if ((dest === 0xFFFF) && !this.isOurSerial(msg.payload.slice(4))) break;
+				debug(`Locate for ${msg.payload.readUInt16BE(0)} ms`);
+				this.emit('locate', msg.payload.readUInt16BE(0));
+				this.reply(header, client, msg.payload);
+				break;
+
+			case commands.getVDList: {
+				// Virtual device 0 is the device manager, which every device has.
+				const vds = [...new Set([0, ...Object.keys(this.objects).map(k => parseInt(k))])]
+					.sort((a, b) => a - b);
+				let list = Buffer.alloc(2 + vds.length * 3);
+				list.writeUInt16BE(vds.length, 0);
+				vds.forEach((vd, i) => list.writeUInt8(vd, 2 + i * 3));
+				// The workgroup path is echoed back ahead of the list.
+				this.reply(header, client, Buffer.concat([data.slice(header.lenHeader), list]));
+				break;
+			}
+
+			case commands.multiParamGet:
+				this.recvMultiParamGet(msg, client);
+				break;
+
+			case commands.multiParamSet:
+				this.recvMultiParamSet(msg, client);
+				break;
+
+			case commands.multiObjectParamSet:
+				this.recvMultiObjectParamSet(msg, client);
+				break;
+
+			case commands.paramSetPercent:
+				this.recvParamSetPercent(msg, client);
+				break;
+
+			case commands.store:
+				this.recvStore(msg, client);
+				break;
+
+			case commands.recall:
+				this.recvRecall(msg, client);
+				break;
+
+			case commands.multiParamSubscribe:
+			case commands.paramSubscribePercent:
+				this.recvSubscribe(msg, client);
+				break;
+
+			case commands.multiParamUnsubscribe:
+				this.recvUnsubscribe(msg, client);
+				break;
+
+			case commands.eventLogSubscribe:
+			case commands.eventLogUnsubscribe: {
+				const request = msg.eventLogSubscribe || msg.eventLogUnsubscribe;
+				if (!request.subscriber) {
+					this.replyError(header, client, errorCodes.invalidLength, 'Message too short');
+					break;
+				}
+				const subscriber = {
+					device: request.subscriber.device,
+					virtualDevice: request.subscriber.virtualDevice,
+					object: splitObject(request.subscriber.object),
+				};
+				const key = getObjectKey(subscriber.virtualDevice, subscriber.object);
+				// Subscribing again replaces the earlier subscription.
+				this.eventLogSubscriptions = this.eventLogSubscriptions.filter(s => !(
+					(s.client === client)
+					&& (s.subscriber.device === subscriber.device)
+					&& (getObjectKey(s.subscriber.virtualDevice, s.subscriber.object) === key)
+				));
+				if (msg.eventLogSubscribe) {
+					this.eventLogSubscriptions.push({
+						client: client,
+						subscriber: subscriber,
+						priority: (request.priority === null) ? 0xFF : request.priority,
+					});
+				}
+				if (header.flags.requestAck) this.hiq.sendAck(header, client);
+				break;
+			}
+
+			case commands.eventLogRequest:
+				this.reply(header, client, HiQnet.encodeEventLog(this.eventLog));
+				break;
+
+			default:
+				this.replyError(header, client, errorCodes.unsupported,
+					`${HiQnet.getCommandName(header.cmd)} is not supported by the simulator`);
+				break;
+		}
+	}
+
+	isOurSerial(serial)
+	{
+		return Buffer.compare(Buffer.from(serial), this.serial) === 0;
+	}
+
+	/**
+	 * Find the parameters of the object a request is addressed to, replying
+	 * with an error if there is no such object.
+	 *
+	 * @return Object of parameters, or null.
+	 */
+	getObject(header, client)
+	{
+		const vd = header.addrDest.virtualDevice;
+		const key = getObjectKey(vd, splitObject(header.addrDest.object));
+		const params = this.objects[key];
+		if (params) return params;
+
+		if (!Object.keys(this.objects).some(k => k.split('.')[0] === String(vd))) {
+			this.replyError(header, client, errorCodes.invalidVirtualDevice, `No virtual device ${vd}`);
+		} else {
+			this.replyError(header, client, errorCodes.invalidObject, `No object ${key}`);
+		}
+		return null;
+	}
+
+	recvMultiParamGet(msg, client)
+	{
+		const params = this.getObject(msg.header, client);
+		if (!params) return;
+
+		let values = {}, types = {};
+		for (const id of msg.multiParamGet.parameters) {
+			if (!params[id]) {
+				this.replyError(msg.header, client, errorCodes.invalidParameter, `No parameter ${id}`);
+				return;
+			}
+			values[id] = params[id].value;
+			types[id] = params[id].type;
+		}
+		this.reply(msg.header, client, HiQnet.encodeParamList(values, types));
+	}
+
+	recvMultiParamSet(msg, client)
+	{
+		const params = this.getObject(msg.header, client);
+		if (!params) return;
+
+		const { parameters, types } = msg.multiParamSet;
+		if (!this.checkValues(msg.header, client, params, parameters, types)) return;
+
+		for (const id of Object.keys(parameters)) {
+			params[id].value = parameters[id];
+		}
+		if (msg.header.flags.requestAck) this.hiq.sendAck(msg.header, client);
+
+		this.changed(
+			msg.header.addrDest.virtualDevice,
+			splitObject(msg.header.addrDest.object),
+			parameters
+		);
+	}
+
+	recvMultiObjectParamSet(msg, client)
+	{
+		const vd = msg.header.addrDest.virtualDevice;
+		if (!Object.keys(this.objects).some(k => k.split('.')[0] === String(vd))) {
+			this.replyError(msg.header, client, errorCodes.invalidVirtualDevice, `No virtual device ${vd}`);
+			return;
+		}
+
+		// Check every object first, so either all the changes happen or none.
+		const changes = msg.multiObjectParamSet.objects;
+		for (const change of changes) {
+			const key = getObjectKey(vd, splitObject(change.object));
+			const params = this.objects[key];
+			if (!params) {
+				this.replyError(msg.header, client, errorCodes.invalidObject, `No object ${key}`);
+				return;
+			}
+			if (!this.checkValues(msg.header, client, params, change.parameters, change.types)) return;
+		}
+
+		for (const change of changes) {
+			const params = this.objects[getObjectKey(vd, splitObject(change.object))];
+			for (const id of Object.keys(change.parameters)) {
+				params[id].value = change.parameters[id];
+			}
+		}
+		if (msg.header.flags.requestAck) this.hiq.sendAck(msg.header, client);
+
+		for (const change of changes) {
+			this.changed(vd, splitObject(change.object), change.parameters);
+		}
+	}
+
+	/**
+	 * Save the value of every parameter, whatever the scope or address.
+	 */
+	recvStore(msg, client)
+	{
+		const { scope, slot, name } = msg.store;
+		if (scope === undefined) {
+			this.replyError(msg.header, client, errorCodes.invalidLength, 'Message too short');
+			return;
+		}
+
+		let values = {};
+		for (const [key, params] of Object.entries(this.objects)) {
+			values[key] = {};
+			for (const [id, p] of Object.entries(params)) {
+				values[key][id] = Buffer.isBuffer(p.value) ? Buffer.from(p.value) : p.value;
+			}
+		}
+		debug(`Storing ${name || 'preset'} in ${scope}/${slot}`);
+		this.presets[`${scope}/${slot}`] = { name, values };
+		if (msg.header.flags.requestAck) this.hiq.sendAck(msg.header, client);
+	}
+
+	/**
+	 * Restore every parameter saved by a store request, notifying subscribers
+	 * of those that change.
+	 */
+	recvRecall(msg, client)
+	{
+		const { scope, slot } = msg.recall;
+		if (scope === undefined) {
+			this.replyError(msg.header, client, errorCodes.invalidLength, 'Message too short');
+			return;
+		}
+		const preset = this.presets[`${scope}/${slot}`];
+		if (!preset) {
+			this.replyError(msg.header, client, errorCodes.invalidValue, `Nothing stored in ${scope}/${slot}`);
+			return;
+		}
+
+		let changes = [];
+		for (const [key, values] of Object.entries(preset.values)) {
+			const params = this.objects[key];
+			if (!params) continue;
+			let changed = {}, any = false;
+			for (const [id, value] of Object.entries(values)) {
+				if (!params[id]) continue;
+				const same = Buffer.isBuffer(value) ? value.equals(params[id].value) : (value === params[id].value);
+				if (same) continue;
+				params[id].value = Buffer.isBuffer(value) ? Buffer.from(value) : value;
+				changed[id] = params[id].value;
+				any = true;
+			}
+			if (any) changes.push([key, changed]);
+		}
+		if (msg.header.flags.requestAck) this.hiq.sendAck(msg.header, client);
+
+		for (const [key, changed] of changes) {
+			const [vd, ...object] = key.split('.').map(n => parseInt(n));
+			this.changed(vd, object, changed);
+		}
+	}
+
+	/**
+	 * Make sure new values can be written to an object's parameters, replying
+	 * with an error if not.
+	 *
+	 * @return true if they can.
+	 */
+	checkValues(header, client, params, values, types)
+	{
+		for (const id of Object.keys(values)) {
+			if (!params[id]) {
+				this.replyError(header, client, errorCodes.invalidParameter, `No parameter ${id}`);
+				return false;
+			}
+			if (params[id].type !== types[id]) {
+				this.replyError(header, client, errorCodes.invalidDataType,
+					`Parameter ${id} has data type ${params[id].type}, not ${types[id]}`);
+				return false;
+			}
+		}
+		return true;
+	}
+
+	recvParamSetPercent(msg, client)
+	{
+		const params = this.getObject(msg.header, client);
+		if (!params) return;
+
+		const fractions = msg.paramSetPercent.parameters;
+		for (const id of Object.keys(fractions)) {
+			if (!this.checkRange(msg.header, client, params, id)) return;
+		}
+
+		let values = {};
+		for (const id of Object.keys(fractions)) {
+			const p = params[id];
+			let value = p.min + fractions[id] * (p.max - p.min);
+			if ((p.type !== dataTypes.float) && (p.type !== dataTypes.double)) {
+				value = Math.round(value);
+			}
+			if (typeof p.value === 'bigint') value = BigInt(value);
+			p.value = values[id] = value;
+		}
+		if (msg.header.flags.requestAck) this.hiq.sendAck(msg.header, client);
+
+		this.changed(
+			msg.header.addrDest.virtualDevice,
+			splitObject(msg.header.addrDest.object),
+			values
+		);
+	}
+
+	/**
+	 * Make sure a parameter can be handled as a percentage, replying with an
+	 * error if not.
+	 *
+	 * @return true if it can.
+	 */
+	checkRange(header, client, params, id)
+	{
+		if (!params[id]) {
+			this.replyError(header, client, errorCodes.invalidParameter, `No parameter ${id}`);
+			return false;
+		}
+		if ((params[id].min === undefined) || (params[id].max === undefined)) {
+			this.replyError(header, client, errorCodes.invalidParameter,
+				`Parameter ${id} has no range, so cannot be used as a percentage`);
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * @return Fraction of its range a parameter is set to, from 0 to 1.
+	 */
+	getFraction(p)
+	{
+		if (p.max === p.min) return 0;
+		return Math.min(1, Math.max(0, (Number(p.value) - p.min) / (p.max - p.min)));
+	}
+
+	recvSubscribe(msg, client)
+	{
+		const params = this.getObject(msg.header, client);
+		if (!params) return;
+
+		const percent = (msg.header.cmd === commands.paramSubscribePercent);
+		const subscriptions = (msg.multiParamSubscribe || msg.paramSubscribePercent).subscriptions;
+		const vd = msg.header.addrDest.virtualDevice;
+		const object = splitObject(msg.header.addrDest.object);
+		for (const s of subscriptions) {
+			if (percent) {
+				if (!this.checkRange(msg.header, client, params, s.publisherParameter)) return;
+			} else if (!params[s.publisherParameter]) {
+				this.replyError(msg.header, client, errorCodes.invalidParameter,
+					`No parameter ${s.publisherParameter}`);
+				return;
+			}
+		}
+		for (const s of subscriptions) {
+			// Subscribing again replaces the earlier subscription.
+			this.subscriptions = this.subscriptions.filter(e => !(
+				(e.client === client)
+				&& (e.key === getObjectKey(vd, object))
+				&& (e.publisherParameter === s.publisherParameter)
+			));
+			this.subscriptions.push({
+				client: client,
+				key: getObjectKey(vd, object),
+				virtualDevice: vd,
+				object: object,
+				publisherParameter: s.publisherParameter,
+				subscriber: {
+					device: s.subscriber.device,
+					virtualDevice: s.subscriber.virtualDevice,
+					object: splitObject(s.subscriber.object),
+				},
+				subscriberParameter: s.subscriberParameter,
+				percent: percent,
+			});
+		}
+		if (msg.header.flags.requestAck) this.hiq.sendAck(msg.header, client);
+	}
+
+	recvUnsubscribe(msg, client)
+	{
+		const payload = msg.payload;
+		if (payload.length < 8) {
+			this.replyError(msg.header, client, errorCodes.invalidLength, 'Message too short');
+			return;
+		}
+		const key = getObjectKey(
+			msg.header.addrDest.virtualDevice,
+			splitObject(msg.header.addrDest.object)
+		);
+		const count = payload.readUInt16BE(6);
+		for (let i = 0; i < count; i++) {
+			const publisherParameter = payload.readUInt16BE(8 + i * 4);
+			this.subscriptions = this.subscriptions.filter(s => !(
+				(s.client === client)
+				&& (s.key === key)
+				&& (s.publisherParameter === publisherParameter)
+			));
+		}
+		if (msg.header.flags.requestAck) this.hiq.sendAck(msg.header, client);
+	}
+
+	/**
+	 * Tell subscribers about changed parameters.
+	 */
+	changed(virtualDevice, object, values)
+	{
+		const key = getObjectKey(virtualDevice, object);
+		const params = this.objects[key];
+
+		for (const id of Object.keys(values)) {
+			this.emit('change', { virtualDevice, object }, parseInt(id), values[id]);
+		}
+
+		for (const s of this.subscriptions) {
+			if ((s.key !== key) || (values[s.publisherParameter] === undefined)) continue;
+			const p = params[s.publisherParameter];
+			this.hiq.transport.sendMessage(this.hiq.encode({
+				cmd: s.percent ? commands.paramSetPercent : commands.multiParamSet,
+				seqNum: this.hiq.nextSeqNum(),
+				addrSource: {
+					device: this.deviceId,
+					virtualDevice: virtualDevice,
+					object: object,
+				},
+				addrDest: s.subscriber,
+				payload: s.percent
+					? HiQnet.encodePercentList({ [s.subscriberParameter]: this.getFraction(p) })
+					: HiQnet.encodeParamList(
+						{ [s.subscriberParameter]: p.value },
+						{ [s.subscriberParameter]: p.type }
+					),
+			}), s.client);
+		}
+	}
+
+	/**
+	 * Send a successful reply to a request.
+	 */
+	reply(header, client, payload)
+	{
+		this.transmit(this.hiq.encode({
+			cmd: header.cmd,
+			flags: flags.info,
+			seqNum: header.seqNum,
+			addrSource: {
+				device: this.deviceId,
+				virtualDevice: header.addrDest.virtualDevice,
+				object: splitObject(header.addrDest.object),
+			},
+			addrDest: {
+				device: header.addrSource.device,
+				virtualDevice: header.addrSource.virtualDevice,
+				object: splitObject(header.addrSource.object),
+			},
+			payload: payload,
+		}), client);
+	}
+
+	/**
+	 * Reject a request.
+	 */
+	replyError(header, client, code, text)
+	{
+		debug(`Replying to ${HiQnet.getCommandName(header.cmd)} with error ${HiQnet.getErrorName(code)}`);
+		this.transmit(this.hiq.encode({
+			cmd: header.cmd,
+			flags: flags.info,
+			seqNum: header.seqNum,
+			error: {
+				code: code,
+				text: text || '',
+			},
+			addrSource: {
+				device: this.deviceId,
+				virtualDevice: header.addrDest.virtualDevice,
+				object: splitObject(header.addrDest.object),
+			},
+			addrDest: {
+				device: header.addrSource.device,
+				virtualDevice: header.addrSource.virtualDevice,
+				object: splitObject(header.addrSource.object),
+			},
+		}), client);
+	}
+};
+
+HiQnetSimulator.Transport = HiQnetSimulatorTransport;
+
+module.exports = HiQnetSimulator;
@@ -0,0 +1,104 @@
+/**
+ * HiQnet device control library - parameter subscriptions.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Handle returned by HiQnet.subscribe().
+ *
+ * Emits:
+ *   change - The device has sent new values.  Passed an object whose keys are
+ *     parameter IDs and values are the new parameter values (or fractions
+ *     between 0 and 1 for percentage subscriptions), followed by the decoded
+ *     HiQnet message.
+ *   error - Resubscribing after a reconnect failed.  Passed the error.
+ */
+class HiQnetSubscription extends EventEmitter
+{
+	constructor(hiq, address, parameters, options = {})
+	{
+		super();
+
+		this.hiq = hiq;
+		this.address = address;
+		this.parameters = parameters;
+		this.sensitivity = options.sensitivity || 0;
+		this.percent = Boolean(options.percent);
+		this.active = false;
+	}
+
+	/**
+	 * Ask the device for updates again, e.g. when it has restarted and
+	 * forgotten about the subscription.  Subscriptions are already renewed
+	 * when the transport reconnects.
+	 *
+	 * @param Object options
+	 *   Optional request settings, see HiQnet.send().
+	 */
+	renew(options)
+	{
+		return this.hiq.sendSubscribe(this, options);
+	}
+
+	/**
+	 * Stop receiving updates for these parameters.
+	 *
+	 * @param Object options
+	 *   Optional request settings, see HiQnet.send().
+	 */
+	unsubscribe(options)
+	{
+		return this.hiq.unsubscribe(this, options);
+	}
+};
+
+/**
+ * Handle returned by HiQnet.eventLogSubscribe().
+ *
+ * Emits:
+ *   entry - The device has logged an event.  Passed the entry, in the same
+ *     format returned by HiQnet.eventLogRequest(), followed by the decoded
+ *     HiQnet message.
+ *   error - Resubscribing after a reconnect failed.  Passed the error.
+ */
+class HiQnetEventLogSubscription extends EventEmitter
+{
+	constructor(hiq, device, options = {})
+	{
+		super();
+
+		this.hiq = hiq;
+		this.device = device;
+		this.priority = (options.priority === undefined) ? 0xFF : options.priority;
+		this.active = false;
+	}
+
+	/**
+	 * Stop receiving event log entries.
+	 *
+	 * @param Object options
+	 *   Optional request settings, see HiQnet.send().
+	 */
+	unsubscribe(options)
+	{
+		return this.hiq.eventLogUnsubscribe(this, options);
+	}
+};
+
+module.exports = { HiQnetSubscription, HiQnetEventLogSubscription };
@@ -0,0 +1,84 @@
+/**
+ * HiQnet device control library - transport wrapper that records traffic.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const EventEmitter = require('events');
+
+const { CaptureWriter } = require('../capture.js');
+
+/**
+ * Passes messages through to another transport, writing a copy of each one
+ * to a capture file.
+ */
+class HiQnetTransportRecorder extends EventEmitter
+{
+	/**
+	 * @param Object transport
+	 *   Transport to wrap.
+	 *
+	 * @param String filename
+	 *   Capture file to write.
+	 *
+	 * @param Object options
+	 *   Optional settings, passed to CaptureWriter:
+	 *     format - `jsonl` or `pcap`, defaults to pcap if the filename ends in
+	 *       `.pcap` and JSON lines otherwise.
+	 */
+	constructor(transport, filename, options = {})
+	{
+		super();
+
+		this.transport = transport;
+		this.writer = new CaptureWriter(filename, options);
+
+		this.transport.callback = (msg, remote) => {
+			this.writer.write('rx', msg, remote);
+			if (this.callback) this.callback(msg, remote);
+		};
+
+		if (this.transport.on) {
+			this.transport.on('connect', () => this.emit('connect'));
+			this.transport.on('close', () => this.emit('close'));
+			this.transport.on('error', err => {
+				if (this.listenerCount('error')) this.emit('error', err);
+			});
+		}
+	}
+
+	/**
+	 * Close the wrapped transport and finish writing the capture.
+	 */
+	close()
+	{
+		this.transport.close();
+		return this.writer.close();
+	}
+
+	connect()
+	{
+		return this.transport.connect();
+	}
+
+	sendMessage(payload, remote)
+	{
+		this.writer.write('tx', payload, remote);
+		return this.transport.sendMessage(payload, remote);
+	}
+};
+
+module.exports = HiQnetTransportRecorder;
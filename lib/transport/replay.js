@@ -0,0 +1,159 @@
+/**
+ * HiQnet device control library - transport that replays a capture.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:transport:replay');
+const EventEmitter = require('events');
+
+const { readCapture } = require('../capture.js');
+
+// Smallest possible HiQnet message is a header with no optional fields.
+const HIQNET_MIN_LEN = 0x19;
+
+/**
+ * Compare the parts of two messages that don't change from run to run, i.e.
+ * everything except the sequence number and optional header fields.
+ */
+function sameMessage(a, b)
+{
+	if ((a.length < HIQNET_MIN_LEN) || (b.length < HIQNET_MIN_LEN)) {
+		return Buffer.compare(a, b) === 0;
+	}
+	return (Buffer.compare(a.slice(6, 23), b.slice(6, 23)) === 0)
+		&& (Buffer.compare(a.slice(a.readUInt8(1)), b.slice(b.readUInt8(1))) === 0);
+}
+
+/**
+ * Plays back a capture recorded by HiQnetTransportRecorder, for regression
+ * testing without a device.
+ *
+ * Received frames are delivered in order, each batch once the frame we sent
+ * before it in the capture has been sent again.  Sequence numbers in the
+ * replies are rewritten to match the ones used this time around.
+ *
+ * Emits:
+ *   mismatch - A message sent differs from the one in the capture, or there
+ *     was nothing more in the capture to send.  Passed the expected Buffer
+ *     (or null) and the one actually sent.
+ *   end - Every frame in the capture has been played back.
+ */
+class HiQnetTransportReplay extends EventEmitter
+{
+	/**
+	 * @param String|Array capture
+	 *   Capture filename, or an Array of frames as returned by readCapture().
+	 */
+	constructor(capture)
+	{
+		super();
+
+		this.capture = capture;
+		this.frames = Array.isArray(capture) ? capture : null;
+		this.pos = 0;
+		this.seqMap = {};
+		this.connected = false;
+		this.ended = false;
+	}
+
+	close()
+	{
+		if (!this.connected) return;
+		this.connected = false;
+		this.emit('close');
+	}
+
+	/**
+	 * Load the capture and deliver any frames received before the first one we
+	 * sent.
+	 */
+	async connect()
+	{
+		if (!this.frames) this.frames = await readCapture(this.capture);
+		this.pos = 0;
+		this.seqMap = {};
+		this.ended = false;
+		this.connected = true;
+		this.emit('connect');
+		this.deliver();
+	}
+
+	sendMessage(payload)
+	{
+		if (!this.connected) {
+			return Promise.reject(new Error('Replay transport is not connected'));
+		}
+
+		const expected = this.frames[this.pos];
+		if (!expected || (expected.direction !== 'tx')) {
+			debug('Sent a message that is not in the capture');
+			this.emit('mismatch', null, payload);
+			return Promise.resolve();
+		}
+		this.pos++;
+
+		if (!sameMessage(expected.data, payload)) {
+			debug(`Frame ${this.pos - 1} differs from the capture`);
+			this.emit('mismatch', expected.data, payload);
+		}
+		if ((expected.data.length >= HIQNET_MIN_LEN) && (payload.length >= HIQNET_MIN_LEN)) {
+			this.seqMap[expected.data.readUInt16BE(23)] = payload.readUInt16BE(23);
+		}
+
+		this.deliver();
+		return Promise.resolve();
+	}
+
+	/**
+	 * Pass on received frames up to the next one we sent.
+	 */
+	deliver()
+	{
+		let batch = [];
+		while ((this.pos < this.frames.length) && (this.frames[this.pos].direction !== 'tx')) {
+			batch.push(this.frames[this.pos]);
+			this.pos++;
+		}
+		const finished = (this.pos >= this.frames.length);
+
+		setImmediate(() => {
+			for (const frame of batch) {
+				if (!this.connected) return;
+				if (this.callback) this.callback(this.rewrite(frame.data), frame.remote);
+			}
+			if (finished && this.connected && !this.ended) {
+				this.ended = true;
+				this.emit('end');
+			}
+		});
+	}
+
+	/**
+	 * Give a reply the sequence number of the request we actually sent.
+	 */
+	rewrite(data)
+	{
+		if (data.length < HIQNET_MIN_LEN) return data;
+		const seqNum = this.seqMap[data.readUInt16BE(23)];
+		if (seqNum === undefined) return data;
+		let copy = Buffer.from(data);
+		copy.writeUInt16BE(seqNum, 23);
+		return copy;
+	}
+};
+
+module.exports = HiQnetTransportReplay;
@@ -0,0 +1,171 @@
+/**
+ * HiQnet device control library - generic stream (RS232) transport layer.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:transport:stream');
+const EventEmitter = require('events');
+
+// Header fields used to recognise the start of a message.
+const HIQNET_VERSIONS = [1, 2];
+const HIQNET_MIN_HEADER_LEN = 0x19;
+
+/**
+ * Transport for any Node Duplex stream, such as a serial port.
+ *
+ * Messages are sent back to back with no extra framing, so the start of each
+ * message is found by looking for a plausible HiQnet header and then reading
+ * the message length from it.  If garbage arrives on the line, bytes are
+ * dropped one at a time until a valid header is found again.
+ */
+class HiQnetTransportStream extends EventEmitter
+{
+	/**
+	 * @param stream.Duplex stream
+	 *   Already opened stream to send and receive messages on.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     maxMessageLen - Largest message to accept, in bytes.  Anything
+	 *       claiming to be longer is treated as garbage.  Defaults to 65535.
+	 *     frameTimeout - Milliseconds to wait for the rest of a partial
+	 *       message before assuming its header was garbage.  Defaults to 500.
+	 */
+	constructor(stream, options = {})
+	{
+		super();
+
+		this.stream = stream;
+		this.maxMessageLen = options.maxMessageLen || 0xFFFF;
+		this.frameTimeout = (options.frameTimeout === undefined) ? 500 : options.frameTimeout;
+
+		this.rxBuffer = Buffer.alloc(0);
+		this.timerHandle = null;
+
+		this.streamHandlers = {
+			data: data => this.handleData(data),
+			error: err => {
+				debug(`Stream error: ${err.message}`);
+				if (this.listenerCount('error')) this.emit('error', err);
+			},
+			close: () => {
+				debug('Stream closed');
+				this.emit('close');
+			},
+		};
+		for (const [event, fn] of Object.entries(this.streamHandlers)) {
+			this.stream.on(event, fn);
+		}
+	}
+
+	/**
+	 * Stop using the stream.  The stream itself is left open.
+	 */
+	close()
+	{
+		clearTimeout(this.timerHandle);
+		this.timerHandle = null;
+		for (const [event, fn] of Object.entries(this.streamHandlers)) {
+			this.stream.removeListener(event, fn);
+		}
+	}
+
+	async connect()
+	{
+		// Nothing to do, the stream is opened by the caller.
+	}
+
+	/**
+	 * Check whether a valid HiQnet header starts at the beginning of the
+	 * receive buffer.
+	 *
+	 * @return Number with the full message length, 0 if more data is needed
+	 *   before this can be decided, or -1 if the data is not a valid header.
+	 */
+	checkHeader()
+	{
+		const buf = this.rxBuffer;
+		if (buf.length < 1) return 0;
+		if (!HIQNET_VERSIONS.includes(buf.readUInt8(0))) return -1;
+
+		if (buf.length < 2) return 0;
+		const lenHeader = buf.readUInt8(1);
+		if (lenHeader < HIQNET_MIN_HEADER_LEN) return -1;
+
+		if (buf.length < 6) return 0;
+		const lenMessage = buf.readUInt32BE(2);
+		if ((lenMessage < lenHeader) || (lenMessage > this.maxMessageLen)) return -1;
+
+		return lenMessage;
+	}
+
+	handleData(data)
+	{
+		this.rxBuffer = Buffer.concat([this.rxBuffer, data]);
+		this.processBuffer();
+	}
+
+	processBuffer()
+	{
+		clearTimeout(this.timerHandle);
+		this.timerHandle = null;
+
+		let skipped = 0;
+		while (this.rxBuffer.length > 0) {
+			const lenMessage = this.checkHeader();
+			if (lenMessage < 0) {
+				// Not the start of a message, try the next byte.
+				this.rxBuffer = this.rxBuffer.slice(1);
+				skipped++;
+				continue;
+			}
+			if ((lenMessage === 0) || (this.rxBuffer.length < lenMessage)) {
+				// Wait for more data, but not forever in case the header was bogus.
+				this.timerHandle = setTimeout(() => {
+					this.timerHandle = null;
+					debug(`Timed out waiting for rest of message, resynchronising`);
+					this.rxBuffer = this.rxBuffer.slice(1);
+					this.processBuffer();
+				}, this.frameTimeout);
+				break;
+			}
+
+			const msg = this.rxBuffer.slice(0, lenMessage);
+			this.rxBuffer = this.rxBuffer.slice(lenMessage);
+
+			if (skipped) {
+				debug(`Skipped ${skipped} bytes of garbage`);
+				skipped = 0;
+			}
+			debug(`Received ${msg.length}-byte HiQnet message`);
+			if (this.callback) this.callback(msg);
+		}
+		if (skipped) debug(`Skipped ${skipped} bytes of garbage`);
+	}
+
+	sendMessage(payload)
+	{
+		return new Promise((resolve, reject) => {
+			this.stream.write(payload, err => {
+				if (err) reject(err);
+				else resolve();
+			});
+		});
+	}
+};
+
+module.exports = HiQnetTransportStream;
@@ -0,0 +1,182 @@
+/**
+ * HiQnet device control library - TCP/IP transport layer.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:transport:tcp');
+const EventEmitter = require('events');
+const net = require('net');
+
+const HIQNET_PORT = 3804;
+
+// Smallest possible HiQnet message is a header with no optional fields.
+const HIQNET_MIN_LEN = 0x19;
+
+class HiQnetTransportTCP extends EventEmitter
+{
+	/**
+	 * @param String host
+	 *   Hostname or IP address of the HiQnet device.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     port - TCP port to connect to, defaults to 3804.
+	 *     reconnectDelay - Milliseconds to wait before reconnecting after the
+	 *       connection drops, defaults to 1000.
+	 *     maxMessageLen - Largest message to accept, in bytes.  A message
+	 *       claiming to be longer resets the connection.  Defaults to 65535.
+	 */
+	constructor(host, options = {})
+	{
+		super();
+
+		this.host = host;
+		this.port = options.port || HIQNET_PORT;
+		this.reconnectDelay = (options.reconnectDelay === undefined) ? 1000 : options.reconnectDelay;
+		this.maxMessageLen = options.maxMessageLen || 0xFFFF;
+
+		this.socket = null;
+		this.connected = false;
+		this.autoReconnect = false;
+		this.reconnectHandle = null;
+		this.rxBuffer = Buffer.alloc(0);
+	}
+
+	close()
+	{
+		this.autoReconnect = false;
+		clearTimeout(this.reconnectHandle);
+		this.reconnectHandle = null;
+		if (this.socket) {
+			this.socket.destroy();
+			this.socket = null;
+		}
+	}
+
+	/**
+	 * Open the TCP connection.
+	 *
+	 * Once this has succeeded, the connection will be automatically reopened if
+	 * it drops, until close() is called.
+	 */
+	async connect()
+	{
+		await this.openSocket();
+		this.autoReconnect = true;
+	}
+
+	openSocket()
+	{
+		return new Promise((resolve, reject) => {
+			const socket = net.createConnection(this.port, this.host);
+			this.socket = socket;
+			this.rxBuffer = Buffer.alloc(0);
+
+			let opened = false;
+
+			socket.on('connect', () => {
+				opened = true;
+				socket.setNoDelay(true);
+				debug(`Connected to ${this.host}:${this.port}`);
+				this.connected = true;
+				this.emit('connect');
+				resolve();
+			});
+
+			socket.on('data', data => {
+				this.handleData(socket, data);
+			});
+
+			socket.on('error', err => {
+				debug(`Socket error: ${err.message}`);
+				if (!opened) reject(err);
+			});
+
+			socket.on('close', () => {
+				if (this.socket === socket) this.socket = null;
+				if (opened) {
+					debug(`Connection to ${this.host}:${this.port} closed`);
+					this.connected = false;
+					this.emit('close');
+				} else {
+					// close() destroys the socket without an error, which would
+					// otherwise leave connect() waiting forever.
+					reject(new Error(`Connection to ${this.host}:${this.port} closed`));
+				}
+				if (this.autoReconnect) this.scheduleReconnect();
+			});
+		});
+	}
+
+	scheduleReconnect()
+	{
+		if (this.reconnectHandle) return;
+		debug(`Reconnecting in ${this.reconnectDelay} ms`);
+		this.reconnectHandle = setTimeout(() => {
+			this.reconnectHandle = null;
+			// Failures are retried by the socket's close handler.
+			this.openSocket().catch(() => {});
+		}, this.reconnectDelay);
+	}
+
+	handleData(socket, data)
+	{
+		this.rxBuffer = Buffer.concat([this.rxBuffer, data]);
+
+		// TCP is a stream, so use the message length field in the HiQnet header
+		// (the same one decodeHeader() reads) to split it back into messages.
+		while (this.rxBuffer.length >= 6) {
+			const lenMessage = this.rxBuffer.readUInt32BE(2);
+			if ((lenMessage < HIQNET_MIN_LEN) || (lenMessage > this.maxMessageLen)) {
+				// There's no way to find the start of the next message, so drop the
+				// connection and start afresh.
+				debug(`Invalid message length ${lenMessage}, resetting connection`);
+				this.rxBuffer = Buffer.alloc(0);
+				socket.destroy();
+				return;
+			}
+			if (this.rxBuffer.length < lenMessage) {
+				debug(`Got ${this.rxBuffer.length} bytes, waiting for ${lenMessage} bytes`);
+				break;
+			}
+
+			const msg = this.rxBuffer.slice(0, lenMessage);
+			this.rxBuffer = this.rxBuffer.slice(lenMessage);
+
+			debug(`Received ${msg.length}-byte HiQnet message`);
+			if (this.callback) this.callback(msg);
+		}
+	}
+
+	sendMessage(payload)
+	{
+		return new Promise((resolve, reject) => {
+			if (!this.connected || !this.socket) {
+				reject(new Error('TCP transport is not connected'));
+				return;
+			}
+			this.socket.write(payload, err => {
+				if (err) reject(err);
+				else resolve();
+			});
+		});
+	}
+};
+
+HiQnetTransportTCP.PORT = HIQNET_PORT;
+
+module.exports = HiQnetTransportTCP;
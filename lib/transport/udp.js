@@ -0,0 +1,128 @@
+/**
+ * HiQnet device control library - UDP transport layer.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('hiqnet:transport:udp');
+const dgram = require('dgram');
+const EventEmitter = require('events');
+
+const HIQNET_PORT = 3804;
+
+class HiQnetTransportUDP extends EventEmitter
+{
+	/**
+	 * @param Object options
+	 *   Optional settings:
+	 *     host - Address to send messages to, defaults to `broadcastAddress`.
+	 *     port - UDP port to send to, defaults to 3804.
+	 *     bindAddress - Local address to listen on, defaults to all interfaces.
+	 *     bindPort - Local port to listen on, defaults to `port`.
+	 *     broadcastAddress - Defaults to 255.255.255.255.
+	 */
+	constructor(options = {})
+	{
+		super();
+
+		this.port = options.port || HIQNET_PORT;
+		this.bindAddress = options.bindAddress;
+		this.bindPort = (options.bindPort === undefined) ? this.port : options.bindPort;
+		this.broadcastAddress = options.broadcastAddress || '255.255.255.255';
+		this.host = options.host || this.broadcastAddress;
+
+		this.socket = null;
+	}
+
+	close()
+	{
+		if (this.socket) {
+			this.socket.close();
+			this.socket = null;
+		}
+	}
+
+	/**
+	 * Open the UDP socket.
+	 */
+	connect()
+	{
+		return new Promise((resolve, reject) => {
+			const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+			socket.once('error', reject);
+
+			socket.on('message', (msg, rinfo) => {
+				debug(`Received ${msg.length}-byte HiQnet message from ${rinfo.address}:${rinfo.port}`);
+				if (this.callback) {
+					this.callback(msg, {
+						address: rinfo.address,
+						port: rinfo.port,
+					});
+				}
+			});
+
+			socket.bind(this.bindPort, this.bindAddress, () => {
+				socket.removeListener('error', reject);
+				socket.on('error', err => {
+					debug(`Socket error: ${err.message}`);
+				});
+				socket.setBroadcast(true);
+				this.socket = socket;
+				this.emit('connect');
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Address the socket is listening on, as returned by dgram.Socket.address().
+	 */
+	address()
+	{
+		return this.socket && this.socket.address();
+	}
+
+	/**
+	 * Send a message.
+	 *
+	 * @param Buffer payload
+	 *   Raw HiQnet message.
+	 *
+	 * @param Object remote
+	 *   Optional destination with `address` and `port` fields.  Defaults to the
+	 *   `host` and `port` given to the constructor.
+	 */
+	sendMessage(payload, remote)
+	{
+		return new Promise((resolve, reject) => {
+			if (!this.socket) {
+				reject(new Error('UDP transport is not connected'));
+				return;
+			}
+			const address = (remote && remote.address) || this.host;
+			const port = (remote && remote.port) || this.port;
+			this.socket.send(payload, port, address, err => {
+				if (err) reject(err);
+				else resolve();
+			});
+		});
+	}
+};
+
+HiQnetTransportUDP.PORT = HIQNET_PORT;
+
+module.exports = HiQnetTransportUDP;
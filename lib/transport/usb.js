@@ -18,8 +18,9 @@
  */
 
 const debug = require('debug')('hiqnet:transport:usb');
+const EventEmitter = require('events');
 
-const { DeviceBusyError } = require('../error.js');
+const { DeviceBusyError, TimeoutError } = require('../error.js');
 
 const HID_REPORT_TX = 1;
 const HID_REPORT_RX = 2;
@@ -36,93 +37,414 @@ const HID_CT_ALLOC_ACK = 4;
 const HID_CT_DEALLOC_REQ = 5;
 const HID_CT_DEALLOC_ACK = 6;
 
-class HiQnetTransportUSB
+// The answer the device gives to each of our control requests.
+const HID_CT_REPLIES = {
+	[HID_CT_INIT_REQ]: HID_CT_INIT_ACK,
+	[HID_CT_ALLOC_REQ]: HID_CT_ALLOC_ACK,
+	[HID_CT_DEALLOC_REQ]: HID_CT_DEALLOC_ACK,
+};
+
+// Report ID, message ID, segment number and data length at the start of each
+// interrupt report.
+const USB_HEADER_LEN = 6;
+
+// Most control reports to read from the device each time it is polled.
+const MAX_CONTROLS_PER_POLL = 16;
+
+// Manufacturer or product names of USB devices that speak HiQnet.
+const HIQNET_USB_NAMES = /harman|crown|hiqnet/i;
+
+/**
+ * Load node-hid only when it's needed, so the other transports work on
+ * machines where its native module isn't built.
+ */
+function loadHID()
 {
-	constructor(device)
+	return require('node-hid');
+}
+
+function isHiQnetDevice(info)
+{
+	return HIQNET_USB_NAMES.test(`${info.manufacturer || ''} ${info.product || ''}`);
+}
+
+/**
+ * Transport for devices plugged in over USB, where HiQnet messages are
+ * carried in HID reports.
+ *
+ * If the device is unplugged or stops responding, the transport emits `close`
+ * and keeps trying to open it again, emitting `connect` once it is back.
+ *
+ * Messages are sent through a queue, with a few in flight at once.  Each one
+ * is sent by asking the device to allocate a buffer for it, writing it in
+ * interrupt reports and then deallocating the buffer.  Control reports the
+ * device doesn't answer are resent, and a busy device is asked again after a
+ * short delay.
+ *
+ * Only the on(), removeListener(), getFeatureReport(), sendFeatureReport(),
+ * write() and close() methods of the node-hid device are used, so a fake one
+ * can be passed in for testing.
+ *
+ * Emits:
+ *   connect - The device has been opened and initialised.
+ *   close - The device has gone away.
+ *   error - A USB operation failed, usually because the device was
+ *     unplugged.  Passed the error.  Only emitted if there is a listener.
+ */
+class HiQnetTransportUSB extends EventEmitter
+{
+	/**
+	 * @param HID.HID device
+	 *   Already opened node-hid device, or null to open one when connect() is
+	 *   called.  A device passed in here is closed by close().
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     serial - Serial number of the device to open.
+	 *     path - node-hid path of the device to open.  If neither this nor
+	 *       `serial` is given, the first device found by list() is used.
+	 *       Reopening after a disconnect needs one of them, or `device` left
+	 *       as null.
+	 *     filter - Function passed each node-hid device info object, returning
+	 *       true for devices to consider.  Defaults to those whose
+	 *       manufacturer or product name looks like a HiQnet device.
+	 *     reopenDelay - Milliseconds between attempts to reopen the device
+	 *       after it goes away, defaults to 1000.
+	 *     pollInterval - Milliseconds between checks for control reports from
+	 *       the device, defaults to 100.
+	 *     maxInFlight - Most messages to be sending at once, defaults to 4.
+	 *       Further messages wait in a queue.
+	 *     controlTimeout - Milliseconds to wait for the device to answer each
+	 *       control report, defaults to 500.
+	 *     retries - How many times to resend an unanswered control report
+	 *       before failing with a TimeoutError, defaults to 3.
+	 *     busyDelay - Milliseconds to wait before asking again when the device
+	 *       has no room for a message, defaults to 50.
+	 *     busyRetries - How many times to ask before failing with a
+	 *       DeviceBusyError, defaults to 20.
+	 *     rxTimeout - Milliseconds to wait for the rest of a partly received
+	 *       message before discarding it, defaults to 2000.
+	 *     maxMessageLen - Largest message to accept from the device, in bytes.
+	 *       Defaults to 65535.
+	 *     hid - Module to use in place of node-hid, for testing.
+	 */
+	constructor(device, options = {})
 	{
-		this.device = device;
+		super();
+
+		this.serial = options.serial;
+		this.path = options.path;
+		this.filter = options.filter || isHiQnetDevice;
+		this.reopenDelay = (options.reopenDelay === undefined) ? 1000 : options.reopenDelay;
+		this.pollInterval = options.pollInterval || 100;
+		this.hid = options.hid;
+		this.maxInFlight = Math.min(options.maxInFlight || 4, 0xFF);
+		this.controlTimeout = options.controlTimeout || 500;
+		this.retries = (options.retries === undefined) ? 3 : options.retries;
+		this.busyDelay = (options.busyDelay === undefined) ? 50 : options.busyDelay;
+		this.busyRetries = (options.busyRetries === undefined) ? 20 : options.busyRetries;
+		this.rxTimeout = options.rxTimeout || 2000;
+		this.maxMessageLen = options.maxMessageLen || 0xFFFF;
 
-		this.idNext = 0;
-		this.pendingMessages = [];
+		// Only devices we opened ourselves can be found again after a disconnect.
+		this.canReopen = !device || Boolean(this.serial || this.path);
+
+		this.device = null;
+		this.connected = false;
+		this.autoReconnect = false;
+		this.reopenHandle = null;
+		this.timerHandle = null;
+
+		// Message IDs go from 1 to 255, as 0 is used by the init request.
+		this.idNext = 1;
+
+		// Messages waiting for a free slot, and those being sent keyed by ID.
+		this.sendQueue = [];
+		this.inFlight = new Map();
+
+		// Control requests waiting for the device to answer.
+		this.pendingControls = [];
+
+		// Messages from the device still waiting for more segments.
 		this.incomingMessages = [];
 
-		this.device.on('data', data => {
-			this.handleInterrupt(data);
-		});
+		this.deviceHandlers = {
+			data: data => this.handleInterrupt(data),
+			error: err => this.lost(err),
+		};
 
-		this.timerHandle = setInterval(() => {
-			this.pollDevice();
-		}, 100);
+		if (device) this.attach(device);
+	}
+
+	/**
+	 * List the HiQnet devices plugged in over USB.
+	 *
+	 * @param Object options
+	 *   Optional settings:
+	 *     filter - Function to pick devices, as for the constructor.
+	 *     hid - Module to use in place of node-hid.
+	 *
+	 * @return Array of node-hid device info objects, with `path`,
+	 *   `serialNumber`, `manufacturer`, `product`, `vendorId` and `productId`
+	 *   fields.
+	 */
+	static list(options = {})
+	{
+		const hid = options.hid || loadHID();
+		return hid.devices().filter(options.filter || isHiQnetDevice);
+	}
+
+	/**
+	 * Find and open a HiQnet USB device.
+	 *
+	 * @param Object options
+	 *   Settings as for the constructor, typically `serial` to pick one device
+	 *   out of several.
+	 *
+	 * @return HiQnetTransportUSB, which still needs connect() to be called.
+	 */
+	static open(options = {})
+	{
+		const transport = new HiQnetTransportUSB(null, options);
+		transport.openDevice();
+		return transport;
+	}
+
+	/**
+	 * Stop using the device and close it.  It will not be reopened.
+	 */
+	close()
+	{
+		this.autoReconnect = false;
+		clearTimeout(this.reopenHandle);
+		this.reopenHandle = null;
+		this.detach(new Error('USB transport has been closed'));
+	}
+
+	/**
+	 * Open the device given by the `serial` or `path` options, or the first one
+	 * found.
+	 */
+	openDevice()
+	{
+		const hid = this.hid || loadHID();
+
+		let path = this.path;
+		if (!path) {
+			// A serial number is specific enough to skip the name filter.
+			const filter = this.serial
+				? (d => d.serialNumber === this.serial)
+				: this.filter;
+			const info = hid.devices().find(filter);
+			if (!info) {
+				throw new Error(this.serial
+					? `No USB device with serial number ${this.serial} found`
+					: 'No HiQnet USB device found');
+			}
+			path = info.path;
+			// Make sure we find this same device again if it's unplugged, as its
+			// path may change.
+			if (!this.serial && info.serialNumber) this.serial = info.serialNumber;
+		}
+
+		debug(`Opening USB device ${path}`);
+		this.attach(new hid.HID(path));
 	}
 
-	destructor()
+	attach(device)
+	{
+		this.device = device;
+		for (const [event, fn] of Object.entries(this.deviceHandlers)) {
+			this.device.on(event, fn);
+		}
+	}
+
+	/**
+	 * Stop polling and close the device, failing any requests still waiting on
+	 * it.
+	 *
+	 * @param Error err
+	 *   Error to fail the waiting requests with.
+	 */
+	detach(err)
 	{
 		clearInterval(this.timerHandle);
+		this.timerHandle = null;
+
+		if (this.device) {
+			for (const [event, fn] of Object.entries(this.deviceHandlers)) {
+				this.device.removeListener(event, fn);
+			}
+			try {
+				this.device.close();
+			} catch (e) {
+				debug(`Unable to close USB device: ${e.message}`);
+			}
+			this.device = null;
+		}
+
+		// Messages in flight fail as their control requests do.
+		const pending = this.pendingControls;
+		const queued = this.sendQueue;
+		this.pendingControls = [];
+		this.sendQueue = [];
+		this.incomingMessages = [];
+		for (const p of pending) {
+			clearTimeout(p.timer);
+			p.reject(err);
+		}
+		for (const job of queued) job.reject(err);
+
+		if (this.connected) {
+			this.connected = false;
+			this.emit('close');
+		}
+	}
+
+	/**
+	 * The device has stopped responding, most likely because it was unplugged.
+	 */
+	lost(err)
+	{
+		if (!this.device) return;
+		debug(`Lost USB device: ${err.message}`);
+		if (this.listenerCount('error')) this.emit('error', err);
+		this.detach(err);
+		if (this.autoReconnect && this.canReopen) this.scheduleReopen();
+	}
+
+	scheduleReopen()
+	{
+		if (this.reopenHandle) return;
+		debug(`Reopening USB device in ${this.reopenDelay} ms`);
+		this.reopenHandle = setTimeout(async () => {
+			this.reopenHandle = null;
+			try {
+				this.openDevice();
+				await this.init();
+			} catch (e) {
+				debug(`Unable to reopen USB device: ${e.message}`);
+				this.detach(e);
+				if (this.autoReconnect) this.scheduleReopen();
+			}
+		}, this.reopenDelay);
 	}
 
+	/**
+	 * Open the device if needed, and initialise it.
+	 *
+	 * Once this has succeeded, the device will be automatically reopened if it
+	 * goes away, until close() is called.
+	 */
 	async connect()
 	{
-		const r = await this.sendReport(HID_CT_INIT_REQ, 0x80001, 0, 0);
+		if (!this.device) this.openDevice();
+		try {
+			await this.init();
+		} catch (e) {
+			this.detach(e);
+			throw e;
+		}
+		this.autoReconnect = true;
+	}
+
+	async init()
+	{
+		this.timerHandle = setInterval(() => {
+			this.pollDevice();
+		}, this.pollInterval);
+
+		const r = await this.request(HID_CT_INIT_REQ, 0x80001, 0, 0);
 		debug('connect result:', r);
 		if (r.cmd != HID_CT_INIT_ACK) {
 			throw new Error(`Init failed, got message ${r.cmd}, expected ${HID_CT_INIT_ACK}`);
 		}
+		this.connected = true;
+		this.emit('connect');
 	}
 
 	pollDevice()
 	{
-		const r = this.device.getFeatureReport(HID_REPORT_CT, HID_REPORT_CT_LEN);
-		const buf = Buffer.from(r);
-		const msg = {
-			cmd: buf.readUInt8(1),
-			len: buf.readUInt32LE(2),
-			id: buf.readUInt8(6),
-			drop: buf.readUInt8(7),
-		};
-		if (msg.drop === 1) {
-			// Device wants to reply first
-			debug('Device wants to transmit first?');
-			this.handleControl(msg)
-			return this.pollDevice();
-			// TODO: Resent prev event
+		if (!this.device) return;
+
+		// Stop waiting for the rest of messages the device has given up on.
+		const now = Date.now();
+		this.incomingMessages = this.incomingMessages.filter(m => {
+			if (now - m.updated < this.rxTimeout) return true;
+			debug(`Discarding incomplete message #${m.id.toString(16)}, got `
+				+ `${m.payload.length} of ${m.lenExpected} bytes`);
+			return false;
+		});
+
+		// Read until the device has nothing more to say, but don't let it hog
+		// the event loop.
+		for (let i = 0; i < MAX_CONTROLS_PER_POLL; i++) {
+			let r;
+			try {
+				r = this.device.getFeatureReport(HID_REPORT_CT, HID_REPORT_CT_LEN);
+			} catch (e) {
+				this.lost(e);
+				return;
+			}
+			const buf = Buffer.from(r);
+			if (buf.length < HID_REPORT_CT_LEN) return;
+			const msg = {
+				cmd: buf.readUInt8(1),
+				len: buf.readUInt32LE(2),
+				id: buf.readUInt8(6),
+				drop: buf.readUInt8(7),
+			};
+			if (msg.cmd === 0) return;
+			this.handleControl(msg);
+			if (!this.device) return;
 		}
-		if (msg.cmd != 0) this.handleControl(msg);
 	}
 
 	handleControl(msg)
 	{
-		// Map incoming messages to pending commands
 		debug(`Incoming control message 0x${msg.cmd.toString(16)} with ID: 0x${msg.id.toString(16)}`);
-		let handled = false;
-		this.pendingMessages = this.pendingMessages.filter(pendingMsg => {
-			if (
-				(pendingMsg.id === msg.id)
-				|| ((pendingMsg.cmd == 1) && (msg.cmd == 2))
-			) {
-				handled = true;
-				pendingMsg.handler(msg);
-				return false; // remove pending message
-			}
-			return true; // keep message for later
-		});
-		if (handled) return;
 
-		// Unsolicited message
 		switch (msg.cmd) {
+			// The device wants to send us a message.
 			case HID_CT_ALLOC_REQ:
-				this.sendReportNoWait(HID_CT_ALLOC_ACK, msg.length, msg.id);
-				break;
+				this.acknowledge(HID_CT_ALLOC_ACK, msg.len, msg.id);
+				return;
+
+			// The device has finished sending a message, so anything still
+			// missing from it isn't coming.
 			case HID_CT_DEALLOC_REQ:
-				this.sendReportNoWait(HID_CT_DEALLOC_ACK, msg.length, msg.id);
-				break;
-			default:
-				debug(`Received unknown unsolicited message from device: 0x${msg.cmd.toString(16)}`);
-				break;
+				this.incomingMessages = this.incomingMessages.filter(m => m.id !== msg.id);
+				this.acknowledge(HID_CT_DEALLOC_ACK, msg.len, msg.id);
+				return;
+		}
+
+		// Anything else is a reply to one of our requests.  Init is always sent
+		// with ID 0, so accept its reply whatever ID it comes back with.  The
+		// command has to match too, so a late answer to a request that has since
+		// been resent can't be mistaken for the answer to the next request.
+		const pending = this.pendingControls.find(p => (
+			(p.expectedCmd === msg.cmd)
+			&& ((p.id === msg.id) || (p.cmd === HID_CT_INIT_REQ))
+		));
+		if (!pending) {
+			debug(`Received unexpected control message from device: 0x${msg.cmd.toString(16)}`);
+			return;
+		}
+		this.pendingControls = this.pendingControls.filter(p => p !== pending);
+		clearTimeout(pending.timer);
+		if (msg.drop === 0) {
+			pending.resolve(msg);
+		} else {
+			pending.reject(new DeviceBusyError(`Device busy, ID 0x${msg.id.toString(16)}`));
 		}
 	}
 
 	handleInterrupt(data)
 	{
+		if (data.length < USB_HEADER_LEN) {
+			debug(`Ignoring ${data.length}-byte interrupt report`);
+			return;
+		}
 		const usbHeader = {
 			report: data.readUInt8(0),
 			id: data.readUInt8(1),
@@ -134,48 +456,70 @@ class HiQnetTransportUSB
 		};
 		debug('usbHeader:', usbHeader);
 
-		const hiQnetMsg = data.slice(6, 6 + usbHeader.lenValid);
+		if (USB_HEADER_LEN + usbHeader.lenValid > data.length) {
+			debug(`Ignoring report claiming ${usbHeader.lenValid} bytes in a ${data.length}-byte report`);
+			return;
+		}
+		const hiQnetMsg = data.slice(USB_HEADER_LEN, USB_HEADER_LEN + usbHeader.lenValid);
 
+		let msgIncoming;
 		if (usbHeader.segment === 0) {
-			// First message in a segment
-			let msgIncoming = {
+			// First message in a segment.  A previous message with the same ID can
+			// never be finished now.
+			this.incomingMessages = this.incomingMessages.filter(m => m.id !== usbHeader.id);
+			if (hiQnetMsg.length < 6) {
+				debug(`Ignoring segment 0 of message #${usbHeader.id.toString(16)}, too short for a HiQnet header`);
+				return;
+			}
+			msgIncoming = {
 				id: usbHeader.id,
-				lastSegment: usbHeader.segment,
+				lastSegment: 0,
 				lenExpected: hiQnetMsg.readUInt32BE(2),
 				payload: hiQnetMsg,
+				updated: Date.now(),
 			};
-
-			if (msgIncoming.lenExpected === msgIncoming.payload.length) {
-				// Received full message
-				debug(`Received single-segment HiQnet message`);
-				if (this.callback) this.callback(msgIncoming.payload);
-			} else {
-				// Partial message, save for later
-				debug(`Received segment 0 of HiQnet message #${msgIncoming.id.toString(16)}`);
-				this.incomingMessages.push(msgIncoming);
+			if (msgIncoming.lenExpected > this.maxMessageLen) {
+				debug(`Ignoring ${msgIncoming.lenExpected}-byte message #${usbHeader.id.toString(16)}, too long`);
+				return;
 			}
 
 		} else {
 			// Subsequent message in a segment
-			let msgIncoming = this.incomingMessages.find(m => m.id == usbHeader.id);
+			msgIncoming = this.incomingMessages.find(m => m.id == usbHeader.id);
 			if (!msgIncoming) {
 				debug(`Ignoring segment ${usbHeader.segment} of message #${usbHeader.id.toString(16)} as we aren't tracking that message!`);
 				return;
 			}
+			this.incomingMessages = this.incomingMessages.filter(m => m !== msgIncoming);
+			if (usbHeader.segment !== msgIncoming.lastSegment + 1) {
+				debug(`Discarding message #${usbHeader.id.toString(16)}, got segment `
+					+ `${usbHeader.segment} after ${msgIncoming.lastSegment}`);
+				return;
+			}
+			msgIncoming.lastSegment = usbHeader.segment;
 			msgIncoming.payload = Buffer.concat([
 				msgIncoming.payload,
 				hiQnetMsg,
 			]);
-			if (msgIncoming.lenExpected === msgIncoming.payload.length) {
-				// Received full message
-				debug(`Received final segment ${usbHeader.segment} of HiQnet message #${msgIncoming.id.toString(16)}`);
-				if (this.callback) this.callback(msgIncoming.payload);
-			} else {
-				debug(`Received segment ${usbHeader.segment} of HiQnet message `
-					+ `#${msgIncoming.id.toString(16)} (got ${msgIncoming.payload.length}`
-					+ ` bytes, waiting for ${msgIncoming.lenExpected} bytes)`);
-			}
+			msgIncoming.updated = Date.now();
 		}
+
+		if (msgIncoming.payload.length < msgIncoming.lenExpected) {
+			// Partial message, save for later
+			debug(`Received segment ${usbHeader.segment} of HiQnet message `
+				+ `#${msgIncoming.id.toString(16)} (got ${msgIncoming.payload.length}`
+				+ ` bytes, waiting for ${msgIncoming.lenExpected} bytes)`);
+			this.incomingMessages.push(msgIncoming);
+			return;
+		}
+		if (msgIncoming.payload.length > msgIncoming.lenExpected) {
+			debug(`Discarding message #${usbHeader.id.toString(16)}, got `
+				+ `${msgIncoming.payload.length} bytes but expected ${msgIncoming.lenExpected}`);
+			return;
+		}
+
+		debug(`Received final segment ${usbHeader.segment} of HiQnet message #${msgIncoming.id.toString(16)}`);
+		if (this.callback) this.callback(msgIncoming.payload);
 	}
 
 	sendReportNoWait(cmd, len, id, flag = 1)
@@ -187,53 +531,160 @@ class HiQnetTransportUSB
 		hidReport.writeUInt8(flag, 6);
 		hidReport.writeUInt8(id, 7);
 		debug(`Sending control 0x${cmd.toString(16)} with id 0x${id.toString(16)}`);
-		this.device.sendFeatureReport(Array.from(hidReport));
+		this.write(() => this.device.sendFeatureReport(Array.from(hidReport)));
+	}
+
+	/**
+	 * Answer a control report from the device.  Nobody is waiting on the
+	 * result, and a failure has already been passed to lost() by write().
+	 */
+	acknowledge(cmd, len, id)
+	{
+		try {
+			this.sendReportNoWait(cmd, len, id);
+		} catch (e) {
+			debug(`Unable to acknowledge ID 0x${id.toString(16)}: ${e.message}`);
+		}
 	}
 
+	/**
+	 * Run a node-hid call, treating a failure as the device going away.
+	 */
+	write(fn)
+	{
+		if (!this.device) throw new Error('USB transport is not connected');
+		try {
+			fn();
+		} catch (e) {
+			this.lost(e);
+			throw e;
+		}
+	}
+
+	/**
+	 * Send a control report and wait for the device to answer it.
+	 *
+	 * @return Promise resolving to the reply, or rejecting with DeviceBusyError
+	 *   if the device refused, or TimeoutError if it didn't answer.
+	 */
 	sendReport(cmd, len, id, flag = 1)
 	{
 		return new Promise((resolve, reject) => {
-			if (id === undefined) id = this.idNext++;
-			this.pendingMessages.push({
+			let pending = {
 				cmd: cmd,
+				expectedCmd: HID_CT_REPLIES[cmd],
 				id: id,
-				handler: msg => {
-					debug('Resolving message', id);
-					if (msg.drop === 0) {
-						resolve(msg);
-					} else {
-						reject(new DeviceBusyError(msg));
-					}
-				},
-			});
-
-			this.sendReportNoWait(cmd, len, id, flag);
+				resolve: resolve,
+				reject: reject,
+				timer: setTimeout(() => {
+					this.pendingControls = this.pendingControls.filter(p => p !== pending);
+					reject(new TimeoutError(`No reply to USB control 0x${cmd.toString(16)}`
+						+ ` for ID 0x${id.toString(16)}`));
+				}, this.controlTimeout),
+			};
+			this.pendingControls.push(pending);
+
+			try {
+				this.sendReportNoWait(cmd, len, id, flag);
+			} catch (e) {
+				clearTimeout(pending.timer);
+				this.pendingControls = this.pendingControls.filter(p => p !== pending);
+				reject(e);
+			}
 		});
 	}
 
-	async sendMessage(payload) {
-		const id = this.idNext++;
+	/**
+	 * Send a control report, trying again if the device doesn't answer.
+	 */
+	async request(cmd, len, id, flag)
+	{
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await this.sendReport(cmd, len, id, flag);
+			} catch (e) {
+				if (!(e instanceof TimeoutError) || (attempt >= this.retries)) throw e;
+				debug(`${e.message}, retrying`);
+			}
+		}
+	}
 
-		try {
-			let ack = await this.sendReport(HID_CT_ALLOC_REQ, payload.length, id);
-			if (ack.cmd != HID_CT_ALLOC_ACK) {
-				debug('Unexpected response to alloc:', ack);
+	/**
+	 * Queue a message for sending.
+	 *
+	 * @param Buffer payload
+	 *   Raw HiQnet message.
+	 *
+	 * @return Promise resolving once the device has accepted the whole message.
+	 */
+	sendMessage(payload)
+	{
+		return new Promise((resolve, reject) => {
+			if (!this.connected) {
+				reject(new Error('USB transport is not connected'));
 				return;
 			}
-		} catch (e) {
-			if (e instanceof DeviceBusyError) {
-				return await this.sendMessage(payload);
+			this.sendQueue.push({ payload, resolve, reject });
+			this.pump();
+		});
+	}
+
+	/**
+	 * Start sending queued messages, as long as there are free IDs and not too
+	 * many messages are already in flight.
+	 */
+	pump()
+	{
+		while (this.sendQueue.length && (this.inFlight.size < this.maxInFlight)) {
+			const id = this.allocId();
+			const job = this.sendQueue.shift();
+			this.inFlight.set(id, job);
+			this.transmit(id, job.payload)
+				.then(job.resolve, job.reject)
+				.finally(() => {
+					this.inFlight.delete(id);
+					this.pump();
+				});
+		}
+	}
+
+	/**
+	 * @return Next message ID not in use.  IDs are a single byte, and 0 is
+	 *   left for the init request.
+	 */
+	allocId()
+	{
+		for (;;) {
+			const id = this.idNext;
+			this.idNext = (this.idNext % 0xFF) + 1;
+			if (!this.inFlight.has(id)) return id;
+		}
+	}
+
+	/**
+	 * Send one message: ask the device for a buffer, write the message into it
+	 * in interrupt reports, then release the buffer so the device acts on it.
+	 */
+	async transmit(id, payload)
+	{
+		for (let busy = 0; ; busy++) {
+			try {
+				await this.request(HID_CT_ALLOC_REQ, payload.length, id);
+				break;
+			} catch (e) {
+				if (!(e instanceof DeviceBusyError) || (busy >= this.busyRetries)) throw e;
+				debug(`Device busy, retrying message #${id.toString(16)} in ${this.busyDelay} ms`);
+				await new Promise(resolve => setTimeout(resolve, this.busyDelay));
 			}
-			throw e;
 		}
 
 		let remaining = payload;
 		let chunkNum = 0;
 		do {
-			const chunk = remaining.slice(0, HID_REPORT_TX_LEN);
-			remaining = remaining.slice(HID_REPORT_TX_LEN);
+			const chunk = remaining.slice(0, HID_REPORT_TX_LEN - USB_HEADER_LEN);
+			remaining = remaining.slice(chunk.length);
 
-			let hidReportHeader = Buffer.alloc(6);
+			let hidReportHeader = Buffer.alloc(USB_HEADER_LEN);
 			hidReportHeader.writeUInt8(HID_REPORT_TX, 0);
 			hidReportHeader.writeUInt8(id, 1);
 			hidReportHeader.writeUInt16LE(chunkNum, 2);
@@ -244,16 +695,12 @@ class HiQnetTransportUSB
 				Buffer.alloc(HID_REPORT_TX_LEN - hidReportHeader.length - chunk.length), // padding
 			]);
 			debug('writing interrupt chunk:', hidReport);
-			this.device.write(Array.from(hidReport));
+			this.write(() => this.device.write(Array.from(hidReport)));
 
 			chunkNum++;
 		} while (remaining.length > 0);
 
-		let ack = await this.sendReport(HID_CT_DEALLOC_REQ, payload.length);//, id);
-		if (ack.cmd != HID_CT_DEALLOC_ACK) {
-			debug('Unexpected response to dealloc:', ack);
-			return;
-		}
+		await this.request(HID_CT_DEALLOC_REQ, payload.length, id);
 	}
 };
 
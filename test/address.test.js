@@ -0,0 +1,116 @@
+/**
+ * HiQnet device control library - address negotiation tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+const { TimeoutError } = require('../lib/error.js');
+
+const { commands } = HiQnet;
+
+function sleep(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Addresses', () => {
+	let sim, hiq, announced;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 0x2001,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 0 },
+				},
+			},
+		});
+		announced = [];
+		sim.on('message', msg => {
+			if (msg.header.cmd === commands.addressUsed) announced.push(msg.addressUsed.device);
+		});
+		hiq = new HiQnet(sim.createTransport(), null, { deviceId: 0x3000, timeout: 200 });
+		await hiq.transport.connect();
+	});
+
+	afterEach(() => {
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('finds out whether an address is in use', async () => {
+		assert.strictEqual(await hiq.addressUsed(0x2001, { timeout: 50 }), true);
+		assert.strictEqual(await hiq.addressUsed(0x2002, { timeout: 50 }), false);
+	});
+
+	it('claims a free address', async () => {
+		assert.strictEqual(await hiq.negotiateAddress({ preferred: 0x2002, timeout: 50 }), 0x2002);
+		assert.strictEqual(hiq.deviceId, 0x2002);
+		await sleep(20);
+		assert.deepStrictEqual(announced, [0x2002]);
+	});
+
+	it('picks another address after a clash', async () => {
+		const deviceId = await hiq.negotiateAddress({ preferred: 0x2001, timeout: 50 });
+		assert.notStrictEqual(deviceId, 0x2001);
+		assert.ok((deviceId > 0) && (deviceId < 0xFFFF));
+		assert.strictEqual(hiq.deviceId, deviceId);
+		await sleep(20);
+		assert.deepStrictEqual(announced, [deviceId]);
+	});
+
+	it('gives up when every address clashes', async () => {
+		sim.on('message', msg => {
+			// Claim every address asked for.
+			if (msg.header.cmd === commands.requestAddress) sim.deviceId = msg.requestAddress.device;
+		});
+		await assert.rejects(
+			hiq.negotiateAddress({ preferred: 0x2001, timeout: 20, attempts: 3 }),
+			/after 3 attempts/
+		);
+		assert.strictEqual(hiq.deviceId, 0x3000);
+		await sleep(20);
+		assert.deepStrictEqual(announced, []);
+	});
+
+	it('defends its own address', async () => {
+		sim.requestAddress(0x3000);
+		sim.requestAddress(0x3001);
+		await sleep(20);
+		assert.deepStrictEqual(announced, [0x3000]);
+	});
+
+	it('changes the address of another device', async () => {
+		await hiq.setAddress(sim.serial, 0x0042);
+		assert.strictEqual(sim.deviceId, 0x0042);
+		assert.deepStrictEqual(
+			await hiq.multiParamGet({ device: 0x0042, virtualDevice: 0, object: [1, 40, 2] }, [4]),
+			{ 4: 0 }
+		);
+	});
+
+	it('leaves devices with another serial number alone', async () => {
+		await assert.rejects(
+			hiq.setAddress(Buffer.from('someone else'), 0x0042, { timeout: 50 }),
+			TimeoutError
+		);
+		assert.strictEqual(sim.deviceId, 0x2001);
+	});
+});
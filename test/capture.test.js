@@ -0,0 +1,113 @@
+/**
+ * HiQnet device control library - capture tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+const { CaptureWriter, readCapture } = HiQnet.Capture;
+
+const address = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+
+describe('Captures', () => {
+	let dir;
+
+	before(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hiqnet-test-'));
+	});
+
+	after(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	async function record(filename)
+	{
+		const sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 2.5 },
+					5: { type: 'string', value: 'Lobby' },
+				},
+			},
+		});
+		const transport = new HiQnet.Transport.Recorder(sim.createTransport(), filename);
+		const hiq = new HiQnet(transport, null, { timeout: 500 });
+		await transport.connect();
+		const values = await hiq.multiParamGet(address, [4, 5]);
+		await transport.close();
+		sim.close();
+		return values;
+	}
+
+	for (const format of ['jsonl', 'pcap']) {
+		it(`reads back ${format} frames`, async () => {
+			const filename = path.join(dir, `frames.${format}`);
+			const frames = [
+				{ direction: 'tx', data: Buffer.from('0219000000190103', 'hex'), remote: { address: '192.168.1.50', port: 5000 } },
+				{ direction: 'rx', data: Buffer.from('abcdef', 'hex'), remote: { address: '192.168.1.50', port: 5000 } },
+				{ direction: 'tx', data: Buffer.from('0102', 'hex'), remote: { address: '192.168.1.51', port: 3804 } },
+				{ direction: 'rx', data: Buffer.alloc(0), remote: { address: '192.168.1.51', port: 3804 } },
+			];
+			const writer = new CaptureWriter(filename);
+			for (const f of frames) writer.write(f.direction, f.data, f.remote);
+			await writer.close();
+
+			const read = await readCapture(filename);
+			assert.deepStrictEqual(read.map(f => ({ direction: f.direction, data: f.data, remote: f.remote })), frames);
+			for (const f of read) assert.ok(Math.abs(f.time - Date.now()) < 60000);
+		});
+
+		it(`replays a ${format} capture`, async () => {
+			const filename = path.join(dir, `session.${format}`);
+			const recorded = await record(filename);
+			assert.deepStrictEqual(recorded, { 4: 2.5, 5: 'Lobby' });
+
+			const transport = new HiQnet.Transport.Replay(filename);
+			const hiq = new HiQnet(transport, null, { timeout: 500 });
+			let mismatches = [];
+			transport.on('mismatch', (expected, actual) => mismatches.push(actual));
+			const ended = new Promise(resolve => transport.once('end', resolve));
+			await transport.connect();
+			assert.deepStrictEqual(await hiq.multiParamGet(address, [4, 5]), recorded);
+			await ended;
+			assert.deepStrictEqual(mismatches, []);
+
+			// Asking for something else doesn't match the capture.
+			hiq.multiParamGet(address, [4], { timeout: 10 }).catch(() => {});
+			assert.strictEqual(mismatches.length, 1);
+			transport.close();
+		});
+	}
+
+	it('describes captured messages', async () => {
+		const filename = path.join(dir, 'dissect.jsonl');
+		await record(filename);
+		const lines = await HiQnet.Dissector.dissectFile(filename);
+		assert.strictEqual(lines.length, 2);
+		assert.match(lines[0], / tx \S+ -> 1\.0\.1\.40\.2 multiParamGet\(0x103\) #1\n/);
+		assert.match(lines[1], / rx 1\.0\.1\.40\.2 -> \S+ multiParamGet\(0x103\) #1 \[info\]/);
+		assert.match(lines[1], /Lobby/);
+		assert.match(HiQnet.Dissector.dissect(Buffer.from('0219', 'hex')), /^Malformed message/);
+	});
+});
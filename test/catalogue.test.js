@@ -0,0 +1,99 @@
+/**
+ * HiQnet device control library - catalogue tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { before, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+describe('Catalogue', () => {
+	let catalogue;
+
+	before(async () => {
+		catalogue = await HiQnet.Catalogue.load(path.join(__dirname, 'fixtures', 'crown-xti.xml'));
+	});
+
+	it('reads the product', () => {
+		assert.strictEqual(catalogue.classId, 46);
+		assert.strictEqual(catalogue.name, 'Crown XTi');
+		assert.deepStrictEqual(catalogue.virtualDevices.map(vd => vd.name), ['Amplifier']);
+		assert.strictEqual(catalogue.parameters.length, 10);
+	});
+
+	it('reads parameter details', () => {
+		assert.deepStrictEqual(catalogue.find('Channel A/Gain'), {
+			id: 0,
+			name: 'Gain',
+			path: 'Amplifier/Channel A/Gain',
+			virtualDevice: 0,
+			object: [0, 1, 0],
+			type: HiQnet.dataTypes.float,
+			min: -100,
+			max: 0,
+			default: 0,
+			units: 'dB',
+			enum: null,
+		});
+		const mute = catalogue.find('channel b/mute');
+		assert.strictEqual(mute.id, 1);
+		assert.deepStrictEqual(mute.object, [0, 2, 0]);
+		assert.strictEqual(mute.type, HiQnet.dataTypes.uint8);
+		assert.deepStrictEqual(mute.enum, { 0: 'Off', 1: 'On' });
+		assert.strictEqual(catalogue.label(mute, 1), 'On');
+		assert.strictEqual(catalogue.unlabel(mute, 'off'), 0);
+	});
+
+	it('reads nested objects', () => {
+		const attack = catalogue.find('Limiter/Attack');
+		assert.strictEqual(attack.path, 'Amplifier/Channel A/Limiter/Attack');
+		assert.deepStrictEqual(attack.object, [0, 1, 1]);
+		assert.strictEqual(attack.type, HiQnet.dataTypes.uint16);
+	});
+
+	it('looks inside groupings with no address', () => {
+		const model = catalogue.find('Output Meters/Model');
+		assert.deepStrictEqual(model.object, [0, 3, 0]);
+		assert.strictEqual(model.type, HiQnet.dataTypes.string);
+		assert.strictEqual(model.default, undefined);
+	});
+
+	it('refuses ambiguous paths', () => {
+		assert.throws(() => catalogue.find('Gain'), /ambiguous/);
+		assert.throws(() => catalogue.find('Channel C/Gain'), /No parameter/);
+	});
+
+	it('drives the simulator', async () => {
+		const sim = new HiQnet.Simulator({ deviceId: 1, catalogue: catalogue });
+		const hiq = new HiQnet(sim.createTransport(), null, { timeout: 500 });
+		hiq.setCatalogue(1, catalogue);
+		await hiq.transport.connect();
+		try {
+			await hiq.multiParamSet({ device: 1 }, { 'Channel A/Mute': 'On' });
+			const result = await hiq.multiParamGet({ device: 1 }, [
+				'Channel A/Gain',
+				'Channel A/Mute',
+			], { labels: true });
+			assert.deepStrictEqual(result, { 'Channel A/Gain': 0, 'Channel A/Mute': 'On' });
+		} finally {
+			hiq.transport.close();
+			sim.close();
+		}
+	});
+});
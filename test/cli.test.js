@@ -0,0 +1,107 @@
+/**
+ * HiQnet device control library - command-line tool tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { execFile } = require('child_process');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'hiqnet.js');
+
+const address = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+
+/**
+ * Run the command-line tool, resolving with its output once it exits.
+ */
+function run(args)
+{
+	return new Promise(resolve => {
+		execFile(process.execPath, [CLI, ...args], { timeout: 5000 }, (err, stdout, stderr) => {
+			resolve({ code: err ? err.code : 0, stdout, stderr });
+		});
+	});
+}
+
+describe('Command-line tool', () => {
+	let sim, transport;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 35.5 },
+					5: { type: 'uint8', value: 0 },
+					6: { type: 'string', value: 'Amp 1' },
+				},
+			},
+		});
+		const port = await sim.listenTCP();
+		transport = `tcp:127.0.0.1:${port}`;
+	});
+
+	afterEach(() => {
+		sim.close();
+	});
+
+	it('reads parameters', async () => {
+		const r = await run(['--transport', transport, 'get', '1.0.1.40.2', '4', '6']);
+		assert.strictEqual(r.stderr, '');
+		assert.strictEqual(r.code, 0);
+		assert.strictEqual(r.stdout, '4\t35.5\n6\t"Amp 1"\n');
+	});
+
+	it('reads parameters as JSON', async () => {
+		const r = await run(['--transport', transport, '--json', 'get', '1.0.1.40.2', '4', '5']);
+		assert.strictEqual(r.code, 0);
+		assert.deepStrictEqual(JSON.parse(r.stdout), { 4: 35.5, 5: 0 });
+	});
+
+	it('writes parameters using their current types', async () => {
+		const r = await run(['--transport', transport, 'set', '--json', '1.0.1.40.2', '4=-6.5', '5=1', '6=Stage left']);
+		assert.strictEqual(r.stderr, '');
+		assert.strictEqual(r.code, 0);
+		assert.deepStrictEqual(JSON.parse(r.stdout), { 4: -6.5, 5: 1, 6: 'Stage left' });
+		assert.strictEqual(sim.getValue(address, 4), -6.5);
+		assert.strictEqual(sim.getValue(address, 5), 1);
+		assert.strictEqual(sim.getValue(address, 6), 'Stage left');
+	});
+
+	it('writes parameters with explicit types', async () => {
+		const r = await run(['--transport', transport, 'set', '1.0.1.40.2', '5=uint8:2']);
+		assert.strictEqual(r.code, 0);
+		assert.strictEqual(r.stdout, '');
+		assert.strictEqual(sim.getValue(address, 5), 2);
+	});
+
+	it('reports errors from the device', async () => {
+		const r = await run(['--transport', transport, '--timeout', '500', 'get', '1.0.1.40.9', '4']);
+		assert.strictEqual(r.code, 1);
+		assert.match(r.stderr, /^hiqnet: /);
+	});
+
+	it('reports usage errors', async () => {
+		const r = await run(['--transport', transport, 'get', '1.0.1.40', '4']);
+		assert.strictEqual(r.code, 1);
+		assert.match(r.stderr, /Invalid address "1\.0\.1\.40"/);
+		assert.match(r.stderr, /Try "hiqnet --help"/);
+	});
+});
@@ -0,0 +1,213 @@
+/**
+ * HiQnet device control library - message encoder/decoder tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+const { commands, dataTypes, ProtocolError } = HiQnet;
+
+const ITERATIONS = 20000;
+
+/**
+ * Repeatable pseudo-random numbers, so a failure can be reproduced.
+ */
+function random(seed)
+{
+	return n => {
+		seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+		return seed % n;
+	};
+}
+
+function createHiQnet()
+{
+	let unsolicited = [];
+	const hiq = new HiQnet({ sendMessage: async () => {} }, msg => unsolicited.push(msg));
+	hiq.unsolicited = unsolicited;
+	return hiq;
+}
+
+function encodeFrame(hiq, rnd, payload)
+{
+	const cmds = Object.values(commands);
+	return hiq.encode({
+		cmd: cmds[rnd(cmds.length)],
+		flags: [0, 0x01, 0x02, 0x04, 0x08, 0x40, 0x100, rnd(0x200)][rnd(8)],
+		seqNum: rnd(100),
+		addrSource: { device: 5, virtualDevice: 0, object: [0, 0, 0] },
+		addrDest: { device: hiq.deviceId, virtualDevice: 0, object: [0, 0, 0] },
+		payload: payload,
+	});
+}
+
+describe('HiQnet codec', () => {
+
+	it('round-trips every data type through a parameter list', () => {
+		const hiq = createHiQnet();
+		const values = {
+			1: -5, 2: 200, 3: -1000, 4: 60000, 5: -100000, 6: 4000000000,
+			7: 1.5, 8: -6.25, 9: Buffer.from([1, 2, 3]), 10: 'Lobby',
+			11: -(2n ** 40n), 12: 2n ** 63n,
+		};
+		const types = {
+			1: dataTypes.int8, 2: dataTypes.uint8, 3: dataTypes.int16,
+			4: dataTypes.uint16, 5: dataTypes.int32, 6: dataTypes.uint32,
+			7: dataTypes.float, 8: dataTypes.double, 9: dataTypes.block,
+			10: dataTypes.string, 11: dataTypes.int64, 12: dataTypes.uint64,
+		};
+		const frame = hiq.encode({
+			cmd: commands.multiParamSet,
+			addrSource: { device: 5, virtualDevice: 0, object: [1, 2, 3] },
+			addrDest: { device: 6, virtualDevice: 1, object: [4, 5, 6] },
+			seqNum: 42,
+			payload: HiQnet.encodeParamList(values, types),
+		});
+		const header = hiq.decodeHeader(frame);
+		assert.strictEqual(header.cmd, commands.multiParamSet);
+		assert.strictEqual(header.seqNum, 42);
+		assert.strictEqual(header.addrSource.device, 5);
+		assert.strictEqual(header.addrDest.virtualDevice, 1);
+
+		const msg = hiq.decode(header, frame.slice(header.lenHeader));
+		assert.deepStrictEqual(msg.multiParamSet.parameters, values);
+		assert.deepStrictEqual(msg.multiParamSet.types, types);
+	});
+
+	it('round-trips the optional header fields', () => {
+		const hiq = createHiQnet();
+		const frame = hiq.encode({
+			cmd: commands.multiParamGet,
+			flags: HiQnet.flags.multipart,
+			addrSource: { device: 5, virtualDevice: 0, object: [0, 0, 0] },
+			addrDest: { device: 6, virtualDevice: 0, object: [0, 0, 0] },
+			error: { code: HiQnet.errorCodes.invalidParameter, text: 'No parameter 9' },
+			multipart: { startSeqNum: 7, bytesRemaining: 1000 },
+			sessionNumber: 0x1234,
+		});
+		const header = hiq.decodeHeader(frame);
+		assert.strictEqual(header.error.code, HiQnet.errorCodes.invalidParameter);
+		assert.strictEqual(header.error.text, 'No parameter 9');
+		assert.strictEqual(header.multipart.startSeqNum, 7);
+		assert.strictEqual(header.multipart.bytesRemaining, 1000);
+		assert.strictEqual(header.sessionNumber, 0x1234);
+		assert.strictEqual(header.lenHeader, frame.length);
+	});
+
+	it('rejects every truncation of a valid message with ProtocolError', () => {
+		const hiq = createHiQnet();
+		const frame = hiq.encode({
+			cmd: commands.multiParamSet,
+			addrSource: { device: 5, virtualDevice: 0, object: [0, 0, 0] },
+			addrDest: { device: 6, virtualDevice: 0, object: [0, 0, 0] },
+			payload: HiQnet.encodeParamList({ 1: 'text', 2: 3 }, { 1: dataTypes.string, 2: dataTypes.uint8 }),
+		});
+		for (let len = 0; len < frame.length; len++) {
+			assert.throws(() => hiq.decodeHeader(frame.slice(0, len)), ProtocolError, `length ${len}`);
+		}
+	});
+
+	it('decodes any payload for any command without crashing', () => {
+		const hiq = createHiQnet();
+		const rnd = random(7);
+		const cmds = Object.values(commands);
+		for (let i = 0; i < ITERATIONS; i++) {
+			const payload = Buffer.alloc(rnd(60));
+			// Mostly small numbers, so counts and types look plausible.
+			for (let p = 0; p < payload.length; p++) payload[p] = rnd(3) ? rnd(4) : rnd(256);
+			const header = {
+				cmd: cmds[rnd(cmds.length)],
+				flags: rnd(2) ? { info: true } : {},
+				addrSource: { device: 1, virtualDevice: 0, object: 0 },
+			};
+			try {
+				hiq.decode(header, payload);
+			} catch (e) {
+				if (e instanceof ProtocolError) continue;
+				assert.fail(`${HiQnet.getCommandName(header.cmd)} with payload `
+					+ `${payload.toString('hex')} threw ${e.stack}`);
+			}
+		}
+	});
+
+	it('drops corrupted and truncated messages through the error event', () => {
+		const hiq = createHiQnet();
+		const rnd = random(1);
+		let errors = 0;
+		hiq.on('error', err => {
+			assert.ok(err instanceof ProtocolError, err.stack);
+			assert.ok(Buffer.isBuffer(err.frame));
+			errors++;
+		});
+		for (let i = 0; i < ITERATIONS; i++) {
+			const payload = Buffer.alloc(rnd(40));
+			for (let p = 0; p < payload.length; p++) payload[p] = rnd(4) ? rnd(256) : rnd(4);
+			let frame = encodeFrame(hiq, rnd, payload);
+			if (rnd(4) === 0) {
+				frame = Buffer.from(frame);
+				frame[rnd(frame.length)] = rnd(256);
+			}
+			if (rnd(6) === 0) frame = frame.slice(0, rnd(frame.length));
+			assert.doesNotThrow(() => hiq.recv(frame), frame.toString('hex'));
+		}
+		assert.ok(errors > 0);
+	});
+
+	it('drops random bytes through the error event', () => {
+		const hiq = createHiQnet();
+		const rnd = random(3);
+		hiq.on('error', err => assert.ok(err instanceof ProtocolError, err.stack));
+		for (let i = 0; i < ITERATIONS; i++) {
+			const frame = Buffer.alloc(rnd(80));
+			for (let p = 0; p < frame.length; p++) frame[p] = rnd(256);
+			// Make some of them look like a header so decoding gets further.
+			if ((frame.length > 6) && rnd(2)) {
+				frame[0] = 2;
+				frame[1] = 0x19;
+				frame.writeUInt32BE(frame.length, 2);
+			}
+			assert.doesNotThrow(() => hiq.recv(frame), frame.toString('hex'));
+		}
+	});
+});
+
+describe('HiQnet address helpers', () => {
+	const address = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+
+	it('parses and formats addresses', () => {
+		assert.deepStrictEqual(HiQnet.parseAddress('1/0/1.40.2'), address);
+		assert.strictEqual(HiQnet.parseAddress(address), address);
+		assert.strictEqual(HiQnet.formatAddress(address), '1/0/1.40.2');
+	});
+
+	it('rejects invalid addresses', () => {
+		for (const s of ['', '1/0', '1/0/1.40', '1/0/1.40.2/4', 'a/0/1.40.2', '1//1.40.2', '1/0/1.-40.2', '1/0/1.4e1.2']) {
+			assert.throws(() => HiQnet.parseAddress(s), /Invalid address/, s);
+		}
+	});
+
+	it('finds the network reaching a device', () => {
+		const a = {}, b = {};
+		const networks = [{ hiq: a, devices: [1, 2] }, { hiq: b }];
+		assert.strictEqual(HiQnet.findNetwork(networks, 2), a);
+		assert.strictEqual(HiQnet.findNetwork(networks, 3), b);
+		assert.strictEqual(HiQnet.findNetwork(networks.slice(0, 1), 3), null);
+	});
+});
@@ -0,0 +1,103 @@
+/**
+ * HiQnet device control library - discovery tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+function waitFor(emitter, event)
+{
+	return new Promise(resolve => emitter.once(event, resolve));
+}
+
+describe('Discovery', () => {
+	let sim, disco;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 5,
+			serial: 'Amp in rack 2',
+			keepAlivePeriod: 100,
+			maxMessageLen: 4096,
+		});
+		const port = await sim.listenUDP();
+		disco = new HiQnet.Discovery({
+			host: '127.0.0.1',
+			port: port,
+			bindAddress: '127.0.0.1',
+			bindPort: 0,
+			deviceId: 0xFFF0,
+		});
+	});
+
+	afterEach(() => {
+		disco.close();
+		sim.close();
+	});
+
+	it('finds devices', async () => {
+		const devices = await disco.discover({ timeout: 100 });
+		assert.strictEqual(devices.length, 1);
+		assert.strictEqual(devices[0].device, 5);
+		assert.strictEqual(Buffer.from(devices[0].serial).toString().replace(/\0+$/, ''), 'Amp in rack 2');
+		assert.strictEqual(devices[0].maxMessageLen, 4096);
+		assert.strictEqual(devices[0].keepAlivePeriod, 100);
+		assert.strictEqual(devices[0].ip, '127.0.0.1');
+		// Without start() the socket is only open while discovering.
+		assert.strictEqual(disco.listening, false);
+	});
+
+	it('finds nothing when nobody answers', async () => {
+		sim.setFaults({ drop: 1 });
+		assert.deepStrictEqual(await disco.discover({ timeout: 50 }), []);
+	});
+
+	it('reports devices saying hello and goodbye', async () => {
+		await disco.start();
+		const hello = waitFor(disco, 'hello');
+		await disco.discover({ timeout: 50 });
+		assert.strictEqual((await hello).device, 5);
+
+		const goodbye = waitFor(disco, 'goodbye');
+		sim.goodbye();
+		assert.strictEqual((await goodbye).device, 5);
+		assert.deepStrictEqual(disco.devices, {});
+	});
+
+	it('forgets devices after three missed keepalives', async () => {
+		await disco.start();
+		let gone = null;
+		disco.on('goodbye', record => {
+			gone = Date.now();
+			assert.strictEqual(record.device, 5);
+		});
+		const hello = waitFor(disco, 'hello');
+		await disco.discover({ timeout: 0 });
+		await hello;
+		const found = Date.now();
+		assert.strictEqual(Object.keys(disco.devices).length, 1);
+
+		// Devices are checked once a second.
+		await new Promise(resolve => setTimeout(resolve, 1200));
+		assert.ok(gone, 'Device was not forgotten');
+		assert.ok(gone - found >= 300);
+		assert.deepStrictEqual(disco.devices, {});
+	});
+});
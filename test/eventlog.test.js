@@ -0,0 +1,122 @@
+/**
+ * HiQnet device control library - event log tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+const { eventPriorities } = HiQnet;
+
+function sleep(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Event logs', () => {
+	let sim, hiq;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({ deviceId: 1 });
+		hiq = new HiQnet(sim.createTransport(), null, { timeout: 200 });
+		await hiq.transport.connect();
+	});
+
+	afterEach(() => {
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('reads the stored log', async () => {
+		sim.logEvent({
+			category: 3,
+			eventId: 0x101,
+			priority: eventPriorities.fault,
+			date: '2024-03-05',
+			time: '14:07:09',
+			text: 'Channel A thermal',
+			info: Buffer.from([1, 2]),
+		});
+		sim.logEvent({ priority: eventPriorities.information, text: 'Power on' });
+
+		const entries = await hiq.eventLogRequest(1);
+		assert.strictEqual(entries.length, 2);
+		assert.deepStrictEqual(entries[0], {
+			category: 3,
+			eventId: 0x101,
+			priority: eventPriorities.fault,
+			sequenceNumber: 1,
+			date: '2024-03-05',
+			time: '14:07:09',
+			timestamp: new Date(2024, 2, 5, 14, 7, 9),
+			text: 'Channel A thermal',
+			info: Buffer.from([1, 2]),
+		});
+		assert.strictEqual(entries[1].sequenceNumber, 2);
+		assert.strictEqual(entries[1].text, 'Power on');
+		assert.deepStrictEqual(entries[1].info, Buffer.alloc(0));
+		// Logged just now.
+		assert.ok(Math.abs(entries[1].timestamp - Date.now()) < 5000);
+	});
+
+	it('reads an empty log', async () => {
+		assert.deepStrictEqual(await hiq.eventLogRequest(1), []);
+	});
+
+	it('understands the date and time formats devices send', async () => {
+		const cases = [
+			['2024-03-05', '14:07:09', new Date(2024, 2, 5, 14, 7, 9)],
+			['2024/3/5', '4:07', new Date(2024, 2, 5, 4, 7, 0)],
+			['03/05/2024', '14:07:09', new Date(2024, 2, 5, 14, 7, 9)],
+			['2024-02-29', '23:59:59', new Date(2024, 1, 29, 23, 59, 59)],
+			['2023-02-29', '12:00:00', null],
+			['2024-13-01', '12:00:00', null],
+			['05.03.2024', '12:00:00', null],
+			['2024-03-05', '24:00:00', null],
+			['2024-03-05', '12:60', null],
+			['2024-03-05', '2pm', null],
+			['', '', null],
+		];
+		for (const [date, time] of cases) sim.logEvent({ date, time });
+
+		const entries = await hiq.eventLogRequest(1);
+		cases.forEach(([date, time, timestamp], i) => {
+			assert.deepStrictEqual(entries[i].timestamp, timestamp, `${date} ${time}`);
+		});
+	});
+
+	it('delivers new entries to subscribers', async () => {
+		const sub = await hiq.eventLogSubscribe(1, { priority: eventPriorities.warning });
+		assert.strictEqual(sim.eventLogSubscriptions.length, 1);
+		let entries = [];
+		sub.on('entry', entry => entries.push(entry.text));
+
+		sim.logEvent({ priority: eventPriorities.information, text: 'Power on' });
+		sim.logEvent({ priority: eventPriorities.warning, text: 'Clip' });
+		sim.logEvent({ priority: eventPriorities.fault, text: 'Protect' });
+		await sleep(10);
+		assert.deepStrictEqual(entries, ['Clip', 'Protect']);
+
+		await sub.unsubscribe();
+		assert.deepStrictEqual(sim.eventLogSubscriptions, []);
+		sim.logEvent({ priority: eventPriorities.fault, text: 'Thermal' });
+		await sleep(10);
+		assert.deepStrictEqual(entries, ['Clip', 'Protect']);
+	});
+});
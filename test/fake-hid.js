@@ -0,0 +1,181 @@
+/**
+ * HiQnet device control library - fake node-hid for tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const EventEmitter = require('events');
+
+const HID_REPORT_CT = 3;
+const HID_CT_ALLOC_REQ = 3;
+
+// Data bytes in each interrupt report.
+const CHUNK_LEN = 58;
+
+/**
+ * One opened device.  Answers each control report it is sent with the
+ * matching acknowledgement, and collects the interrupt reports written to it
+ * back into HiQnet messages.
+ */
+class FakeDevice extends EventEmitter
+{
+	constructor(hid, path)
+	{
+		super();
+		if (!hid.plugged || (path !== hid.path)) throw new Error(`Unable to open ${path}`);
+		this.hid = hid;
+		this.closed = false;
+		this.controls = [];
+		this.incoming = {};
+		hid.device = this;
+	}
+
+	check()
+	{
+		if (this.closed) throw new Error('Device has been closed');
+		if (!this.hid.plugged) throw new Error('Could not read from HID device');
+	}
+
+	getFeatureReport(id, len)
+	{
+		this.check();
+		return this.controls.shift() || [HID_REPORT_CT, 0, 0, 0, 0, 0, 0, 0];
+	}
+
+	sendFeatureReport(data)
+	{
+		this.check();
+		if (this.hid.failSends) throw new Error('Could not send feature report');
+		const report = Buffer.from(data);
+		const cmd = report.readUInt8(1);
+		const len = report.readUInt32LE(2);
+		const id = report.readUInt8(7);
+		this.hid.controls.push({ cmd, id });
+
+		if (this.hid.ignore) {
+			this.hid.ignore--;
+			return;
+		}
+		// Our own acknowledgements need no answer.
+		if (cmd % 2 === 0) return;
+		let drop = 0;
+		if ((cmd === HID_CT_ALLOC_REQ) && this.hid.busy) {
+			this.hid.busy--;
+			drop = 1;
+		}
+		this.queueControl(cmd + 1, len, id, drop);
+	}
+
+	/**
+	 * Have a control report ready for the next time the device is polled.
+	 */
+	queueControl(cmd, len, id, drop = 0)
+	{
+		let reply = Buffer.alloc(8);
+		reply.writeUInt8(HID_REPORT_CT, 0);
+		reply.writeUInt8(cmd, 1);
+		reply.writeUInt32LE(len, 2);
+		reply.writeUInt8(id, 6);
+		reply.writeUInt8(drop, 7);
+		this.controls.push(Array.from(reply));
+	}
+
+	write(data)
+	{
+		this.check();
+		const report = Buffer.from(data);
+		const id = report.readUInt8(1);
+		const segment = report.readUInt16LE(2);
+		const chunk = report.slice(6, 6 + report.readUInt16LE(4));
+		const msg = (segment === 0) ? chunk : Buffer.concat([this.incoming[id], chunk]);
+		this.incoming[id] = msg;
+		if ((msg.length >= 6) && (msg.readUInt32BE(2) === msg.length)) {
+			this.hid.messages.push({ id, payload: msg });
+			if (this.hid.echo) this.send(id, msg);
+		}
+	}
+
+	/**
+	 * Send a HiQnet message to the host in interrupt reports.
+	 */
+	send(id, msg)
+	{
+		for (let pos = 0, segment = 0; pos < msg.length; pos += CHUNK_LEN, segment++) {
+			const chunk = msg.slice(pos, pos + CHUNK_LEN);
+			let report = Buffer.alloc(64);
+			report.writeUInt8(2, 0);
+			report.writeUInt8(id, 1);
+			report.writeUInt16LE(segment, 2);
+			report.writeUInt16LE(chunk.length, 4);
+			chunk.copy(report, 6);
+			setImmediate(() => this.emit('data', report));
+		}
+	}
+
+	close()
+	{
+		this.closed = true;
+	}
+};
+
+/**
+ * Stand-in for the node-hid module, with a single HiQnet device plugged in.
+ *
+ * Settings that can be changed as a test goes:
+ *   busy - How many buffer requests to refuse as busy.
+ *   ignore - How many control reports to leave unanswered.
+ *   failSends - true to make every control report fail.
+ *   echo - true to send each message straight back.
+ *
+ * Everything the host sends is kept in `controls` (`{ cmd, id }` objects) and
+ * `messages` (`{ id, payload }` objects).
+ */
+class FakeHID
+{
+	constructor()
+	{
+		this.plugged = true;
+		this.path = '/dev/hidraw0';
+		this.device = null;
+
+		this.busy = 0;
+		this.ignore = 0;
+		this.failSends = false;
+		this.echo = false;
+
+		this.controls = [];
+		this.messages = [];
+
+		this.HID = FakeDevice.bind(null, this);
+	}
+
+	devices()
+	{
+		if (!this.plugged) return [];
+		return [
+			{ path: this.path, serialNumber: 'ABC123', manufacturer: 'Harman', product: 'Crown DCi' },
+			{ path: '/dev/hidraw9', manufacturer: 'Logitech', product: 'Mouse' },
+		];
+	}
+
+	unplug()
+	{
+		this.plugged = false;
+		if (this.device) this.device.emit('error', new Error('Could not read from HID device'));
+	}
+};
+
+module.exports = FakeHID;
@@ -0,0 +1,108 @@
+/**
+ * HiQnet device control library - gateway tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+const address = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+
+describe('Gateway', () => {
+	let sim, hiq, gateway, port;
+
+	async function start(allow)
+	{
+		gateway = new HiQnet.Gateway({ hiq, allow });
+		port = await gateway.listen(0, '127.0.0.1');
+	}
+
+	function request(method, path, body)
+	{
+		return fetch(`http://127.0.0.1:${port}${path}`, {
+			method: method,
+			body: (body === undefined) ? undefined : JSON.stringify(body),
+		});
+	}
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 0 },
+				},
+			},
+		});
+		hiq = new HiQnet(sim.createTransport(), null, { timeout: 500 });
+		await hiq.transport.connect();
+	});
+
+	afterEach(async () => {
+		if (gateway) await gateway.close();
+		gateway = null;
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('reads allowed parameters', async () => {
+		await start(['1/0/1.40.2/4']);
+		sim.setValue(address, 4, 1.5);
+		const res = await request('GET', '/api/1/0/1.40.2/4');
+		assert.strictEqual(res.status, 200);
+		assert.deepStrictEqual(await res.json(), { 4: 1.5 });
+		assert.strictEqual((await request('GET', '/api/1/0/1.40.2/5')).status, 403);
+	});
+
+	it('only locates with a device-wide rule', async () => {
+		const serial = sim.serial.toString('hex');
+		await start(['1/0/1.40.2/4', '1/0']);
+		assert.strictEqual((await request('POST', '/api/1/locate', { serial })).status, 403);
+		await gateway.close();
+
+		await start(['1/*/*/*']);
+		const located = new Promise(resolve => sim.once('locate', resolve));
+		assert.strictEqual((await request('POST', '/api/1/locate', { serial, time: 500 })).status, 204);
+		assert.strictEqual(await located, 500);
+	});
+
+	it('unsubscribes when the client leaves during subscribe', async () => {
+		await start(['1']);
+		const client = { send: () => {} };
+		sim.setFaults({ delay: 50 });
+		const watching = gateway.watch(client, address, 4);
+		await gateway.releaseAll(client);
+		await watching;
+		assert.deepStrictEqual(gateway.watches, {});
+		assert.strictEqual(sim.subscriptions.length, 0);
+	});
+
+	it('keeps the subscription for a client that joins during subscribe', async () => {
+		await start(['1']);
+		const a = { send: () => {} }, b = { send: () => {} };
+		sim.setFaults({ delay: 50 });
+		const watching = gateway.watch(a, address, 4);
+		await gateway.watch(b, address, 4);
+		await gateway.releaseAll(a);
+		await watching;
+		assert.strictEqual(sim.subscriptions.length, 1);
+		await gateway.releaseAll(b);
+		assert.strictEqual(sim.subscriptions.length, 0);
+	});
+});
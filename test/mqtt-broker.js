@@ -0,0 +1,220 @@
+/**
+ * HiQnet device control library - MQTT broker for tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+
+function encodeString(s)
+{
+	const data = Buffer.from(s, 'utf8');
+	let len = Buffer.alloc(2);
+	len.writeUInt16BE(data.length, 0);
+	return Buffer.concat([len, data]);
+}
+
+function encodePacket(first, parts)
+{
+	const body = Buffer.concat(parts);
+	let header = [first];
+	let len = body.length;
+	do {
+		let b = len % 128;
+		len = Math.floor(len / 128);
+		if (len > 0) b |= 0x80;
+		header.push(b);
+	} while (len > 0);
+	return Buffer.concat([Buffer.from(header), body]);
+}
+
+function topicMatches(filter, topic)
+{
+	const f = filter.split('/'), t = topic.split('/');
+	for (let i = 0; i < f.length; i++) {
+		if (f[i] === '#') return true;
+		if (i >= t.length) return false;
+		if ((f[i] !== '+') && (f[i] !== t[i])) return false;
+	}
+	return f.length === t.length;
+}
+
+/**
+ * Just enough of an MQTT 3.1.1 broker to test against: QoS 0 only, with
+ * retained messages, last wills and `+` and `#` wildcards.
+ *
+ * Emits:
+ *   publish - A message was published, by a client or as a will.  Passed the
+ *     topic, the payload as a String and the retain flag.
+ */
+class MqttBroker extends EventEmitter
+{
+	constructor()
+	{
+		super();
+		this.retained = {};
+		this.clients = new Set();
+		this.server = net.createServer(socket => this.accept(socket));
+	}
+
+	/**
+	 * @return Number, the port being listened on.
+	 */
+	listen()
+	{
+		return new Promise(resolve => {
+			this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+		});
+	}
+
+	close()
+	{
+		this.dropClients();
+		return new Promise(resolve => this.server.close(resolve));
+	}
+
+	/**
+	 * Cut off every client without a DISCONNECT, so wills are published.
+	 */
+	dropClients()
+	{
+		for (const client of this.clients) client.socket.destroy();
+	}
+
+	/**
+	 * @return Promise resolving to the payload of the next message published
+	 *   to the topic.
+	 */
+	waitFor(topic)
+	{
+		return new Promise(resolve => {
+			const check = (t, payload) => {
+				if (t !== topic) return;
+				this.removeListener('publish', check);
+				resolve(payload);
+			};
+			this.on('publish', check);
+		});
+	}
+
+	publish(topic, payload, retain)
+	{
+		payload = Buffer.from(payload);
+		if (retain) {
+			if (payload.length) this.retained[topic] = payload;
+			else delete this.retained[topic];
+		}
+		for (const client of this.clients) {
+			if (client.filters.some(f => topicMatches(f, topic))) {
+				client.socket.write(encodePacket(0x30, [encodeString(topic), payload]));
+			}
+		}
+		this.emit('publish', topic, payload.toString('utf8'), retain);
+	}
+
+	accept(socket)
+	{
+		let client = { socket: socket, filters: [], will: null };
+		let rxBuffer = Buffer.alloc(0);
+
+		socket.on('data', data => {
+			rxBuffer = Buffer.concat([rxBuffer, data]);
+			for (;;) {
+				let len = 0, mult = 1, pos = 1;
+				for (;;) {
+					if (pos >= rxBuffer.length) return;
+					const b = rxBuffer.readUInt8(pos++);
+					len += (b & 0x7F) * mult;
+					mult *= 128;
+					if (!(b & 0x80)) break;
+				}
+				if (rxBuffer.length < pos + len) return;
+				const type = rxBuffer.readUInt8(0) >> 4;
+				const flags = rxBuffer.readUInt8(0) & 0x0F;
+				const body = rxBuffer.slice(pos, pos + len);
+				rxBuffer = rxBuffer.slice(pos + len);
+				this.handlePacket(client, type, flags, body);
+			}
+		});
+		socket.on('error', () => {});
+		socket.on('close', () => {
+			this.clients.delete(client);
+			if (client.will) this.publish(client.will.topic, client.will.payload, client.will.retain);
+		});
+	}
+
+	handlePacket(client, type, flags, body)
+	{
+		let pos = 0;
+		const readString = () => {
+			const len = body.readUInt16BE(pos);
+			const s = body.slice(pos + 2, pos + 2 + len);
+			pos += 2 + len;
+			return s;
+		};
+
+		switch (type) {
+			case 1: { // CONNECT
+				readString(); // protocol name
+				pos++; // protocol level
+				const connectFlags = body.readUInt8(pos);
+				pos += 3; // flags and keepalive
+				client.id = readString().toString('utf8');
+				if (connectFlags & 0x04) {
+					client.will = {
+						topic: readString().toString('utf8'),
+						payload: readString(),
+						retain: Boolean(connectFlags & 0x20),
+					};
+				}
+				this.clients.add(client);
+				client.socket.write(Buffer.from([0x20, 2, 0, 0]));
+				break;
+			}
+
+			case 3: // PUBLISH
+				this.publish(readString().toString('utf8'), body.slice(pos), Boolean(flags & 0x01));
+				break;
+
+			case 8: { // SUBSCRIBE
+				const packetId = body.slice(0, 2);
+				pos = 2;
+				while (pos < body.length) {
+					const filter = readString().toString('utf8');
+					pos++; // QoS
+					client.filters.push(filter);
+					for (const [topic, payload] of Object.entries(this.retained)) {
+						if (!topicMatches(filter, topic)) continue;
+						client.socket.write(encodePacket(0x31, [encodeString(topic), payload]));
+					}
+				}
+				client.socket.write(encodePacket(0x90, [packetId, Buffer.from([0])]));
+				break;
+			}
+
+			case 12: // PINGREQ
+				client.socket.write(Buffer.from([0xD0, 0]));
+				break;
+
+			case 14: // DISCONNECT
+				client.will = null;
+				break;
+		}
+	}
+};
+
+module.exports = MqttBroker;
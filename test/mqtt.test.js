@@ -0,0 +1,158 @@
+/**
+ * HiQnet device control library - MQTT tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const net = require('net');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+const MqttBroker = require('./mqtt-broker.js');
+
+const address = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+
+function waitFor(emitter, event)
+{
+	return new Promise(resolve => emitter.once(event, resolve));
+}
+
+describe('MQTT client', () => {
+	let server, client;
+
+	beforeEach(async () => {
+		// Answers every CONNECT, then sends whatever the test gives it.
+		server = net.createServer(socket => {
+			socket.once('data', () => {
+				socket.write(Buffer.from([0x20, 2, 0, 0]));
+				server.emit('client', socket);
+			});
+			socket.on('error', () => {});
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		client = new HiQnet.MqttBridge.Client(`mqtt://127.0.0.1:${server.address().port}`, {
+			reconnectPeriod: 10,
+		});
+	});
+
+	afterEach(async () => {
+		client.end();
+		await new Promise(resolve => server.close(resolve));
+	});
+
+	it('receives messages', async () => {
+		const connected = waitFor(server, 'client');
+		await client.connect();
+		const socket = await connected;
+		const message = new Promise(resolve => client.once('message', (...args) => resolve(args)));
+		socket.write(Buffer.from([0x30, 6, 0, 1, 0x61, 0x68, 0x69, 0x21]));
+		assert.deepStrictEqual(await message, ['a', Buffer.from('hi!')]);
+		socket.destroy();
+	});
+
+	for (const [name, packet] of [
+		['an empty publish', [0x30, 0]],
+		['a topic past the end', [0x30, 3, 0, 10, 0x61]],
+		['a missing packet ID', [0x32, 4, 0, 1, 0x61, 0]],
+		['QoS 3', [0x36, 3, 0, 1, 0x61]],
+	]) {
+		it(`resets the connection on ${name}`, async () => {
+			let connected = waitFor(server, 'client');
+			await client.connect();
+			const socket = await connected;
+			client.on('message', () => assert.fail('Malformed message was passed on'));
+			connected = waitFor(server, 'client');
+			const closed = waitFor(client, 'close');
+			socket.write(Buffer.from(packet));
+			await closed;
+			// And reconnects as usual.
+			(await connected).destroy();
+		});
+	}
+
+	it('keeps its handshake off the public events', async () => {
+		const connecting = client.connect();
+		client.emit('connack', 5);
+		await connecting;
+		assert.strictEqual(client.connected, true);
+	});
+});
+
+describe('MQTT bridge', () => {
+	let sim, hiq, broker, url, bridge;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 1.5 },
+					5: { type: 'uint8', value: 0 },
+				},
+			},
+		});
+		hiq = new HiQnet(sim.createTransport(), null, { timeout: 500 });
+		await hiq.transport.connect();
+		broker = new MqttBroker();
+		url = `mqtt://127.0.0.1:${await broker.listen()}`;
+		bridge = new HiQnet.MqttBridge({
+			hiq: hiq,
+			url: url,
+			parameters: [{ address: '1/0/1.40.2', parameters: [4, 5] }],
+			interval: 0,
+		});
+	});
+
+	afterEach(async () => {
+		await bridge.close();
+		await broker.close();
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('publishes the current state', async () => {
+		await bridge.start();
+		assert.strictEqual(broker.retained['hiqnet/status'].toString(), 'online');
+		assert.strictEqual(broker.retained['hiqnet/1/status'].toString(), 'online');
+		assert.strictEqual(broker.retained['hiqnet/1/0/1.40.2/4'].toString(), '1.5');
+		assert.strictEqual(broker.retained['hiqnet/1/0/1.40.2/5'].toString(), '0');
+	});
+
+	it('publishes changes', async () => {
+		await bridge.start();
+		const published = broker.waitFor('hiqnet/1/0/1.40.2/4');
+		sim.setValue(address, 4, -6);
+		assert.strictEqual(await published, '-6');
+	});
+
+	it('sets parameters', async () => {
+		await bridge.start();
+		const changed = waitFor(sim, 'change');
+		broker.publish('hiqnet/1/0/1.40.2/5/set', '1', false);
+		await changed;
+		assert.deepStrictEqual(await hiq.multiParamGet(address, [5]), { 5: 1 });
+	});
+
+	it('publishes its will if it drops off', async () => {
+		await bridge.start();
+		const offline = broker.waitFor('hiqnet/status');
+		broker.dropClients();
+		assert.strictEqual(await offline, 'offline');
+		// Then comes back once reconnected.
+		assert.strictEqual(await broker.waitFor('hiqnet/status'), 'online');
+	});
+});
@@ -0,0 +1,144 @@
+/**
+ * HiQnet device control library - multiObjectParamSet tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+const { DeviceError } = require('../lib/error.js');
+
+const { commands, dataTypes } = HiQnet;
+
+const vdAddress = { device: 1, virtualDevice: 0 };
+const channelA = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+const channelB = { device: 1, virtualDevice: 0, object: [1, 41, 2] };
+
+function sleep(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('multiObjectParamSet', () => {
+	let sim, hiq, received;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					3: { type: 'uint8', value: 0 },
+					4: { type: 'float', value: 0 },
+				},
+				'0.1.41.2': {
+					3: { type: 'uint8', value: 0 },
+				},
+			},
+		});
+		const log = [];
+		received = log;
+		sim.on('message', msg => log.push(msg));
+		hiq = new HiQnet(sim.createTransport(), null, { timeout: 200 });
+		await hiq.transport.connect();
+	});
+
+	afterEach(() => {
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('encodes each object with its parameter list', async () => {
+		let sent = [];
+		const sendMessage = hiq.transport.sendMessage.bind(hiq.transport);
+		hiq.transport.sendMessage = frame => {
+			sent.push(frame);
+			return sendMessage(frame);
+		};
+
+		await hiq.multiObjectParamSet(vdAddress, [
+			{ object: [1, 40, 2], params: { 3: { type: 'uint8', value: 1 } } },
+		]);
+		assert.strictEqual(received.length, 1);
+		const msg = received[0];
+		assert.strictEqual(msg.header.cmd, commands.multiObjectParamSet);
+		assert.strictEqual(msg.header.flags.requestAck, true);
+		assert.deepStrictEqual(msg.header.addrDest, { device: 1, virtualDevice: 0, object: 0 });
+		assert.deepStrictEqual(sent[0].slice(msg.header.lenHeader), Buffer.from([
+			0x00, 0x01,             // object count
+			0x00, 0x01, 0x28, 0x02, // object
+			0x00, 0x01,             // parameter count
+			0x00, 0x03, 0x01, 0x01, // parameter 3, uint8, 1
+		]));
+		assert.deepStrictEqual(msg.multiObjectParamSet.objects, [{
+			object: 0x012802,
+			parameters: { 3: 1 },
+			types: { 3: dataTypes.uint8 },
+		}]);
+	});
+
+	it('sets parameters on several objects', async () => {
+		await hiq.multiObjectParamSet(vdAddress, [
+			{ object: [1, 40, 2], params: { 3: { type: 'uint8', value: 1 }, 4: { type: 'float', value: -6.5 } } },
+			{ object: [1, 41, 2], params: { 3: { type: 'uint8', value: 1 } } },
+		]);
+		assert.strictEqual(received.length, 1);
+		assert.strictEqual(sim.getValue(channelA, 3), 1);
+		assert.strictEqual(sim.getValue(channelA, 4), -6.5);
+		assert.strictEqual(sim.getValue(channelB, 3), 1);
+
+		// The types are remembered for later.
+		await hiq.multiParamSet(channelB, { 3: 0 });
+		assert.strictEqual(sim.getValue(channelB, 3), 0);
+	});
+
+	it('notifies subscribers of every object', async () => {
+		const subA = await hiq.subscribe(channelA, [3]);
+		const subB = await hiq.subscribe(channelB, [3]);
+		let changes = [];
+		subA.on('change', values => changes.push(['A', values]));
+		subB.on('change', values => changes.push(['B', values]));
+
+		await hiq.multiObjectParamSet(vdAddress, [
+			{ object: [1, 40, 2], params: { 3: { type: 'uint8', value: 1 } } },
+			{ object: [1, 41, 2], params: { 3: { type: 'uint8', value: 1 } } },
+		]);
+		await sleep(10);
+		assert.deepStrictEqual(changes, [['A', { 3: 1 }], ['B', { 3: 1 }]]);
+	});
+
+	it('changes nothing if any object is rejected', async () => {
+		for (const bad of [
+			{ object: [1, 42, 2], params: { 3: { type: 'uint8', value: 1 } } },
+			{ object: [1, 41, 2], params: { 9: { type: 'uint8', value: 1 } } },
+			{ object: [1, 41, 2], params: { 3: { type: 'uint16', value: 1 } } },
+		]) {
+			await assert.rejects(hiq.multiObjectParamSet(vdAddress, [
+				{ object: [1, 40, 2], params: { 3: { type: 'uint8', value: 1 } } },
+				bad,
+			]), DeviceError);
+		}
+		assert.strictEqual(sim.getValue(channelA, 3), 0);
+		assert.strictEqual(sim.getValue(channelB, 3), 0);
+	});
+
+	it('rejects an unknown virtual device', async () => {
+		await assert.rejects(hiq.multiObjectParamSet({ device: 1, virtualDevice: 3 }, [
+			{ object: [1, 40, 2], params: { 3: { type: 'uint8', value: 1 } } },
+		]), DeviceError);
+	});
+});
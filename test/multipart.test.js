@@ -0,0 +1,132 @@
+/**
+ * HiQnet device control library - multipart message tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+const { commands, dataTypes } = HiQnet;
+
+// Long enough to need several 64-byte parts.
+const TEXT = 'The quick brown fox jumps over the lazy dog. '.repeat(4);
+
+describe('Multipart messages', () => {
+	let sender, receiver, received;
+
+	function encode(maxMessageLen)
+	{
+		sender.setMaxMessageLen(2, maxMessageLen);
+		return sender.encodeParts({
+			cmd: commands.multiParamSet,
+			seqNum: sender.nextSeqNum(),
+			addrSource: { device: 1, virtualDevice: 0, object: [1, 40, 2] },
+			addrDest: { device: 2, virtualDevice: 0, object: [1, 40, 2] },
+			payload: HiQnet.encodeParamList({ 5: TEXT }, { 5: dataTypes.string }),
+		});
+	}
+
+	function deliver(parts)
+	{
+		for (const part of parts) receiver.transport.callback(part);
+	}
+
+	beforeEach(() => {
+		sender = new HiQnet({ sendMessage: () => Promise.resolve() }, null, { deviceId: 1 });
+		received = [];
+		receiver = new HiQnet({ sendMessage: () => Promise.resolve() }, msg => received.push(msg), {
+			deviceId: 2,
+		});
+	});
+
+	it('sends small messages whole', () => {
+		const parts = encode(0x10000);
+		assert.strictEqual(parts.length, 1);
+		assert.strictEqual(receiver.decodeHeader(parts[0]).flags.multipart, undefined);
+	});
+
+	it('splits messages at the maximum length', () => {
+		const parts = encode(64);
+		assert.ok(parts.length > 3);
+		let total = 0;
+		parts.forEach((part, i) => {
+			assert.ok(part.length <= 64);
+			const header = receiver.decodeHeader(part);
+			assert.strictEqual(header.flags.multipart, true);
+			assert.strictEqual(header.multipart.startSeqNum, receiver.decodeHeader(parts[0]).seqNum);
+			total += part.length - header.lenHeader;
+			if (i < parts.length - 1) assert.strictEqual(part.length, 64);
+		});
+		assert.strictEqual(receiver.decodeHeader(parts[parts.length - 1]).multipart.bytesRemaining, 0);
+		assert.strictEqual(total, HiQnet.encodeParamList({ 5: TEXT }, { 5: dataTypes.string }).length);
+	});
+
+	it('refuses a maximum length too small to split into', () => {
+		assert.throws(() => encode(0x19 + 6), /too small/);
+	});
+
+	it('reassembles the parts', () => {
+		deliver(encode(64));
+		assert.strictEqual(received.length, 1);
+		assert.strictEqual(received[0].header.flags.multipart, undefined);
+		assert.strictEqual(received[0].multiParamSet.parameters[5], TEXT);
+		assert.deepStrictEqual(receiver.multipartMessages, {});
+	});
+
+	it('ignores repeated parts', () => {
+		const parts = encode(64);
+		deliver([parts[0], parts[1], parts[1], ...parts.slice(2)]);
+		assert.strictEqual(received.length, 1);
+		assert.strictEqual(received[0].multiParamSet.parameters[5], TEXT);
+	});
+
+	it('drops messages with parts out of order', () => {
+		const parts = encode(64);
+		deliver([parts[0], parts[2], parts[1], ...parts.slice(3)]);
+		assert.deepStrictEqual(received, []);
+		assert.deepStrictEqual(receiver.multipartMessages, {});
+	});
+
+	it('drops messages with a part missing', () => {
+		const parts = encode(64);
+		deliver([...parts.slice(0, 2), ...parts.slice(3)]);
+		assert.deepStrictEqual(received, []);
+		assert.deepStrictEqual(receiver.multipartMessages, {});
+	});
+
+	it('ignores parts without their first part', () => {
+		const parts = encode(64);
+		deliver(parts.slice(1));
+		assert.deepStrictEqual(received, []);
+		assert.deepStrictEqual(receiver.multipartMessages, {});
+	});
+
+	it('ignores parts with a mismatched start', () => {
+		const parts = encode(64);
+		const other = encode(64).map(part => Buffer.from(part));
+		// Claim a start that was never received.
+		const startSeqNum = receiver.decodeHeader(other[0]).seqNum + 1000;
+		for (const part of other.slice(1)) part.writeUInt16BE(startSeqNum, 0x19);
+
+		deliver([parts[0], ...other.slice(1), ...parts.slice(1)]);
+		assert.strictEqual(received.length, 1);
+		assert.strictEqual(received[0].multiParamSet.parameters[5], TEXT);
+		assert.deepStrictEqual(receiver.multipartMessages, {});
+	});
+});
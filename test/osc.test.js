@@ -0,0 +1,316 @@
+/**
+ * HiQnet device control library - OSC server tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const dgram = require('dgram');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+const { HiQnetSubscription } = require('../lib/subscription.js');
+
+const { OscServer } = HiQnet;
+
+const address = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+
+function sleep(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wrap OSC messages in a bundle.
+ */
+function bundle(...elements)
+{
+	let parts = [Buffer.from('#bundle\0'), Buffer.alloc(8)];
+	for (const e of elements) {
+		let len = Buffer.alloc(4);
+		len.writeInt32BE(e.length, 0);
+		parts.push(len, e);
+	}
+	return Buffer.concat(parts);
+}
+
+describe('OSC codec', () => {
+
+	it('round-trips every argument type', () => {
+		const data = OscServer.encodeMessage('/amp/1/gain', [
+			{ type: 'i', value: -5 },
+			{ type: 'f', value: 0.5 },
+			{ type: 'd', value: -6.25 },
+			{ type: 'h', value: 2n ** 40n },
+			{ type: 's', value: 'Lobby' },
+			{ type: 'b', value: Buffer.from([1, 2, 3, 4, 5]) },
+		]);
+		assert.strictEqual(data.length % 4, 0);
+		assert.deepStrictEqual(OscServer.decodePacket(data), [{
+			address: '/amp/1/gain',
+			args: [-5, 0.5, -6.25, 2n ** 40n, 'Lobby', Buffer.from([1, 2, 3, 4, 5])],
+		}]);
+	});
+
+	it('pads strings and blobs to four bytes', () => {
+		assert.deepStrictEqual(OscServer.encodeMessage('/abc', []), Buffer.from('/abc\0\0\0\0,\0\0\0'));
+		assert.deepStrictEqual(
+			OscServer.encodeMessage('/a', [{ type: 'b', value: Buffer.from([9]) }]),
+			Buffer.from([
+				0x2F, 0x61, 0, 0,
+				0x2C, 0x62, 0, 0,
+				0, 0, 0, 1,
+				9, 0, 0, 0,
+			])
+		);
+	});
+
+	it('decodes arguments without data', () => {
+		const data = Buffer.from('/a\0\0,TFNI\0\0\0');
+		assert.deepStrictEqual(OscServer.decodePacket(data), [{
+			address: '/a',
+			args: [true, false, null, Infinity],
+		}]);
+	});
+
+	it('decodes messages without type tags', () => {
+		assert.deepStrictEqual(OscServer.decodePacket(Buffer.from('/a\0\0')), [{ address: '/a', args: [] }]);
+	});
+
+	it('flattens bundles', () => {
+		const a = OscServer.encodeMessage('/a', [{ type: 'i', value: 1 }]);
+		const b = OscServer.encodeMessage('/b', [{ type: 'i', value: 2 }]);
+		const c = OscServer.encodeMessage('/c', []);
+		assert.deepStrictEqual(OscServer.decodePacket(bundle(a, bundle(b, c))), [
+			{ address: '/a', args: [1] },
+			{ address: '/b', args: [2] },
+			{ address: '/c', args: [] },
+		]);
+		assert.deepStrictEqual(OscServer.decodePacket(bundle()), []);
+	});
+
+	it('rejects truncated packets', () => {
+		const message = OscServer.encodeMessage('/amp/1/gain', [
+			{ type: 'i', value: 1 },
+			{ type: 's', value: 'Lobby' },
+			{ type: 'b', value: Buffer.from([1, 2, 3, 4]) },
+		]);
+		// Anything cut off after the type tags has lost some argument data.
+		const tagsEnd = OscServer.encodeMessage('/amp/1/gain', []).length + 4;
+		for (let len = tagsEnd; len < message.length; len++) {
+			assert.throws(() => OscServer.decodePacket(message.slice(0, len)), /truncated|not terminated/,
+				`length ${len}`);
+		}
+
+		const full = bundle(message);
+		for (const len of [10, 18, 20, full.length - 1]) {
+			assert.throws(() => OscServer.decodePacket(full.slice(0, len)), Error, `length ${len}`);
+		}
+	});
+
+	it('rejects malformed packets', () => {
+		assert.throws(() => OscServer.decodePacket(Buffer.from('amp\0')), /Invalid OSC address/);
+		assert.throws(() => OscServer.decodePacket(Buffer.from('/a\0\0ii\0\0')), /type tags are missing/);
+		assert.throws(() => OscServer.decodePacket(Buffer.from('/a\0\0,x\0\0')), /Unsupported OSC type: x/);
+		assert.throws(() => OscServer.decodePacket(bundle(Buffer.from('/a\0'))), /bundle element length 3/);
+	});
+});
+
+describe('OSC address patterns', () => {
+
+	function matches(pattern, address)
+	{
+		return OscServer.patternToRegExp(pattern).test(address);
+	}
+
+	it('matches single characters with ?', () => {
+		assert.ok(matches('/amp/?/gain', '/amp/1/gain'));
+		assert.ok(!matches('/amp/?/gain', '/amp/12/gain'));
+		assert.ok(!matches('/amp?1/gain', '/amp/1/gain'));
+	});
+
+	it('matches any run of characters with *, within one part', () => {
+		assert.ok(matches('/amp/*/gain', '/amp/12/gain'));
+		assert.ok(matches('/amp/*/gain', '/amp//gain'));
+		assert.ok(matches('/amp/1*', '/amp/12'));
+		assert.ok(!matches('/amp/*', '/amp/1/gain'));
+	});
+
+	it('matches character sets and ranges', () => {
+		assert.ok(matches('/amp/[12]/gain', '/amp/2/gain'));
+		assert.ok(matches('/amp/[1-3]/gain', '/amp/3/gain'));
+		assert.ok(!matches('/amp/[1-3]/gain', '/amp/4/gain'));
+		assert.ok(matches('/amp/[!1-3]/gain', '/amp/4/gain'));
+		assert.ok(!matches('/amp/[!1-3]/gain', '/amp/2/gain'));
+	});
+
+	it('matches alternatives', () => {
+		assert.ok(matches('/amp/1/{gain,mute}', '/amp/1/mute'));
+		assert.ok(!matches('/amp/1/{gain,mute}', '/amp/1/polarity'));
+	});
+
+	it('matches everything else literally', () => {
+		assert.ok(matches('/amp.1/(gain)+', '/amp.1/(gain)+'));
+		assert.ok(!matches('/amp.1/gain', '/ampX1/gain'));
+		assert.ok(!matches('/amp/1/gain', '/amp/1/gain/extra'));
+	});
+
+	it('rejects unterminated sets and alternatives', () => {
+		assert.throws(() => OscServer.patternToRegExp('/amp/[12'), /Invalid OSC address pattern/);
+		assert.throws(() => OscServer.patternToRegExp('/amp/{1,2'), /Invalid OSC address pattern/);
+	});
+});
+
+describe('OSC server', () => {
+	let sim, osc, clients;
+
+	/**
+	 * Open a socket to send OSC from, collecting everything sent back.
+	 */
+	async function createClient()
+	{
+		const socket = dgram.createSocket('udp4');
+		socket.received = [];
+		socket.on('message', data => socket.received.push(...OscServer.decodePacket(data)));
+		await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+		clients.push(socket);
+		return socket;
+	}
+
+	function send(socket, address, args = [])
+	{
+		socket.send(OscServer.encodeMessage(address, args), osc.address().port, '127.0.0.1');
+	}
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: -35 },
+					5: { type: 'uint8', value: 0 },
+				},
+				'0.1.41.2': {
+					5: { type: 'uint8', value: 0 },
+				},
+			},
+		});
+		clients = [];
+		osc = new OscServer({
+			transport: sim.createTransport(),
+			port: 0,
+			bindAddress: '127.0.0.1',
+			timeout: 200,
+			mappings: [
+				{ osc: '/amp/1/gain', address: '1/0/1.40.2', parameter: 4, range: [-80, 10] },
+				{ osc: '/amp/1/mute', address: '1/0/1.40.2', parameter: 5 },
+				{ osc: '/amp/2/mute', address: '1/0/1.41.2', parameter: 5 },
+			],
+		});
+		await osc.start();
+	});
+
+	afterEach(async () => {
+		for (const socket of clients) socket.close();
+		await osc.close();
+		sim.close();
+	});
+
+	it('subscribes to every mapped object', () => {
+		assert.strictEqual(osc.subscriptions.length, 2);
+		assert.ok(osc.subscriptions.every(sub => sub instanceof HiQnetSubscription));
+		assert.strictEqual(sim.subscriptions.length, 3);
+	});
+
+	it('sets parameters and feeds back to other clients only', async () => {
+		const a = await createClient();
+		const b = await createClient();
+		// Introduce b to the server.
+		send(b, '/amp/2/mute');
+		await sleep(50);
+		b.received = [];
+
+		send(a, '/amp/1/mute', [{ type: 'i', value: 1 }]);
+		send(a, '/amp/1/gain', [{ type: 'f', value: 0.5 }]);
+		await sleep(50);
+		assert.strictEqual(sim.getValue(address, 5), 1);
+		assert.strictEqual(sim.getValue(address, 4), -35);
+		assert.deepStrictEqual(a.received, []);
+		assert.deepStrictEqual(b.received, [
+			{ address: '/amp/1/mute', args: [1] },
+			{ address: '/amp/1/gain', args: [0.5] },
+		]);
+	});
+
+	it('answers queries with the current value', async () => {
+		const a = await createClient();
+		send(a, '/amp/1/gain');
+		send(a, '/amp/1/mute');
+		await sleep(50);
+		assert.deepStrictEqual(a.received, [
+			{ address: '/amp/1/gain', args: [0.5] },
+			{ address: '/amp/1/mute', args: [0] },
+		]);
+	});
+
+	it('sets every parameter matching a wildcard', async () => {
+		const a = await createClient();
+		a.send(Buffer.from('/amp/*/mute\0,T\0\0'), osc.address().port, '127.0.0.1');
+		await sleep(50);
+		assert.strictEqual(sim.getValue(address, 5), 1);
+		assert.strictEqual(sim.getValue({ virtualDevice: 0, object: [1, 41, 2] }, 5), 1);
+	});
+
+	it('sends changes made on the device to every client', async () => {
+		const a = await createClient();
+		const b = await createClient();
+		send(a, '/amp/1/mute');
+		send(b, '/amp/1/mute');
+		await sleep(50);
+		a.received = [];
+		b.received = [];
+
+		sim.setValue(address, 4, 10);
+		await sleep(50);
+		assert.deepStrictEqual(a.received, [{ address: '/amp/1/gain', args: [1] }]);
+		assert.deepStrictEqual(b.received, [{ address: '/amp/1/gain', args: [1] }]);
+	});
+
+	it('reports bad packets', async () => {
+		const a = await createClient();
+		const errors = [];
+		osc.on('error', err => errors.push(err.message));
+		a.send(Buffer.from('nonsense\0\0\0\0'), osc.address().port, '127.0.0.1');
+		send(a, '/amp/1/mute', [{ type: 's', value: 'on' }]);
+		await sleep(50);
+		assert.deepStrictEqual(errors, ['Invalid OSC address "nonsense"', '/amp/1/mute needs a number, not string']);
+		assert.strictEqual(sim.getValue(address, 5), 0);
+	});
+
+	it('subscribes again when the transport reconnects', async () => {
+		osc.transport.close();
+		assert.deepStrictEqual(sim.subscriptions, []);
+		await osc.transport.connect();
+		await sleep(50);
+		assert.strictEqual(sim.subscriptions.length, 3);
+	});
+
+	it('unsubscribes when closed', async () => {
+		await osc.close();
+		assert.deepStrictEqual(sim.subscriptions, []);
+		assert.strictEqual(osc.address(), null);
+	});
+});
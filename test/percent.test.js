@@ -0,0 +1,150 @@
+/**
+ * HiQnet device control library - percentage tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+const { DeviceError } = require('../lib/error.js');
+
+const { commands } = HiQnet;
+
+const address = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+
+function sleep(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Percentages', () => {
+	let sim, hiq;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 0, min: -100, max: 20 },
+					5: { type: 'uint8', value: 0, min: 0, max: 10 },
+					6: { type: 'string', value: 'Lobby' },
+				},
+			},
+		});
+		hiq = new HiQnet(sim.createTransport(), null, { timeout: 200 });
+		await hiq.transport.connect();
+	});
+
+	afterEach(() => {
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('encodes fractions as 1.15 fixed point', () => {
+		const payload = HiQnet.encodePercentList({ 1: 0, 2: 1, 3: 0.5, 4: 0.25, 5: -0.5, 6: 1.5 });
+		assert.deepStrictEqual(payload, Buffer.from([
+			0x00, 0x06,
+			0x00, 0x01, 0x00, 0x00,
+			0x00, 0x02, 0x80, 0x00,
+			0x00, 0x03, 0x40, 0x00,
+			0x00, 0x04, 0x20, 0x00,
+			// Out of range values are clamped.
+			0x00, 0x05, 0x00, 0x00,
+			0x00, 0x06, 0x80, 0x00,
+		]));
+	});
+
+	it('decodes 1.15 fixed point into fractions', () => {
+		const frame = hiq.encode({
+			cmd: commands.paramSetPercent,
+			seqNum: 1,
+			addrSource: { device: 1, virtualDevice: 0, object: [1, 40, 2] },
+			addrDest: { device: hiq.deviceId, virtualDevice: 0, object: [0, 0, 0] },
+			payload: Buffer.from([
+				0x00, 0x04,
+				0x00, 0x01, 0x00, 0x00,
+				0x00, 0x02, 0x80, 0x00,
+				0x00, 0x03, 0x60, 0x00,
+				0x00, 0x04, 0x00, 0x01,
+			]),
+		});
+		const header = hiq.decodeHeader(frame);
+		const msg = hiq.decode(header, frame.slice(header.lenHeader));
+		assert.deepStrictEqual(msg.paramSetPercent.parameters, {
+			1: 0,
+			2: 1,
+			3: 0.75,
+			4: 1 / 0x8000,
+		});
+	});
+
+	it('sets parameters within their range', async () => {
+		await hiq.paramSetPercent(address, { 4: 0, 5: 1 });
+		assert.strictEqual(sim.getValue(address, 4), -100);
+		assert.strictEqual(sim.getValue(address, 5), 10);
+
+		await hiq.paramSetPercent(address, { 4: 1, 5: 0 });
+		assert.strictEqual(sim.getValue(address, 4), 20);
+		assert.strictEqual(sim.getValue(address, 5), 0);
+
+		await hiq.paramSetPercent(address, { 4: 0.5, 5: 0.26 });
+		assert.strictEqual(sim.getValue(address, 4), -40);
+		// Integers are rounded.
+		assert.strictEqual(sim.getValue(address, 5), 3);
+	});
+
+	it('rejects parameters without a range', async () => {
+		await assert.rejects(hiq.paramSetPercent(address, { 6: 0.5 }), DeviceError);
+		await assert.rejects(hiq.paramSetPercent(address, { 7: 0.5 }), DeviceError);
+		assert.strictEqual(sim.getValue(address, 6), 'Lobby');
+	});
+
+	it('delivers changes as fractions', async () => {
+		const sub = await hiq.paramSubscribePercent(address, [4, 5]);
+		let changes = [];
+		sub.on('change', values => changes.push(values));
+
+		sim.setValue(address, 4, -100);
+		sim.setValue(address, 4, 20);
+		sim.setValue(address, 4, -70);
+		sim.setValue(address, 5, 5);
+		await sleep(10);
+		assert.deepStrictEqual(changes, [{ 4: 0 }, { 4: 1 }, { 4: 0.25 }, { 5: 0.5 }]);
+
+		await sub.unsubscribe();
+	});
+
+	it('keeps percentage and plain subscriptions apart', async () => {
+		const percent = await hiq.paramSubscribePercent(address, [4]);
+		const plain = await hiq.subscribe({ device: 1, virtualDevice: 0, object: [1, 40, 2] }, [5]);
+		let percentChanges = [], plainChanges = [];
+		percent.on('change', values => percentChanges.push(values));
+		plain.on('change', values => plainChanges.push(values));
+
+		sim.setValue(address, 4, 20);
+		sim.setValue(address, 5, 7);
+		await sleep(10);
+		assert.deepStrictEqual(percentChanges, [{ 4: 1 }]);
+		assert.deepStrictEqual(plainChanges, [{ 5: 7 }]);
+	});
+
+	it('refuses to subscribe to parameters without a range', async () => {
+		await assert.rejects(hiq.paramSubscribePercent(address, [6]), DeviceError);
+		assert.deepStrictEqual(sim.subscriptions, []);
+	});
+});
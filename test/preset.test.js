@@ -0,0 +1,148 @@
+/**
+ * HiQnet device control library - store and recall tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+const { DeviceError } = require('../lib/error.js');
+
+const { commands, storeScopes } = HiQnet;
+
+const device = { device: 1, virtualDevice: 0, object: [0, 0, 0] };
+const address = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+
+function sleep(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Store and recall', () => {
+	let sim, hiq, sent, received;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 0 },
+					5: { type: 'string', value: 'Lobby' },
+				},
+			},
+		});
+		const log = [];
+		received = log;
+		sim.on('message', msg => log.push(msg));
+		hiq = new HiQnet(sim.createTransport(), null, { timeout: 200 });
+		await hiq.transport.connect();
+
+		sent = [];
+		const sendMessage = hiq.transport.sendMessage.bind(hiq.transport);
+		hiq.transport.sendMessage = frame => {
+			sent.push(frame);
+			return sendMessage(frame);
+		};
+	});
+
+	afterEach(() => {
+		hiq.transport.close();
+		sim.close();
+	});
+
+	function payload(i)
+	{
+		return sent[i].slice(received[i].header.lenHeader);
+	}
+
+	it('encodes the scope, slot and name', async () => {
+		await hiq.store(device, { scope: 'venue', slot: 0x0103, name: 'Hi' });
+		assert.strictEqual(received[0].header.cmd, commands.store);
+		assert.strictEqual(received[0].header.flags.requestAck, true);
+		assert.deepStrictEqual(payload(0), Buffer.from([
+			storeScopes.venue,
+			0x01, 0x03,             // slot
+			0x00, 0x06,             // string length in bytes
+			0x00, 0x48, 0x00, 0x69, // 'Hi' in UTF-16BE
+			0x00, 0x00,             // terminator
+		]));
+		assert.deepStrictEqual(received[0].store, { scope: storeScopes.venue, slot: 0x0103, name: 'Hi' });
+
+		await hiq.recall(device, { scope: storeScopes.venue, slot: 0x0103 });
+		assert.strictEqual(received[1].header.cmd, commands.recall);
+		assert.deepStrictEqual(payload(1), Buffer.from([
+			storeScopes.venue,
+			0x01, 0x03,
+			0x00, 0x02, 0x00, 0x00, // empty workgroup path
+		]));
+		assert.deepStrictEqual(received[1].recall, { scope: storeScopes.venue, slot: 0x0103, workgroupPath: '' });
+	});
+
+	it('passes numeric scopes through', async () => {
+		await hiq.store(device, { scope: 0x42, slot: 1 });
+		assert.strictEqual(received[0].store.scope, 0x42);
+		assert.strictEqual(received[0].store.name, '');
+	});
+
+	it('refuses unknown scope names without sending anything', async () => {
+		await assert.rejects(hiq.store(device, { scope: 'everything', slot: 1 }), /Unknown scope: everything/);
+		await assert.rejects(hiq.recall(device, { scope: 'everything', slot: 1 }), /Unknown scope: everything/);
+		assert.deepStrictEqual(sent, []);
+	});
+
+	it('restores stored values', async () => {
+		await hiq.store(device, { scope: 'parameters', slot: 3, name: 'Wedding' });
+		assert.strictEqual(sim.presets[`${storeScopes.parameters}/3`].name, 'Wedding');
+
+		const sub = await hiq.subscribe(address, [4, 5]);
+		let changes = [];
+		sub.on('change', values => changes.push(values));
+
+		sim.setValue(address, 4, -20);
+		sim.setValue(address, 5, 'Foyer');
+		await hiq.recall(device, { scope: 'parameters', slot: 3 });
+		await sleep(10);
+		assert.strictEqual(sim.getValue(address, 4), 0);
+		assert.strictEqual(sim.getValue(address, 5), 'Lobby');
+		assert.deepStrictEqual(changes, [{ 4: -20 }, { 5: 'Foyer' }, { 4: 0 }, { 5: 'Lobby' }]);
+	});
+
+	it('keeps slots and scopes apart', async () => {
+		await hiq.store(device, { scope: 'parameters', slot: 1 });
+		sim.setValue(address, 4, -20);
+		await hiq.store(device, { scope: 'parameters', slot: 2 });
+		await hiq.store(device, { scope: 'venue', slot: 1 });
+
+		await hiq.recall(device, { scope: 'parameters', slot: 1 });
+		assert.strictEqual(sim.getValue(address, 4), 0);
+		await hiq.recall(device, { scope: 'venue', slot: 1 });
+		assert.strictEqual(sim.getValue(address, 4), -20);
+	});
+
+	it('rejects recalling an empty slot', async () => {
+		await assert.rejects(hiq.recall(device, { scope: 'parameters', slot: 9 }), DeviceError);
+	});
+
+	it('rejects a store the device refuses', async () => {
+		sim.setFaults({ errors: { store: HiQnet.errorCodes.flashError } });
+		await assert.rejects(hiq.store(device, { scope: 'parameters', slot: 1 }), err => (
+			(err instanceof DeviceError) && (err.code === HiQnet.errorCodes.flashError)
+		));
+		assert.deepStrictEqual(sim.presets, {});
+	});
+});
@@ -0,0 +1,225 @@
+/**
+ * HiQnet device control library - request tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+const { TimeoutError } = require('../lib/error.js');
+
+const address = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+
+function sleep(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Requests', () => {
+	let sim, hiq, unsolicited;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 0 },
+				},
+			},
+		});
+		unsolicited = [];
+		hiq = new HiQnet(sim.createTransport(), msg => unsolicited.push(msg), { timeout: 500 });
+		await hiq.transport.connect();
+	});
+
+	afterEach(() => {
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('drops replies that arrive after a timeout', async () => {
+		sim.setFaults({ delay: 100 });
+		await assert.rejects(
+			hiq.multiParamGet(address, [4], { timeout: 20 }),
+			TimeoutError
+		);
+		await sleep(200);
+		assert.deepStrictEqual(unsolicited, []);
+	});
+
+	it('drops replies that arrive after an abort', async () => {
+		sim.setFaults({ delay: 100 });
+		const controller = new AbortController();
+		const request = hiq.multiParamGet(address, [4], { signal: controller.signal });
+		setTimeout(() => controller.abort(), 20);
+		await assert.rejects(request, { name: 'AbortError' });
+		await sleep(200);
+		assert.deepStrictEqual(unsolicited, []);
+	});
+
+	it('stops retrying once answered, even mid-send', async () => {
+		// A slow link, where the reply arrives before sending has finished.
+		const sendMessage = hiq.transport.sendMessage.bind(hiq.transport);
+		hiq.transport.sendMessage = async payload => {
+			await sendMessage(payload);
+			await sleep(50);
+		};
+		let received = 0;
+		sim.on('message', () => received++);
+
+		await hiq.multiParamGet(address, [4], { guaranteed: true });
+		await sleep(hiq.retryDelay * 3);
+		assert.strictEqual(received, 1);
+		assert.deepStrictEqual(unsolicited, []);
+	});
+
+	it('gives up once the retries run out', async () => {
+		hiq.retries = 2;
+		hiq.retryDelay = 10;
+		sim.setFaults({ drop: () => true });
+		let received = 0;
+		sim.on('message', () => received++);
+
+		await assert.rejects(
+			hiq.multiParamGet(address, [4], { guaranteed: true }),
+			err => (err instanceof TimeoutError) && /after 3 attempts/.test(err.message)
+		);
+		assert.strictEqual(received, 3);
+	});
+
+	it('drops the reply to a request whose retransmission failed', async () => {
+		hiq.retryDelay = 10;
+		sim.setFaults({ delay: 100 });
+		const sendMessage = hiq.transport.sendMessage.bind(hiq.transport);
+		let sends = 0;
+		hiq.transport.sendMessage = async payload => {
+			if (++sends > 1) throw new Error('Link down');
+			await sendMessage(payload);
+		};
+
+		await assert.rejects(hiq.multiParamGet(address, [4], { guaranteed: true }), /Link down/);
+		await sleep(200);
+		assert.deepStrictEqual(unsolicited, []);
+	});
+
+	it('remembers the data types it has read', async () => {
+		assert.strictEqual(hiq.getParamType(address, 4), undefined);
+		await hiq.multiParamGet(address, [4]);
+		assert.strictEqual(hiq.getParamType(address, 4), HiQnet.dataTypes.float);
+		assert.strictEqual(hiq.getParamType(address, 5), undefined);
+	});
+});
+
+describe('Reply matching', () => {
+	const { commands, dataTypes, flags } = HiQnet;
+	let hiq, device, sent, unsolicited;
+
+	beforeEach(() => {
+		sent = [];
+		unsolicited = [];
+		hiq = new HiQnet({ sendMessage: async frame => { sent.push(frame); } },
+			msg => unsolicited.push(msg), { timeout: 500 });
+		// Only used to encode replies.
+		device = new HiQnet({ sendMessage: async () => {} }, null, { deviceId: 1 });
+	});
+
+	/**
+	 * Encode a reply to the last request sent.
+	 */
+	function reply(source, value)
+	{
+		const header = hiq.decodeHeader(sent[sent.length - 1]);
+		return device.encode({
+			cmd: header.cmd,
+			flags: flags.info,
+			seqNum: header.seqNum,
+			addrSource: source,
+			addrDest: { device: hiq.deviceId, virtualDevice: 0, object: [0, 0, 0] },
+			payload: HiQnet.encodeParamList({ 4: value }, { 4: dataTypes.float }),
+		});
+	}
+
+	/**
+	 * Encode an ack of the last request sent.
+	 */
+	function ack(source)
+	{
+		const header = hiq.decodeHeader(sent[sent.length - 1]);
+		return device.encode({
+			cmd: header.cmd,
+			flags: flags.ack,
+			seqNum: header.seqNum,
+			addrSource: source,
+			addrDest: { device: hiq.deviceId, virtualDevice: 0, object: [0, 0, 0] },
+		});
+	}
+
+	it('ignores replies from another object in the same device', async () => {
+		const request = hiq.multiParamGet(address, [4]);
+		hiq.recv(reply({ device: 1, virtualDevice: 0, object: [1, 40, 3] }, 1));
+		hiq.recv(reply({ device: 1, virtualDevice: 1, object: [1, 40, 2] }, 2));
+		hiq.recv(reply(address, 3));
+		assert.deepStrictEqual(await request, { 4: 3 });
+		assert.strictEqual(unsolicited.length, 2);
+	});
+
+	it('matches broadcast replies on the virtual device and object', async () => {
+		const request = hiq.send({
+			cmd: commands.multiParamGet,
+			addrSource: { device: hiq.deviceId, virtualDevice: 0, object: [0, 0, 0] },
+			addrDest: { device: 0xFFFF, virtualDevice: 0, object: [1, 40, 2] },
+			payload: Buffer.from([0, 1, 0, 4]),
+		});
+		hiq.recv(reply({ device: 7, virtualDevice: 0, object: [1, 40, 3] }, 1));
+		hiq.recv(reply({ device: 7, virtualDevice: 0, object: [1, 40, 2] }, 2));
+		const r = await request;
+		assert.strictEqual(r.header.addrSource.device, 7);
+		assert.deepStrictEqual(r.multiParamGet.parameters, { 4: 2 });
+		assert.strictEqual(unsolicited.length, 1);
+	});
+
+	it('keeps waiting for the reply after a lone ack', async () => {
+		hiq.retryDelay = 10;
+		const request = hiq.multiParamGet(address, [4], { guaranteed: true });
+		hiq.recv(ack(address));
+		await sleep(50);
+		// The ack stops the retries, but the values are still to come.
+		assert.strictEqual(sent.length, 1);
+		hiq.recv(reply(address, 1));
+		assert.deepStrictEqual(await request, { 4: 1 });
+	});
+
+	it('ignores acks nothing is waiting for', () => {
+		hiq.recv(device.encode({
+			cmd: commands.multiParamSet,
+			flags: flags.ack,
+			seqNum: 42,
+			addrSource: address,
+			addrDest: { device: hiq.deviceId, virtualDevice: 0, object: [0, 0, 0] },
+		}));
+		assert.deepStrictEqual(unsolicited, []);
+	});
+
+	it('only drops late replies from the address that timed out', async () => {
+		await assert.rejects(hiq.multiParamGet(address, [4], { timeout: 10 }), TimeoutError);
+		hiq.recv(reply(address, 1));
+		assert.strictEqual(unsolicited.length, 0);
+		hiq.recv(reply({ device: 1, virtualDevice: 0, object: [1, 40, 3] }, 2));
+		assert.strictEqual(unsolicited.length, 1);
+	});
+});
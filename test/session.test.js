@@ -0,0 +1,135 @@
+/**
+ * HiQnet device control library - session tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { once } = require('events');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+const { commands } = HiQnet;
+
+function sleep(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Sessions', () => {
+	let sim, hiq, received;
+
+	function count(cmd)
+	{
+		return received.filter(msg => msg.header.cmd === cmd).length;
+	}
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({ deviceId: 1, keepAlivePeriod: 40 });
+		const log = [];
+		received = log;
+		sim.on('message', msg => log.push(msg));
+		hiq = new HiQnet(sim.createTransport(), null, { timeout: 200 });
+		await hiq.transport.connect();
+	});
+
+	afterEach(async () => {
+		for (const session of hiq.sessions) await session.close();
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('sends keepalives at the period the device reports', async () => {
+		const session = await hiq.openSession(1);
+		assert.strictEqual(session.connected, true);
+		assert.strictEqual(session.keepAlivePeriod, 40);
+		assert.strictEqual(count(commands.hello), 1);
+
+		const before = count(commands.discoInfo);
+		await sleep(150);
+		assert.ok(count(commands.discoInfo) - before >= 3);
+		assert.strictEqual(session.connected, true);
+	});
+
+	it('sends keepalives at a fixed period', async () => {
+		const session = await hiq.openSession(1, { keepAlivePeriod: 100 });
+		assert.strictEqual(session.keepAlivePeriod, 100);
+		// No need to ask the device for its period.
+		assert.strictEqual(count(commands.discoInfo), 0);
+
+		await sleep(150);
+		assert.strictEqual(count(commands.discoInfo), 1);
+	});
+
+	it('goes offline after missing keepalives, and comes back', async () => {
+		const session = await hiq.openSession(1, { keepAlivePeriod: 30, maxMisses: 3 });
+		let events = [];
+		session.on('connected', () => events.push('connected'));
+		session.on('disconnected', () => events.push('disconnected'));
+
+		sim.setFaults({ drop: 1 });
+		const start = Date.now();
+		await once(session, 'disconnected');
+		// One period before each keepalive, and one to wait for its reply.
+		assert.ok(Date.now() - start >= 3 * 2 * 30 - 10);
+		assert.strictEqual(session.connected, false);
+		assert.strictEqual(session.misses, 3);
+
+		sim.setFaults({ drop: 0 });
+		await once(session, 'connected');
+		assert.strictEqual(session.connected, true);
+		assert.strictEqual(count(commands.hello), 2);
+		assert.deepStrictEqual(events, ['disconnected', 'connected']);
+	});
+
+	it('stays online after fewer missed keepalives than allowed', async () => {
+		const session = await hiq.openSession(1, { keepAlivePeriod: 30, maxMisses: 3 });
+		let drops = 2;
+		sim.setFaults({ drop: msg => (drops-- > 0) });
+		await sleep(250);
+		assert.strictEqual(session.connected, true);
+		assert.strictEqual(session.misses, 0);
+	});
+
+	it('goes offline when the device says goodbye', async () => {
+		const session = await hiq.openSession(1, { keepAlivePeriod: 1000 });
+		const disconnected = once(session, 'disconnected');
+		sim.goodbye();
+		await disconnected;
+		assert.strictEqual(session.connected, false);
+	});
+
+	it('reopens when the transport reconnects', async () => {
+		const session = await hiq.openSession(1, { keepAlivePeriod: 1000 });
+
+		hiq.transport.close();
+		assert.strictEqual(session.connected, false);
+
+		await hiq.transport.connect();
+		await once(session, 'connected');
+		assert.strictEqual(count(commands.hello), 2);
+	});
+
+	it('says goodbye when closed', async () => {
+		const session = await hiq.openSession(1, { keepAlivePeriod: 1000 });
+		await session.close();
+		await sleep(10);
+		assert.strictEqual(count(commands.goodbye), 1);
+		assert.strictEqual(session.connected, false);
+		assert.deepStrictEqual(hiq.sessions, []);
+	});
+});
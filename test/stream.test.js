@@ -0,0 +1,129 @@
+/**
+ * HiQnet device control library - stream transport tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+function frame(len, fill = 0)
+{
+	let buf = Buffer.alloc(len, fill);
+	buf.writeUInt8(2, 0);
+	buf.writeUInt8(0x19, 1);
+	buf.writeUInt32BE(len, 2);
+	return buf;
+}
+
+function sleep(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Stream transport', () => {
+	let stream, transport, received;
+
+	beforeEach(() => {
+		stream = new PassThrough();
+		transport = new HiQnet.Transport.Stream(stream, { frameTimeout: 50, maxMessageLen: 1000 });
+		received = [];
+		transport.callback = msg => received.push(msg);
+	});
+
+	afterEach(() => {
+		transport.close();
+		stream.destroy();
+	});
+
+	// Feed data in, then give the stream a chance to pass it on.
+	async function feed(...chunks)
+	{
+		for (const chunk of chunks) stream.write(Buffer.from(chunk));
+		await sleep(1);
+	}
+
+	it('receives messages split anywhere', async () => {
+		const a = frame(30, 0xA1), b = frame(40, 0xB2);
+		const data = Buffer.concat([a, b]);
+		await feed(...Array.from(data).map(byte => [byte]));
+		assert.deepStrictEqual(received, [a, b]);
+	});
+
+	it('skips garbage before a message', async () => {
+		const a = frame(30, 0xA1);
+		await feed([0xFF, 0x00, 0x07, 0x19], a);
+		assert.deepStrictEqual(received, [a]);
+	});
+
+	it('skips garbage between messages', async () => {
+		const a = frame(30, 0xA1), b = frame(30, 0xB2);
+		// A bad version, a bad header length and a message too short for its
+		// own header.
+		await feed(a, [0x09, 0x02, 0x05, 0x02, 0x19, 0, 0, 0, 0x10], b);
+		assert.deepStrictEqual(received, [a, b]);
+	});
+
+	it('skips a header claiming an impossible length', async () => {
+		const a = frame(30, 0xA1);
+		await feed([0x02, 0x19, 0x00, 0x10, 0x00, 0x00], a);
+		assert.deepStrictEqual(received, [a]);
+	});
+
+	it('skips a message with a corrupted header', async () => {
+		const a = frame(30, 0xA1), b = frame(30, 0xB2);
+		let bad = frame(30, 0xC3);
+		bad.writeUInt8(0x55, 1);
+		await feed(a, bad, b);
+		assert.deepStrictEqual(received, [a, b]);
+	});
+
+	it('gives up on a truncated header after frameTimeout', async () => {
+		const a = frame(30, 0xA1);
+		await feed([0x02, 0x19, 0x00]);
+		await sleep(80);
+		await feed(a);
+		assert.deepStrictEqual(received, [a]);
+		assert.strictEqual(transport.rxBuffer.length, 0);
+	});
+
+	it('gives up on a truncated message after frameTimeout', async () => {
+		const a = frame(30, 0xA1);
+		// Claims 64 bytes but only 10 arrive.
+		await feed(frame(64, 0xC3).slice(0, 10));
+		await sleep(80);
+		assert.deepStrictEqual(received, []);
+		await feed(a);
+		assert.deepStrictEqual(received, [a]);
+	});
+
+	it('waits for the rest of a slow message', async () => {
+		const a = frame(30, 0xA1);
+		await feed(a.slice(0, 20));
+		await sleep(20);
+		await feed(a.slice(20));
+		assert.deepStrictEqual(received, [a]);
+	});
+
+	it('sends messages', async () => {
+		const written = new Promise(resolve => stream.once('data', resolve));
+		await transport.sendMessage(frame(30));
+		assert.deepStrictEqual(await written, frame(30));
+	});
+});
@@ -0,0 +1,137 @@
+/**
+ * HiQnet device control library - subscription tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+const address = { device: 1, virtualDevice: 0, object: [1, 40, 2] };
+
+function sleep(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Subscriptions', () => {
+	let sim, hiq;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 0 },
+					5: { type: 'uint8', value: 0 },
+				},
+			},
+		});
+		hiq = new HiQnet(sim.createTransport(), null, { timeout: 500 });
+		await hiq.transport.connect();
+	});
+
+	afterEach(() => {
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('delivers changes to the subscription', async () => {
+		const sub = await hiq.subscribe(address, [4]);
+		const change = new Promise(resolve => sub.once('change', resolve));
+		sim.setValue(address, 4, 2.5);
+		assert.deepStrictEqual(await change, { 4: 2.5 });
+	});
+
+	it('keeps parameters another subscription still uses', async () => {
+		const a = await hiq.subscribe(address, [4, 5]);
+		const b = await hiq.subscribe(address, [4]);
+		// The device holds one subscription per parameter for us.
+		assert.deepStrictEqual(sim.subscriptions.map(s => s.publisherParameter), [5, 4]);
+
+		await a.unsubscribe();
+		assert.strictEqual(a.active, false);
+		assert.strictEqual(b.active, true);
+		// Parameter 5 is gone but 4 is still wanted by b.
+		assert.deepStrictEqual(sim.subscriptions.map(s => s.publisherParameter), [4]);
+
+		const change = new Promise(resolve => b.once('change', resolve));
+		sim.setValue(address, 4, -3);
+		assert.deepStrictEqual(await change, { 4: -3 });
+
+		await b.unsubscribe();
+		assert.strictEqual(sim.subscriptions.length, 0);
+	});
+
+	it('renews a subscription the device has forgotten', async () => {
+		const sub = await hiq.subscribe(address, [4]);
+		// As if the device had restarted.
+		sim.subscriptions = [];
+
+		await sub.renew();
+		assert.deepStrictEqual(sim.subscriptions.map(s => s.publisherParameter), [4]);
+		const change = new Promise(resolve => sub.once('change', resolve));
+		sim.setValue(address, 4, 1.5);
+		assert.deepStrictEqual(await change, { 4: 1.5 });
+	});
+});
+
+describe('Subscriptions over TCP', () => {
+	let sim, hiq, sockets;
+
+	beforeEach(async () => {
+		sim = new HiQnet.Simulator({
+			deviceId: 1,
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 0 },
+				},
+			},
+		});
+		const port = await sim.listenTCP();
+		sockets = [];
+		sim.servers[0].on('connection', socket => sockets.push(socket));
+		const transport = new HiQnet.Transport.TCP('127.0.0.1', { port, reconnectDelay: 10 });
+		hiq = new HiQnet(transport, null, { timeout: 500 });
+		await transport.connect();
+	});
+
+	afterEach(() => {
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('renews subscriptions when the transport reconnects', async () => {
+		const sub = await hiq.subscribe(address, [4]);
+		assert.strictEqual(sim.subscriptions.length, 1);
+
+		// The device forgets the subscription along with the connection.
+		const closed = new Promise(resolve => hiq.transport.once('close', resolve));
+		const reconnected = new Promise(resolve => hiq.transport.once('connect', resolve));
+		for (const socket of sockets) socket.destroy();
+		await closed;
+		await reconnected;
+		for (let i = 0; (i < 100) && !sim.subscriptions.length; i++) await sleep(5);
+		assert.strictEqual(sockets.length, 2);
+		assert.strictEqual(sim.subscriptions.length, 1);
+
+		const change = new Promise(resolve => sub.once('change', resolve));
+		sim.setValue(address, 4, 7.5);
+		assert.deepStrictEqual(await change, { 4: 7.5 });
+	});
+});
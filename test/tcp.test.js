@@ -0,0 +1,130 @@
+/**
+ * HiQnet device control library - TCP transport tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const net = require('net');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+function frame(len, fill = 0)
+{
+	let buf = Buffer.alloc(len, fill);
+	buf.writeUInt8(2, 0);
+	buf.writeUInt8(0x19, 1);
+	buf.writeUInt32BE(len, 2);
+	return buf;
+}
+
+function waitFor(emitter, event)
+{
+	return new Promise(resolve => emitter.once(event, resolve));
+}
+
+describe('TCP transport', () => {
+	let server, port, sockets, transport;
+
+	beforeEach(async () => {
+		sockets = [];
+		server = net.createServer(socket => {
+			sockets.push(socket);
+			server.emit('client', socket);
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		port = server.address().port;
+		transport = new HiQnet.Transport.TCP('127.0.0.1', { port, reconnectDelay: 10 });
+	});
+
+	afterEach(async () => {
+		transport.close();
+		for (const s of sockets) s.destroy();
+		await new Promise(resolve => server.close(resolve));
+	});
+
+	it('sends messages to the server', async () => {
+		const client = waitFor(server, 'client');
+		await transport.connect();
+		const socket = await client;
+
+		const data = waitFor(socket, 'data');
+		await transport.sendMessage(frame(30, 1));
+		assert.deepStrictEqual(await data, frame(30, 1));
+	});
+
+	it('splits the stream back into messages', async () => {
+		const client = waitFor(server, 'client');
+		await transport.connect();
+		const socket = await client;
+
+		let received = [];
+		const done = new Promise(resolve => {
+			transport.callback = msg => {
+				received.push(msg);
+				if (received.length === 3) resolve();
+			};
+		});
+		const all = Buffer.concat([frame(25, 1), frame(40, 2), frame(100, 3)]);
+		// Split at awkward places, including inside the length field.
+		socket.write(all.slice(0, 3));
+		socket.write(all.slice(3, 60));
+		socket.write(all.slice(60));
+		await done;
+		assert.deepStrictEqual(received, [frame(25, 1), frame(40, 2), frame(100, 3)]);
+	});
+
+	it('resets the connection on an impossible message length', { timeout: 5000 }, async () => {
+		transport = new HiQnet.Transport.TCP('127.0.0.1', { port, reconnectDelay: 10, maxMessageLen: 1000 });
+		const client = waitFor(server, 'client');
+		await transport.connect();
+		const socket = await client;
+
+		let received = [];
+		transport.callback = msg => received.push(msg);
+		const closed = waitFor(transport, 'close');
+		const reconnected = waitFor(server, 'client');
+		let bogus = frame(30);
+		bogus.writeUInt32BE(0xFFFFFFF0, 2);
+		socket.write(bogus);
+		await closed;
+		await reconnected;
+		assert.strictEqual(received.length, 0);
+	});
+
+	it('reconnects after the connection drops', async () => {
+		const client = waitFor(server, 'client');
+		await transport.connect();
+		(await client).destroy();
+
+		await waitFor(transport, 'close');
+		await waitFor(transport, 'connect');
+		assert.strictEqual(transport.connected, true);
+	});
+
+	it('fails to connect if closed while connecting', { timeout: 5000 }, async () => {
+		const connecting = transport.connect();
+		transport.close();
+		await assert.rejects(connecting, /closed/);
+		assert.strictEqual(transport.connected, false);
+
+		// Nor does it try again.
+		await new Promise(resolve => setTimeout(resolve, 50));
+		assert.strictEqual(sockets.length, 0);
+		assert.strictEqual(transport.socket, null);
+	});
+});
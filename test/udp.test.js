@@ -0,0 +1,113 @@
+/**
+ * HiQnet device control library - UDP transport tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const dgram = require('dgram');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+function waitFor(emitter, event)
+{
+	return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+describe('UDP transport', () => {
+	let peer, port, transport;
+
+	beforeEach(async () => {
+		peer = dgram.createSocket('udp4');
+		await new Promise(resolve => peer.bind(0, '127.0.0.1', resolve));
+		port = peer.address().port;
+		transport = new HiQnet.Transport.UDP({
+			host: '127.0.0.1',
+			port: port,
+			bindAddress: '127.0.0.1',
+			bindPort: 0,
+		});
+	});
+
+	afterEach(() => {
+		transport.close();
+		peer.close();
+	});
+
+	it('refuses to send before connecting', async () => {
+		await assert.rejects(transport.sendMessage(Buffer.alloc(25)), /not connected/);
+	});
+
+	it('sends messages to the configured host', async () => {
+		await transport.connect();
+		const received = waitFor(peer, 'message');
+		await transport.sendMessage(Buffer.from('hello'));
+		const [data, rinfo] = await received;
+		assert.strictEqual(data.toString(), 'hello');
+		assert.strictEqual(rinfo.port, transport.address().port);
+	});
+
+	it('sends messages to a given remote', async () => {
+		const other = dgram.createSocket('udp4');
+		await new Promise(resolve => other.bind(0, '127.0.0.1', resolve));
+		try {
+			await transport.connect();
+			const received = waitFor(other, 'message');
+			await transport.sendMessage(Buffer.from('direct'), {
+				address: '127.0.0.1',
+				port: other.address().port,
+			});
+			const [data] = await received;
+			assert.strictEqual(data.toString(), 'direct');
+		} finally {
+			other.close();
+		}
+	});
+
+	it('passes incoming messages and their sender to the callback', async () => {
+		const connected = waitFor(transport, 'connect');
+		await transport.connect();
+		await connected;
+
+		const received = new Promise(resolve => {
+			transport.callback = (msg, remote) => resolve({ msg, remote });
+		});
+		peer.send(Buffer.from('reply'), transport.address().port, '127.0.0.1');
+		const { msg, remote } = await received;
+		assert.strictEqual(msg.toString(), 'reply');
+		assert.deepStrictEqual(remote, { address: '127.0.0.1', port: port });
+	});
+
+	it('carries HiQnet requests and replies over loopback', async () => {
+		await transport.connect();
+		const hiq = new HiQnet(transport, null, { timeout: 1000 });
+
+		// Answer a locate request the way a device would.
+		peer.on('message', (data, rinfo) => {
+			const header = hiq.decodeHeader(data);
+			peer.send(hiq.encode({
+				cmd: header.cmd,
+				flags: HiQnet.flags.info,
+				seqNum: header.seqNum,
+				addrSource: { device: 5, virtualDevice: 0, object: [0, 0, 0] },
+				addrDest: { device: hiq.deviceId, virtualDevice: 0, object: [0, 0, 0] },
+				payload: data.slice(header.lenHeader),
+			}), rinfo.port, rinfo.address);
+		});
+		await hiq.locate(5, Buffer.alloc(16), 1000);
+	});
+});
@@ -0,0 +1,199 @@
+/**
+ * HiQnet device control library - USB transport tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+const { DeviceBusyError, TimeoutError } = require('../lib/error.js');
+const FakeHID = require('./fake-hid.js');
+
+const HID_CT_ALLOC_REQ = 3;
+const HID_CT_ALLOC_ACK = 4;
+const HID_CT_DEALLOC_REQ = 5;
+
+// HiQnet message of the given length, with enough of a header to be found.
+function message(len, fill = 0)
+{
+	let buf = Buffer.alloc(len, fill);
+	buf.writeUInt8(2, 0);
+	buf.writeUInt8(0x19, 1);
+	buf.writeUInt32BE(len, 2);
+	return buf;
+}
+
+function waitFor(emitter, event)
+{
+	return new Promise(resolve => emitter.once(event, resolve));
+}
+
+describe('USB transport', () => {
+	let hid, transport;
+
+	async function open(options = {})
+	{
+		transport = new HiQnet.Transport.USB(null, Object.assign({
+			hid: hid,
+			pollInterval: 1,
+			reopenDelay: 10,
+		}, options));
+		await transport.connect();
+	}
+
+	function allocated()
+	{
+		return hid.controls.filter(c => c.cmd === HID_CT_ALLOC_REQ).map(c => c.id);
+	}
+
+	beforeEach(() => {
+		hid = new FakeHID();
+		transport = null;
+	});
+
+	afterEach(() => {
+		if (transport) transport.close();
+	});
+
+	it('sends and receives messages in pieces', async () => {
+		await open();
+		hid.echo = true;
+		const msg = message(150, 0xAA);
+		const received = new Promise(resolve => {
+			transport.callback = resolve;
+		});
+		await transport.sendMessage(msg);
+		assert.deepStrictEqual(hid.messages, [{ id: 1, payload: msg }]);
+		assert.deepStrictEqual(hid.controls.slice(1), [
+			{ cmd: HID_CT_ALLOC_REQ, id: 1 },
+			{ cmd: HID_CT_DEALLOC_REQ, id: 1 },
+		]);
+		assert.deepStrictEqual(await received, msg);
+	});
+
+	it('reuses IDs after 255, skipping 0', async () => {
+		await open();
+		const count = 300;
+		await Promise.all(Array.from({ length: count }, (v, i) => transport.sendMessage(message(8 + i))));
+		const expected = Array.from({ length: count }, (v, i) => (i % 255) + 1);
+		assert.deepStrictEqual(allocated(), expected);
+		assert.strictEqual(hid.messages.length, count);
+		assert.strictEqual(transport.inFlight.size, 0);
+	});
+
+	it('never has more than maxInFlight messages going', async () => {
+		await open({ maxInFlight: 2 });
+		hid.ignore = Infinity;
+		const sending = [1, 2, 3].map(() => transport.sendMessage(message(8)));
+		await new Promise(resolve => setTimeout(resolve, 20));
+		assert.deepStrictEqual(allocated(), [1, 2]);
+		assert.strictEqual(transport.sendQueue.length, 1);
+		transport.close();
+		await Promise.allSettled(sending);
+	});
+
+	it('resends unanswered control reports', async () => {
+		await open({ controlTimeout: 10 });
+		hid.ignore = 2;
+		await transport.sendMessage(message(8));
+		assert.deepStrictEqual(allocated(), [1, 1, 1]);
+		assert.strictEqual(hid.messages.length, 1);
+	});
+
+	it('gives up on a device that stops answering', async () => {
+		await open({ controlTimeout: 10, retries: 2 });
+		hid.ignore = Infinity;
+		await assert.rejects(transport.sendMessage(message(8)), TimeoutError);
+		assert.deepStrictEqual(allocated(), [1, 1, 1]);
+		assert.strictEqual(hid.messages.length, 0);
+		assert.strictEqual(transport.inFlight.size, 0);
+	});
+
+	it('ignores a late answer to a request that was resent', async () => {
+		await open({ controlTimeout: 20 });
+		hid.ignore = 1;
+		// The first ALLOC is answered late, just after we have asked to DEALLOC,
+		// and the device takes a while over the DEALLOC.
+		const device = hid.device;
+		const sendFeatureReport = device.sendFeatureReport.bind(device);
+		let late = true;
+		device.sendFeatureReport = data => {
+			if ((data[1] === HID_CT_DEALLOC_REQ) && late) {
+				late = false;
+				device.queueControl(HID_CT_ALLOC_ACK, 8, data[7]);
+				hid.ignore = 1;
+			}
+			sendFeatureReport(data);
+		};
+		await transport.sendMessage(message(8));
+		// Only the DEALLOC_ACK counts, so the unanswered DEALLOC was resent.
+		const deallocated = hid.controls.filter(c => c.cmd === HID_CT_DEALLOC_REQ).map(c => c.id);
+		assert.deepStrictEqual(allocated(), [1, 1]);
+		assert.deepStrictEqual(deallocated, [1, 1]);
+	});
+
+	it('waits for a busy device', async () => {
+		await open({ busyDelay: 1 });
+		hid.busy = 3;
+		await transport.sendMessage(message(8));
+		assert.deepStrictEqual(allocated(), [1, 1, 1, 1]);
+		assert.strictEqual(hid.messages.length, 1);
+	});
+
+	it('gives up on a device that stays busy', async () => {
+		await open({ busyDelay: 1, busyRetries: 2 });
+		hid.busy = Infinity;
+		await assert.rejects(transport.sendMessage(message(8)), DeviceBusyError);
+		assert.deepStrictEqual(allocated(), [1, 1, 1]);
+		assert.strictEqual(hid.messages.length, 0);
+	});
+
+	it('fails and releases everything on close', async () => {
+		await open({ maxInFlight: 2 });
+		hid.ignore = Infinity;
+		const sending = [1, 2, 3].map(() => transport.sendMessage(message(8)));
+		transport.close();
+		const results = await Promise.allSettled(sending);
+		assert.deepStrictEqual(results.map(r => r.status), ['rejected', 'rejected', 'rejected']);
+		await new Promise(resolve => setImmediate(resolve));
+		assert.strictEqual(transport.inFlight.size, 0);
+		assert.strictEqual(transport.sendQueue.length, 0);
+		assert.strictEqual(transport.pendingControls.length, 0);
+		assert.strictEqual(hid.device.closed, true);
+		await assert.rejects(transport.sendMessage(message(8)), /not connected/);
+
+		// Opening it again starts afresh.
+		hid.ignore = 0;
+		await transport.connect();
+		await transport.sendMessage(message(8));
+		assert.strictEqual(hid.messages.length, 1);
+	});
+
+	it('survives failing to answer the device', async () => {
+		await open();
+		const closed = waitFor(transport, 'close');
+		hid.failSends = true;
+		hid.device.queueControl(HID_CT_ALLOC_REQ, 20, 7);
+		await closed;
+		assert.strictEqual(transport.connected, false);
+
+		// And reopens the device once it works again.
+		hid.failSends = false;
+		await waitFor(transport, 'connect');
+	});
+});
@@ -0,0 +1,100 @@
+/**
+ * HiQnet device control library - walk() tests.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { afterEach, describe, it } = require('node:test');
+
+const HiQnet = require('../lib/index.js');
+
+const { dataTypes } = HiQnet;
+
+describe('walk()', () => {
+	let sim, hiq;
+
+	async function connect(options)
+	{
+		sim = new HiQnet.Simulator(Object.assign({ deviceId: 1 }, options));
+		hiq = new HiQnet(sim.createTransport(), null, { timeout: 500 });
+		await hiq.transport.connect();
+	}
+
+	afterEach(() => {
+		hiq.transport.close();
+		sim.close();
+	});
+
+	it('lists the parameters of the given objects', async () => {
+		await connect({
+			objects: {
+				'0.1.40.2': {
+					4: { type: 'float', value: 35.5 },
+					5: { type: 'string', value: 'Lobby' },
+				},
+				'1.1.0.0': {
+					0: { type: 'uint8', value: 1 },
+				},
+			},
+		});
+
+		const tree = await hiq.walk(1, {
+			objects: {
+				0: [[1, 40, 2]],
+				1: [[1, 0, 0]],
+			},
+		});
+		assert.strictEqual(tree.device, 1);
+		assert.deepStrictEqual(tree.virtualDevices.map(vd => vd.virtualDevice), [0, 1]);
+		assert.deepStrictEqual(tree.virtualDevices[0].objects.map(o => o.object), [[1, 40, 2]]);
+		assert.deepStrictEqual(tree.virtualDevices[0].objects[0].parameters, {
+			4: { value: 35.5, type: dataTypes.float },
+			5: { value: 'Lobby', type: dataTypes.string },
+		});
+		assert.deepStrictEqual(tree.virtualDevices[1].objects[0].parameters, {
+			0: { value: 1, type: dataTypes.uint8 },
+		});
+	});
+
+	it('lists only virtual devices without objects or a catalogue', async () => {
+		await connect({
+			objects: {
+				'1.1.0.0': {
+					0: { type: 'uint8', value: 1 },
+				},
+			},
+		});
+
+		const tree = await hiq.walk(1);
+		assert.deepStrictEqual(tree.virtualDevices.map(vd => vd.virtualDevice), [0, 1]);
+		assert.ok(tree.virtualDevices.every(vd => vd.objects.length === 0));
+	});
+
+	it('takes the objects from the catalogue', async () => {
+		const catalogue = await HiQnet.Catalogue.load(path.join(__dirname, 'fixtures', 'crown-xti.xml'));
+		await connect({ catalogue });
+		hiq.setCatalogue(1, catalogue);
+
+		const tree = await hiq.walk(1, { maxMisses: 4 });
+		assert.deepStrictEqual(tree.virtualDevices.map(vd => vd.virtualDevice), [0]);
+		const objects = tree.virtualDevices[0].objects;
+		assert.deepStrictEqual(objects.map(o => o.object), [[0, 1, 0], [0, 1, 1], [0, 2, 0], [0, 3, 0]]);
+		assert.deepStrictEqual(objects.map(o => Object.keys(o.parameters).length), [3, 2, 2, 3]);
+		assert.deepStrictEqual(objects[1].parameters[1], { value: 5, type: dataTypes.uint16 });
+	});
+});